@@ -0,0 +1,89 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import connectDB from '../src/config/database.js';
+import Song from '../src/models/Song.js';
+import PodcastEpisode from '../src/models/PodcastEpisode.js';
+import { measureLoudness } from '../src/services/loudnessService.js';
+import { fetchSongAudio, fetchEpisodeAudio } from '../src/services/audioSourceService.js';
+
+/**
+ * Backfill loudness (EBU R128 / track gain) for songs and episodes
+ * uploaded before loudness analysis existed, or whose analysis failed.
+ *
+ * Usage: npm run loudness:backfill [-- --force] [-- --songs | --episodes]
+ *   --force     Re-analyze items that already have a measurement
+ *   --songs     Only songs
+ *   --episodes  Only podcast episodes
+ */
+
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const onlySongs = args.includes('--songs');
+const onlyEpisodes = args.includes('--episodes');
+
+const TARGETS = [
+  {
+    model: Song,
+    label: 'songs',
+    enabled: !onlyEpisodes,
+    select: 'title hlsUrl +sourceUrl',
+    fetchAudio: fetchSongAudio,
+  },
+  {
+    model: PodcastEpisode,
+    label: 'episodes',
+    enabled: !onlySongs,
+    select: 'title audioPath',
+    fetchAudio: fetchEpisodeAudio,
+  },
+];
+
+const analyzeModel = async ({ model, select, fetchAudio }) => {
+  const query = force ? {} : { 'loudness.analyzedAt': { $exists: false } };
+  const cursor = model.find(query).select(select).lean().cursor();
+  const summary = { analyzed: 0, failed: 0 };
+
+  for await (const doc of cursor) {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'loudness-'));
+
+    try {
+      const inputPath = await fetchAudio(doc, workDir);
+      const loudness = await measureLoudness(inputPath);
+      await model.updateOne({ _id: doc._id }, { $set: { loudness } });
+
+      summary.analyzed += 1;
+      console.log(`   ✅ ${doc.title}: ${loudness.integrated} LUFS, gain ${loudness.trackGain} dB`);
+    } catch (error) {
+      summary.failed += 1;
+      console.error(`   ❌ ${doc.title} (${doc._id}): ${error.message}`);
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  return summary;
+};
+
+const backfillLoudness = async () => {
+  try {
+    await connectDB();
+
+    for (const target of TARGETS.filter((t) => t.enabled)) {
+      console.log(`🔊 Analyzing loudness for ${target.label}${force ? ' (forced)' : ''}...`);
+      const { analyzed, failed } = await analyzeModel(target);
+      console.log(`✅ ${target.label}: ${analyzed} analyzed, ${failed} failed`);
+      if (failed > 0) process.exitCode = 1;
+    }
+
+    console.log('\n🎉 Loudness backfill finished');
+  } catch (error) {
+    console.error('❌ Error during loudness backfill:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+backfillLoudness();
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+import connectDB from '../src/config/database.js';
+import Song from '../src/models/Song.js';
+import Album from '../src/models/Album.js';
+import ArtistProfile from '../src/models/ArtistProfile.js';
+
+/**
+ * Backfill autocomplete / typo-tolerant search tokens
+ * Documents saved before search tokens existed have no searchPrefixes/searchGrams.
+ *
+ * Usage: npm run search:reindex
+ */
+
+const BATCH_SIZE = 500;
+
+const TARGETS = [
+  { model: Song, fields: 'title artist' },
+  { model: Album, fields: 'title artist' },
+  { model: ArtistProfile, fields: 'artistName' },
+];
+
+const reindexModel = async ({ model, fields }) => {
+  const cursor = model.find({}).select(fields).lean().cursor();
+  let ops = [];
+  let count = 0;
+
+  for await (const doc of cursor) {
+    ops.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: model.computeSearchTokens(doc) },
+      },
+    });
+
+    if (ops.length >= BATCH_SIZE) {
+      await model.bulkWrite(ops, { ordered: false });
+      count += ops.length;
+      ops = [];
+    }
+  }
+
+  if (ops.length > 0) {
+    await model.bulkWrite(ops, { ordered: false });
+    count += ops.length;
+  }
+
+  return count;
+};
+
+const buildSearchTokens = async () => {
+  try {
+    await connectDB();
+
+    for (const target of TARGETS) {
+      console.log(`🔍 Building search tokens for ${target.model.modelName}...`);
+      const count = await reindexModel(target);
+      console.log(`✅ ${target.model.modelName}: ${count} documents updated`);
+    }
+
+    console.log('\n🎉 Search tokens rebuilt');
+  } catch (error) {
+    console.error('❌ Error building search tokens:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+buildSearchTokens();
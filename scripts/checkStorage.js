@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import connectDB from '../src/config/database.js';
+import { checkStorageIntegrity } from '../src/services/storageIntegrityService.js';
+
+/**
+ * Cross-check the stored songs/ and podcasts/ files against the database:
+ * orphaned files nobody owns, songs and episodes whose playlists or segments
+ * are missing. Reports only, unless asked to repair.
+ * Same check as GET/POST /api/v1/admin/storage/integrity.
+ *
+ * Usage: npm run storage:check [-- --delete-orphans --mark-unplayable --min-age-hours=24 --no-segments]
+ *   --delete-orphans     Delete orphaned files
+ *   --mark-unplayable    Hide songs with missing files from listings (and un-hide repaired ones)
+ *   --min-age-hours=N    Leave orphans younger than N hours alone (uploads in progress, default 24)
+ *   --no-segments        Only check that the entry playlists exist (faster)
+ */
+
+const args = process.argv.slice(2);
+const minAgeArg = args.find((arg) => arg.startsWith('--min-age-hours='));
+
+const options = {
+  deleteOrphans: args.includes('--delete-orphans'),
+  markUnplayable: args.includes('--mark-unplayable'),
+  checkSegments: !args.includes('--no-segments'),
+  minAgeHours: minAgeArg ? Number(minAgeArg.split('=')[1]) : undefined,
+};
+
+const formatBytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+const printBroken = (label, entries) => {
+  console.log(`\n${entries.length === 0 ? '✅' : '⚠️'} ${label}: ${entries.length}`);
+  for (const entry of entries) {
+    console.log(`   ${entry.id} "${entry.title}" - ${entry.reason}${entry.missingCount ? ` (${entry.missingCount} files)` : ''}`);
+    for (const key of entry.missing) {
+      console.log(`      ${key}`);
+    }
+  }
+};
+
+const checkStorage = async () => {
+  try {
+    if (options.minAgeHours !== undefined && !(options.minAgeHours >= 0)) {
+      throw new Error('--min-age-hours must be a number of hours');
+    }
+
+    await connectDB();
+
+    console.log('🔍 Checking stored files against the database...');
+    const report = await checkStorageIntegrity(options);
+
+    console.log(`\n📦 ${report.storage} storage: ${report.scanned.files} files (${formatBytes(report.scanned.bytes)})`);
+
+    console.log(`\n${report.orphans.length === 0 ? '✅' : '⚠️'} Orphaned folders: ${report.orphans.length}`);
+    for (const orphan of report.orphans) {
+      console.log(`   ${orphan.prefix} - ${orphan.reason} (${orphan.fileCount} files, ${formatBytes(orphan.bytes)})`);
+    }
+
+    printBroken('Songs with missing files', report.brokenSongs);
+    printBroken('Episodes with missing files', report.brokenEpisodes);
+
+    const { actions } = report;
+    if (options.deleteOrphans) {
+      console.log(`\n🗑️ Deleted ${actions.deletedFiles} orphaned files`);
+    }
+    if (options.markUnplayable) {
+      console.log(`\n🚫 Marked ${actions.markedUnplayable} songs unplayable, cleared ${actions.clearedUnplayable}`);
+    }
+
+    console.log('\n🎉 Storage check finished');
+  } catch (error) {
+    console.error('❌ Error during storage check:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+checkStorage();
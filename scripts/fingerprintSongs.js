@@ -0,0 +1,90 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import connectDB from '../src/config/database.js';
+import Song from '../src/models/Song.js';
+import { computeFingerprint, flagDuplicates, FINGERPRINT_VERSION } from '../src/services/fingerprintService.js';
+import { fetchSongAudio } from '../src/services/audioSourceService.js';
+
+/**
+ * Backfill acoustic fingerprints for the catalog, then flag duplicates.
+ * Pass 1 fingerprints songs without one (or with an older version);
+ * pass 2 compares those songs against the whole catalog.
+ *
+ * Usage: npm run fingerprint:backfill [-- --force] [-- --rescan]
+ *   --force   Re-fingerprint every song
+ *   --rescan  Re-check every fingerprinted song for duplicates (not just new fingerprints)
+ */
+
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const rescan = args.includes('--rescan');
+
+const fingerprintCatalog = async () => {
+  const query = force ? {} : { 'fingerprint.version': { $ne: FINGERPRINT_VERSION } };
+  const cursor = Song.find(query).select('title hlsUrl +sourceUrl').lean().cursor();
+  const summary = { fingerprinted: [], failed: 0 };
+
+  for await (const song of cursor) {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'fingerprint-'));
+
+    try {
+      const inputPath = await fetchSongAudio(song, workDir);
+      const fingerprint = await computeFingerprint(inputPath);
+      await Song.updateOne({ _id: song._id }, { $set: { fingerprint } });
+
+      summary.fingerprinted.push(song._id);
+      console.log(`   ✅ ${song.title}: ${fingerprint.keys.length} keys over ${fingerprint.duration}s`);
+    } catch (error) {
+      summary.failed += 1;
+      console.error(`   ❌ ${song.title} (${song._id}): ${error.message}`);
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  return summary;
+};
+
+const flagCatalogDuplicates = async (songIds) => {
+  const query = rescan ? { 'fingerprint.computedAt': { $exists: true } } : { _id: { $in: songIds } };
+  const cursor = Song.find(query).select('title createdAt createdByArtist +fingerprint.data +fingerprint.keys').cursor();
+  let flagged = 0;
+
+  for await (const song of cursor) {
+    try {
+      const flags = await flagDuplicates(song);
+      flagged += flags.length;
+      flags.forEach((flag) => console.log(`   ⚠️ ${song.title}: ${flag.kind} match (${flag.similarity})`));
+    } catch (error) {
+      console.error(`   ❌ ${song.title} (${song._id}): ${error.message}`);
+    }
+  }
+
+  return flagged;
+};
+
+const backfillFingerprints = async () => {
+  try {
+    await connectDB();
+
+    console.log(`🔎 Fingerprinting songs${force ? ' (forced)' : ''}...`);
+    const { fingerprinted, failed } = await fingerprintCatalog();
+    console.log(`✅ ${fingerprinted.length} fingerprinted, ${failed} failed`);
+    if (failed > 0) process.exitCode = 1;
+
+    console.log('🔎 Checking for duplicates...');
+    const flagged = await flagCatalogDuplicates(fingerprinted);
+    console.log(`✅ ${flagged} duplicate flag(s) recorded`);
+
+    console.log('\n🎉 Fingerprint backfill finished');
+  } catch (error) {
+    console.error('❌ Error during fingerprint backfill:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+backfillFingerprints();
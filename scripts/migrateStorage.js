@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+import connectDB from '../src/config/database.js';
+import { createMigrationDrivers, copyObjects, rewriteUrls } from '../src/services/storageMigrationService.js';
+
+/**
+ * Move the stored assets between local disk and S3 (or MinIO), in either
+ * direction, and rewrite the stored URLs of songs, song versions, albums,
+ * podcasts, episodes, artist profiles and playlists. Upload staging
+ * (incoming/) is not moved: stop uploads and let the queue drain first.
+ * Both sides come from the environment: LOCAL_UPLOAD_DIR/BASE_URL for local
+ * disk, AWS_* and S3_* for the bucket. Copies are checked by SHA-256 and
+ * recorded in the state file; run it again after an interruption or failures
+ * to carry on (delete the state file to start over). URLs are only rewritten
+ * once every object is copied. The source is never modified: switch
+ * STORAGE_TYPE to the target afterwards, and clean the source up yourself.
+ *
+ * Usage: npm run storage:migrate -- --from=local --to=s3 [--dry-run --concurrency=4 --state=<file>]
+ *   --from, --to       Storage types (local, s3, minio); one of them must be local
+ *   --dry-run          Count objects to copy and documents to update, change nothing
+ *   --concurrency=N    Objects copied at a time (default 4)
+ *   --state=<file>     Progress file (default storage-migration-<from>-to-<to>.log)
+ */
+
+const args = process.argv.slice(2);
+const option = (name) => {
+  const arg = args.find((value) => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+};
+
+const from = option('from');
+const to = option('to');
+const dryRun = args.includes('--dry-run');
+const concurrency = parseInt(option('concurrency'), 10) || 4;
+const stateFile = option('state') || `storage-migration-${from}-to-${to}.log`;
+
+const formatBytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+const migrateStorage = async () => {
+  try {
+    if (!from || !to) {
+      throw new Error('Usage: npm run storage:migrate -- --from=local --to=s3 [--dry-run]');
+    }
+    const drivers = createMigrationDrivers(from, to);
+
+    if (!(await drivers.source.validate()) || !(await drivers.target.validate())) {
+      throw new Error('Storage is not reachable (see above)');
+    }
+
+    await connectDB();
+
+    console.log(`📦 ${dryRun ? 'Checking' : 'Copying'} objects from ${from} to ${to} (progress in ${stateFile})...`);
+    let reported = 0;
+    const copy = await copyObjects(drivers, {
+      stateFile,
+      concurrency,
+      dryRun,
+      onProgress: (counts) => {
+        const total = counts.copied + counts.skipped + counts.failed;
+        if (total - reported >= 500) {
+          reported = total;
+          console.log(`   ${total} objects (${counts.copied} copied, ${counts.skipped} done before, ${counts.failed} failed)`);
+        }
+      },
+    });
+
+    console.log(
+      `✅ ${copy.copied} objects ${dryRun ? 'to copy' : 'copied'} (${formatBytes(copy.bytes)}), ${copy.skipped} copied by an earlier run`
+    );
+
+    if (copy.missing > 0) {
+      console.warn(`⚠️ ${copy.missing} files referenced by documents are missing from ${from} (their URLs are still rewritten)`);
+    }
+
+    if (copy.failed > 0) {
+      for (const { key, error } of copy.errors) {
+        console.error(`   ${key}: ${error}`);
+      }
+      console.error(`❌ ${copy.failed} objects failed; URLs left unchanged. Run the command again to retry them`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`\n🔗 ${dryRun ? 'Checking' : 'Rewriting'} stored URLs...`);
+    const rewritten = await rewriteUrls(drivers, { dryRun });
+    for (const [label, count] of Object.entries(rewritten)) {
+      console.log(`✅ ${label}: ${count} ${dryRun ? 'to update' : 'updated'}`);
+    }
+
+    console.log(
+      dryRun
+        ? '\n🎉 Dry run finished, nothing was changed'
+        : `\n🎉 Migration finished. Set STORAGE_TYPE=${to} and restart; the ${from} files can go once everything plays`
+    );
+  } catch (error) {
+    console.error('❌ Error during storage migration:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+migrateStorage();
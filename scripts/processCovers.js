@@ -0,0 +1,110 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import connectDB from '../src/config/database.js';
+import Song from '../src/models/Song.js';
+import Album from '../src/models/Album.js';
+import Podcast from '../src/models/Podcast.js';
+import ArtistProfile from '../src/models/ArtistProfile.js';
+import { processCoverImage } from '../src/services/coverImageService.js';
+import { downloadFile, storageKeyFromUrl } from '../src/utils/storage.js';
+
+/**
+ * Backfill cover variants (WebP/JPEG sizes) and colors for songs, albums,
+ * podcasts and artist profiles whose image was stored as uploaded.
+ *
+ * Usage: npm run covers:backfill [-- --force] [-- --songs | --albums | --podcasts | --artists]
+ *   --force     Re-process images that already have variants
+ *   --songs     Only songs (likewise --albums, --podcasts, --artists)
+ */
+
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const only = ['songs', 'albums', 'podcasts', 'artists'].filter((label) => args.includes(`--${label}`));
+
+// Placeholders are not worth turning into variants
+const PLACEHOLDER = /placehold\.co/;
+
+const TARGETS = [
+  { model: Song, label: 'songs', field: 'coverImageUrl', name: 'title', prefix: (doc) => `songs/${doc._id}` },
+  { model: Album, label: 'albums', field: 'coverImageUrl', name: 'title', prefix: (doc) => `albums/${doc._id}` },
+  { model: Podcast, label: 'podcasts', field: 'coverImage', name: 'title', prefix: (doc) => `podcasts/${doc._id}` },
+  {
+    model: ArtistProfile,
+    label: 'artists',
+    field: 'profileImage',
+    name: 'artistName',
+    prefix: (doc) => `artists/${doc.userId}`,
+    imageName: 'profile',
+  },
+];
+
+/**
+ * Download the current image (own storage, or any public URL)
+ */
+const fetchImage = async (url, destPath) => {
+  if (storageKeyFromUrl(url)) {
+    return downloadFile(url, destPath);
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP ${response.status} fetching ${url}`);
+  await fs.promises.writeFile(destPath, Buffer.from(await response.arrayBuffer()));
+  return destPath;
+};
+
+const processModel = async ({ model, field, name, prefix, imageName }) => {
+  const query = { [field]: { $nin: [null, ''] } };
+  if (!force) query.covers = { $exists: false };
+
+  const cursor = model.find(query).select(`${field} ${name} userId`).lean().cursor();
+  const summary = { processed: 0, skipped: 0, failed: 0 };
+
+  for await (const doc of cursor) {
+    if (PLACEHOLDER.test(doc[field])) {
+      summary.skipped += 1;
+      continue;
+    }
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'covers-'));
+
+    try {
+      const imagePath = await fetchImage(doc[field], path.join(workDir, 'image'));
+      const { url, covers, colors } = await processCoverImage(imagePath, prefix(doc), imageName);
+      await model.updateOne({ _id: doc._id }, { $set: { [field]: url, covers, colors } });
+
+      summary.processed += 1;
+      console.log(`   ✅ ${doc[name]}: ${Object.keys(covers).length} sizes, ${colors.dominant}/${colors.accent}`);
+    } catch (error) {
+      summary.failed += 1;
+      console.error(`   ❌ ${doc[name]} (${doc._id}): ${error.message}`);
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  return summary;
+};
+
+const backfillCovers = async () => {
+  try {
+    await connectDB();
+
+    for (const target of TARGETS.filter((t) => only.length === 0 || only.includes(t.label))) {
+      console.log(`🖼️ Processing ${target.label} images${force ? ' (forced)' : ''}...`);
+      const { processed, skipped, failed } = await processModel(target);
+      console.log(`✅ ${target.label}: ${processed} processed, ${skipped} placeholders skipped, ${failed} failed`);
+      if (failed > 0) process.exitCode = 1;
+    }
+
+    console.log('\n🎉 Cover backfill finished');
+  } catch (error) {
+    console.error('❌ Error during cover backfill:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+backfillCovers();
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+import connectDB from '../src/config/database.js';
+import config from '../src/config/index.js';
+import { purgeExpired } from '../src/services/deletionService.js';
+
+/**
+ * Purge songs, albums, podcasts and episodes deleted longer ago than the
+ * grace period (DELETION_GRACE_DAYS): stored files, favorites, history,
+ * playlist/album entries. For deployments without the embedded sweeper
+ * (Vercel, DELETION_SWEEPER=false); run it on a schedule.
+ *
+ * Usage: npm run purge:deleted [-- --all]
+ *   --all  Also purge deletions still inside the grace period (can't be undone)
+ */
+
+const args = process.argv.slice(2);
+const all = args.includes('--all');
+
+const purgeDeleted = async () => {
+  try {
+    await connectDB();
+
+    console.log(
+      all
+        ? '🗑️ Purging every deleted item...'
+        : `🗑️ Purging items deleted more than ${config.deletion.graceDays} days ago...`
+    );
+    const { failed, ...purged } = await purgeExpired(all ? { olderThan: new Date() } : undefined);
+
+    for (const [label, count] of Object.entries(purged)) {
+      console.log(`✅ ${label}: ${count} purged`);
+    }
+    if (failed > 0) {
+      console.error(`❌ ${failed} failed (left deleted, retried on the next run)`);
+      process.exitCode = 1;
+    }
+
+    console.log('\n🎉 Purge finished');
+  } catch (error) {
+    console.error('❌ Error during purge:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+purgeDeleted();
@@ -1,41 +1,30 @@
-import { S3Client, ListObjectsV2Command } from '@aws-sdk/client-s3';
-import dotenv from 'dotenv';
-dotenv.config();
-
-const config = {
-    aws: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-        region: process.env.AWS_REGION || 'us-east-1',
-        s3Bucket: process.env.AWS_S3_BUCKET || 'us-music',
-    }
-};
+import { getStorage, validateStorageConfig, listFiles } from '../src/utils/storage.js';
+import config from '../src/config/index.js';
 
+// Checks the configured storage backend (S3, MinIO or local) and lists a few stored files
 async function testS3() {
-    console.log('Testing S3 with config:', {
+    console.log('Testing storage with config:', {
+        type: config.storage.type,
+        endpoint: config.storage.endpoint || 'AWS',
         region: config.aws.region,
         bucket: config.aws.s3Bucket,
         accessKeyId: config.aws.accessKeyId ? 'PRESENT' : 'MISSING'
     });
 
-    const s3Client = new S3Client({
-        region: config.aws.region,
-        credentials: {
-            accessKeyId: config.aws.accessKeyId,
-            secretAccessKey: config.aws.secretAccessKey,
-        },
-    });
-
     try {
-        const command = new ListObjectsV2Command({
-            Bucket: config.aws.s3Bucket,
-            MaxKeys: 5,
-        });
-        const response = await s3Client.send(command);
-        console.log('✅ S3 Connection Success!');
-        console.log('Objects found:', response.Contents?.map(obj => obj.Key) || 'None');
+        if (!(await validateStorageConfig())) {
+            throw new Error('Storage validation failed');
+        }
+
+        const keys = [];
+        for await (const { key } of listFiles('')) {
+            keys.push(key);
+            if (keys.length === 5) break;
+        }
+        console.log(`✅ ${getStorage().name} storage connection success!`);
+        console.log('Objects found:', keys.length > 0 ? keys : 'None');
     } catch (error) {
-        console.error('❌ S3 Connection Failed:', error.message);
+        console.error('❌ Storage Connection Failed:', error.message);
     }
 }
 
@@ -95,12 +95,37 @@ async function uploadSong(token, audioPath, coverPath, metadata) {
   }
 
   const data = await response.json();
-  console.log('✅ Upload successful!');
-  console.log('📋 Song details:', JSON.stringify(data, null, 2));
+  console.log(`✅ Upload queued (job ${data.data.jobId})`);
   
   return data;
 }
 
+/**
+ * Poll the upload job until it completes or fails
+ */
+async function waitForJob(token, jobId) {
+  console.log('\n⏳ Waiting for processing...');
+
+  for (;;) {
+    const response = await fetch(`${API_URL}/upload/jobs/${jobId}`, {
+      headers: { 'Cookie': `accessToken=${token}` },
+    });
+    const { data } = await response.json();
+    console.log(`   ${data.stage} ${data.progress}%`);
+
+    if (data.status === 'completed') {
+      console.log('✅ Upload successful!');
+      console.log('📋 Song details:', JSON.stringify(data.song, null, 2));
+      return data;
+    }
+    if (data.status === 'failed') {
+      throw new Error(`Processing failed at ${data.error.stage}: ${data.error.message}`);
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, 2000));
+  }
+}
+
 /**
  * Main test function
  */
@@ -133,7 +158,8 @@ async function main() {
       language: 'English',
     };
 
-    await uploadSong(token, audioFile, coverFile, metadata);
+    const upload = await uploadSong(token, audioFile, coverFile, metadata);
+    await waitForJob(token, upload.data.jobId);
 
     console.log('\n✅ Test completed successfully!');
 
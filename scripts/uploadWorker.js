@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+import connectDB from '../src/config/database.js';
+import { checkFFmpegAvailability } from '../src/services/ffmpegService.js';
+import { startUploadWorker, stopUploadWorker } from '../src/services/uploadJobService.js';
+import { startChunkSweeper, stopChunkSweeper } from '../src/services/resumableUploadService.js';
+
+/**
+ * Standalone upload worker: processes queued song uploads outside the API
+ * process (needed on Vercel, where the API cannot run background work).
+ * Run with UPLOAD_WORKER=false on the API instances to use only this worker.
+ * Also removes the chunks of abandoned resumable upload sessions.
+ *
+ * Usage: npm run worker:uploads
+ */
+
+const shutdown = async (signal) => {
+  console.log(`\n${signal} received, finishing the current job...`);
+  await stopUploadWorker();
+  stopChunkSweeper();
+  await mongoose.connection.close();
+  process.exit(0);
+};
+
+const runWorker = async () => {
+  try {
+    await connectDB();
+
+    if (!(await checkFFmpegAvailability())) {
+      throw new Error('FFmpeg is not installed; uploads cannot be processed');
+    }
+
+    startUploadWorker();
+    startChunkSweeper();
+
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+  } catch (error) {
+    console.error('❌ Error starting upload worker:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+runWorker();
@@ -1,3 +1,4 @@
+import path from 'path';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
@@ -28,6 +29,8 @@ import artistPodcastRoutes from './routes/artistPodcastRoutes.js';
 import adminRoutes from './routes/adminRoutes.js';
 import albumRoutes from './routes/albumRoutes.js';
 import publicArtistRoutes from './routes/publicArtistRoutes.js';
+import playlistRoutes from './routes/playlistRoutes.js';
+import searchRoutes from './routes/searchRoutes.js';
 
 const app = express();
 
@@ -72,8 +75,9 @@ app.use(cors({
     }
   },
   credentials: true,
-  methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"]
+  methods: ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-Playback-Token", "Upload-Offset", "Upload-Checksum"],
+  exposedHeaders: ["Upload-Offset", "Upload-Length"]
 }));
 
 // Force preflight support
@@ -92,6 +96,8 @@ const generalLimiter = rateLimit({
   message: { success: false, error: 'Too many requests, please try again later' },
   standardHeaders: true,
   legacyHeaders: false,
+  // Resumable upload chunks (a large file needs hundreds) are bounded by the session size instead
+  skip: (req) => req.method === 'PATCH' && /^\/[^/]+\/upload\/sessions\/[^/]+$/.test(req.path),
   handler: (req, res) => {
     securityLogger.rateLimitExceeded(req.ip, req.path);
     res.status(429).json({
@@ -120,6 +126,8 @@ const authLimiter = rateLimit({
 const uploadLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
   max: config.isDevelopment ? 1000 : 10, // 1000 uploads per hour in dev, 10 in prod
+  // Only starting an upload counts: job polling and resumable chunks/completion don't
+  skip: (req) => req.method !== 'POST' || /^\/sessions\/[^/]+\/complete$/.test(req.path),
   message: { success: false, error: 'Upload limit exceeded' },
   handler: (req, res) => {
     securityLogger.rateLimitExceeded(req.ip, 'upload');
@@ -131,6 +139,17 @@ const uploadLimiter = rateLimit({
 });
 
 app.use('/api/', generalLimiter);
+
+// Local storage paths the static route never serves: song and episode HLS files (of every
+// audio version) go through the tokenized /songs/:id/hls and /podcast-episodes/:id/hls
+// proxies; previews and waveforms through their endpoints (which hide unpublished songs);
+// masters (song source, episode audio) and queued (incoming) upload files stay private
+const PRIVATE_STORAGE_PATHS = [
+  /^\/songs\/[^/]+\/(v\d+\/)?((hls|source|preview)\/|waveform\.json$)/,
+  /^\/podcasts\/[^/]+\/episodes\/[^/]+\/((hls|audio)\/|waveform\.json$)/,
+  /^\/incoming\//,
+];
+
 if (config.storage.type === 'local') {
   app.use(`/${config.storage.localDir}`, (req, res, next) => {
     res.header('Access-Control-Allow-Origin', req.headers.origin || '*');
@@ -140,6 +159,16 @@ if (config.storage.type === 'local') {
     if (req.method === 'OPTIONS') {
       return res.sendStatus(200);
     }
+    // Check the path express.static will resolve (decoded, dot segments removed)
+    let filePath;
+    try {
+      filePath = path.posix.normalize(decodeURIComponent(req.path));
+    } catch (error) {
+      return res.sendStatus(400);
+    }
+    if (PRIVATE_STORAGE_PATHS.some((pattern) => pattern.test(filePath))) {
+      return res.sendStatus(403);
+    }
     next();
   }, express.static(config.storage.localDir));
 }
@@ -208,6 +237,8 @@ app.use(`${apiVersion}/auth`, authLimiter, authRoutes);
 app.use(`${apiVersion}/songs`, songRoutes);
 app.use(`${apiVersion}/albums`, albumRoutes);
 app.use(`${apiVersion}/favorites`, favoriteRoutes);
+app.use(`${apiVersion}/playlists`, playlistRoutes);
+app.use(`${apiVersion}/search`, searchRoutes);
 app.use(`${apiVersion}/history`, historyRoutes);
 app.use(`${apiVersion}/recommendations`, recommendationRoutes);
 app.use(`${apiVersion}/upload`, uploadLimiter, uploadRoutes);
@@ -122,12 +122,135 @@ const config = {
     maxPageSize: parseInt(process.env.MAX_PAGE_SIZE, 10) || 100,
   },
 
+  // HLS output (one AAC rendition per bitrate, in kbps)
+  hls: {
+    bitrates: (process.env.HLS_BITRATES || '64,128,256')
+      .split(',')
+      .map((b) => parseInt(b, 10))
+      .filter((b) => b > 0)
+      .sort((a, b) => a - b),
+    defaultBitrate: parseInt(process.env.HLS_DEFAULT_BITRATE, 10) || 128,
+    segmentSeconds: parseInt(process.env.HLS_SEGMENT_SECONDS, 10) || 10,
+    // AES-128 segment encryption with per-song/per-episode keys
+    encrypt: process.env.HLS_ENCRYPTION !== 'false',
+  },
+
+  // Loudness normalization (ReplayGain 2.0 style reference level)
+  loudness: {
+    referenceLufs: parseFloat(process.env.LOUDNESS_REFERENCE_LUFS) || -18,
+  },
+
+  // Waveform peaks (number of bars per stored resolution)
+  waveform: {
+    resolutions: (process.env.WAVEFORM_RESOLUTIONS || '256,1024')
+      .split(',')
+      .map((r) => parseInt(r, 10))
+      .filter((r) => r > 0)
+      .sort((a, b) => a - b),
+  },
+
+  // Cover/profile images: square variants (px) stored as WebP and JPEG
+  covers: {
+    sizes: (process.env.COVER_SIZES || '64,300,640,1200')
+      .split(',')
+      .map((s) => parseInt(s, 10))
+      .filter((s) => s > 0)
+      .sort((a, b) => a - b),
+    webpQuality: parseInt(process.env.COVER_WEBP_QUALITY, 10) || 80,
+    jpegQuality: parseInt(process.env.COVER_JPEG_QUALITY, 10) || 82,
+  },
+
+  // Acoustic fingerprints (duplicate / re-upload detection)
+  fingerprint: {
+    // Seconds from the start of the track that are fingerprinted
+    maxSeconds: parseInt(process.env.FINGERPRINT_MAX_SECONDS, 10) || 120,
+    // Similarity (0..1) for an exact copy (re-encode/trim) and for a near match
+    exactThreshold: parseFloat(process.env.FINGERPRINT_EXACT_THRESHOLD) || 0.85,
+    nearThreshold: parseFloat(process.env.FINGERPRINT_NEAR_THRESHOLD) || 0.5,
+    // Songs sharing the most fingerprint keys that are compared in full
+    candidates: parseInt(process.env.FINGERPRINT_CANDIDATES, 10) || 20,
+  },
+
+  // Tempo/key/energy estimates (fill song fields the artist left empty)
+  audioAnalysis: {
+    // Seconds from the start of the track that are analyzed
+    maxSeconds: parseInt(process.env.AUDIO_ANALYSIS_MAX_SECONDS, 10) || 120,
+    // Confidence (0..1) an estimate needs before it is applied automatically
+    minConfidence: parseFloat(process.env.AUDIO_ANALYSIS_MIN_CONFIDENCE) || 0.5,
+  },
+
+  // Preview clips (MP3) served to logged-out visitors and artist pages
+  preview: {
+    durationSeconds: parseInt(process.env.PREVIEW_DURATION_SECONDS, 10) || 30,
+    bitrate: parseInt(process.env.PREVIEW_BITRATE, 10) || 128,
+  },
+
+  // Playback tokens (gate the HLS proxy and key delivery)
+  playback: {
+    tokenSecret: process.env.PLAYBACK_TOKEN_SECRET || process.env.JWT_SECRET || 'us-music-playback-secret-2026',
+    // Songs get this on top of their duration
+    tokenTtlSeconds: parseInt(process.env.PLAYBACK_TOKEN_TTL_SECONDS, 10) || 15 * 60,
+  },
+
+  // Background upload processing (MongoDB-backed job queue)
+  uploadJobs: {
+    // Run the worker inside the API process (off on Vercel: use `npm run worker:uploads`)
+    embeddedWorker: process.env.UPLOAD_WORKER !== 'false' && !process.env.VERCEL,
+    pollIntervalMs: parseInt(process.env.UPLOAD_WORKER_POLL_MS, 10) || 3000,
+    // Jobs processed at once per worker process
+    concurrency: parseInt(process.env.UPLOAD_WORKER_CONCURRENCY, 10) || 1,
+    maxAttempts: parseInt(process.env.UPLOAD_JOB_MAX_ATTEMPTS, 10) || 3,
+    retryDelaySeconds: parseInt(process.env.UPLOAD_JOB_RETRY_DELAY_SECONDS, 10) || 30,
+    // Jobs locked longer than this are assumed dead (crashed worker) and picked up again
+    lockTimeoutMinutes: parseInt(process.env.UPLOAD_JOB_LOCK_TIMEOUT_MINUTES, 10) || 30,
+  },
+
+  // Resumable (chunked) uploads
+  resumableUploads: {
+    // Chunk size handed to clients; also the largest chunk accepted (Vercel caps bodies at 4.5 MB)
+    chunkSizeBytes: parseInt(process.env.RESUMABLE_UPLOAD_CHUNK_BYTES, 10) || 4 * 1024 * 1024,
+    maxFileBytes: parseInt(process.env.RESUMABLE_UPLOAD_MAX_BYTES, 10) || 2 * 1024 * 1024 * 1024,
+    sessionTtlHours: parseInt(process.env.RESUMABLE_UPLOAD_TTL_HOURS, 10) || 24,
+    // How often chunks of sessions that expired without completing are removed (by upload workers)
+    sweepIntervalMinutes: parseInt(process.env.RESUMABLE_UPLOAD_SWEEP_MINUTES, 10) || 60,
+  },
+
+  // Bulk album uploads (ZIP or multiple files)
+  albumUploads: {
+    maxTracks: parseInt(process.env.ALBUM_UPLOAD_MAX_TRACKS, 10) || 50,
+    // Per uploaded file (a ZIP holds the whole album)
+    maxFileBytes: parseInt(process.env.ALBUM_UPLOAD_MAX_BYTES, 10) || 500 * 1024 * 1024,
+  },
+
+  // Deleted songs, albums, podcasts and episodes stay restorable, then are purged
+  // (stored files, favorites, history, playlist/album entries)
+  deletion: {
+    graceDays: parseInt(process.env.DELETION_GRACE_DAYS, 10) || 30,
+    // Play analytics of purged songs: 'keep' (counted in platform totals) or 'delete'
+    analytics: process.env.DELETED_SONG_ANALYTICS === 'delete' ? 'delete' : 'keep',
+    // Purge sweep inside the API process (off on Vercel: use `npm run purge:deleted`)
+    embeddedSweeper: process.env.DELETION_SWEEPER !== 'false' && !process.env.VERCEL,
+    sweepIntervalMinutes: parseInt(process.env.DELETION_SWEEP_INTERVAL_MINUTES, 10) || 60,
+  },
+
+  // Smart playlists
+  smartPlaylists: {
+    refreshIntervalMinutes: parseInt(process.env.SMART_PLAYLIST_REFRESH_MINUTES, 10) || 60,
+  },
+
+  // File storage (see utils/storageDrivers): 'local', 's3' or 'minio' (any S3-compatible server)
   storage: {
-    type: process.env.STORAGE_TYPE || 's3', // 's3' or 'local'
+    type: process.env.STORAGE_TYPE || 's3',
     localDir: path.isAbsolute(process.env.LOCAL_UPLOAD_DIR || 'uploads')
       ? process.env.LOCAL_UPLOAD_DIR
       : path.resolve(rootDir, process.env.LOCAL_UPLOAD_DIR || 'uploads'),
     baseUrl: process.env.BASE_URL || 'http://localhost:5000',
+    // S3-compatible endpoint (MinIO, Ceph, R2, ...); credentials and bucket come from the AWS_* settings
+    endpoint: process.env.S3_ENDPOINT,
+    // Endpoint as browsers reach it, when it differs (e.g. http://minio:9000 inside Docker)
+    publicEndpoint: process.env.S3_PUBLIC_ENDPOINT || process.env.S3_ENDPOINT,
+    // `${endpoint}/${bucket}/key` addressing (default: on for minio, off for s3)
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : undefined,
   },
 };
 
@@ -2,8 +2,25 @@ import Album from '../models/Album.js';
 import Song from '../models/Song.js';
 import { AppError } from '../utils/errors.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { processCoverImage } from '../services/coverImageService.js';
+import { PLAYABLE_SONG_FILTER } from '../services/songQueryService.js';
+import { cleanupFiles } from '../services/ffmpegService.js';
+import {
+    deleteAlbum as softDeleteAlbum,
+    restoreAlbum as restoreDeletedAlbum,
+    purgeAlbum,
+    purgeSong,
+} from '../services/deletionService.js';
 import logger from '../utils/logger.js';
 
+/**
+ * Cover fields from an uploaded image (multipart "coverImage")
+ */
+const uploadedCover = async (albumId, file) => {
+    const { url, covers, colors } = await processCoverImage(file.path, `albums/${albumId}`);
+    return { coverImageUrl: url, covers, colors };
+};
+
 /**
  * Get all albums with pagination and filters
  * @route GET /api/v1/albums
@@ -37,7 +54,7 @@ export const getAlbums = asyncHandler(async (req, res) => {
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const albums = await Album.find(query)
-        .populate('artistProfile', 'artistName profileImage')
+        .populate('artistProfile', 'artistName profileImage covers')
         .sort(sort)
         .limit(parseInt(limit))
         .skip(skip)
@@ -64,10 +81,11 @@ export const getAlbums = asyncHandler(async (req, res) => {
  */
 export const getAlbum = asyncHandler(async (req, res) => {
     const album = await Album.findById(req.params.id)
-        .populate('artistProfile', 'artistName profileImage')
+        .populate('artistProfile', 'artistName profileImage covers')
         .populate({
             path: 'songs',
-            select: 'title artist duration coverImageUrl hlsUrl popularity',
+            select: 'title artist duration coverImageUrl covers colors hlsUrl popularity',
+            match: PLAYABLE_SONG_FILTER,
         })
         .lean();
 
@@ -82,103 +100,160 @@ export const getAlbum = asyncHandler(async (req, res) => {
 });
 
 /**
- * Create album
+ * Create album (JSON, or multipart with a "coverImage" file)
  * @route POST /api/v1/albums
  * @access Private (Artist/Admin)
  */
 export const createAlbum = asyncHandler(async (req, res) => {
     const { title, genre, description, coverImageUrl, songs } = req.body;
 
-    if (!req.user.artistProfile && req.user.role !== 'admin') {
-        throw new AppError('Only artists can create albums', 403);
-    }
+    try {
+        if (!req.user.artistProfile && req.user.role !== 'admin') {
+            throw new AppError('Only artists can create albums', 403);
+        }
 
-    const albumData = {
-        title,
-        artist: req.user.name, // Fallback to user name if artist profile name not handy
-        genre: Array.isArray(genre) ? genre : [genre],
-        description,
-        coverImageUrl,
-        songs: songs || [],
-        artistProfile: req.user.artistProfile,
-        createdBy: req.user._id,
-        status: 'published', // Default to published for simplicity
-    };
-
-    // If we have an artist profile, use that name
-    if (req.user.artistProfile) {
-        const mongoose = await import('mongoose');
-        const ArtistProfile = mongoose.default.model('ArtistProfile');
-        const profile = await ArtistProfile.findById(req.user.artistProfile);
-        if (profile) {
-            albumData.artist = profile.artistName;
+        const albumData = {
+            title,
+            artist: req.user.name, // Fallback to user name if artist profile name not handy
+            genre: Array.isArray(genre) ? genre : [genre],
+            description,
+            coverImageUrl,
+            songs: songs || [],
+            artistProfile: req.user.artistProfile,
+            createdBy: req.user._id,
+            status: 'published', // Default to published for simplicity
+        };
+
+        // If we have an artist profile, use that name
+        if (req.user.artistProfile) {
+            const mongoose = await import('mongoose');
+            const ArtistProfile = mongoose.default.model('ArtistProfile');
+            const profile = await ArtistProfile.findById(req.user.artistProfile);
+            if (profile) {
+                albumData.artist = profile.artistName;
+            }
         }
-    }
 
-    const album = await Album.create(albumData);
+        const album = new Album(albumData);
+        if (req.file) {
+            // Validate before storing the image variants
+            await album.validate({ pathsToSkip: ['coverImageUrl'] });
+            Object.assign(album, await uploadedCover(album._id, req.file));
+        }
+        await album.save();
+
+        // Update songs to reference this album (optional, but good for reverse lookups)
+        if (songs && songs.length > 0) {
+            await Song.updateMany(
+                { _id: { $in: songs } },
+                { $set: { album: album.title } }
+            );
+        }
 
-    // Update songs to reference this album (optional, but good for reverse lookups)
-    if (songs && songs.length > 0) {
-        await Song.updateMany(
-            { _id: { $in: songs } },
-            { $set: { album: album.title } }
-        );
+        res.status(201).json({
+            success: true,
+            data: album,
+        });
+    } finally {
+        if (req.file) await cleanupFiles([req.file.path]);
     }
-
-    res.status(201).json({
-        success: true,
-        data: album,
-    });
 });
 
 /**
- * Update album
+ * Update album (JSON, or multipart with a "coverImage" file)
  * @route PUT /api/v1/albums/:id
  * @access Private (Owner/Admin)
  */
 export const updateAlbum = asyncHandler(async (req, res) => {
-    let album = await Album.findById(req.params.id);
+    try {
+        let album = await Album.findById(req.params.id);
+
+        if (!album) {
+            throw new AppError('Album not found', 404);
+        }
+
+        if (album.createdBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+            throw new AppError('Not authorized to update this album', 403);
+        }
+
+        // Variants and colors are only ever derived from an uploaded image
+        const { covers, colors, ...updates } = req.body;
+        if (req.file) {
+            Object.assign(updates, await uploadedCover(album._id, req.file));
+        } else if (updates.coverImageUrl) {
+            // A plain URL replaces the processed variants
+            updates.$unset = { covers: 1, colors: 1 };
+        }
+
+        album = await Album.findByIdAndUpdate(req.params.id, updates, {
+            new: true,
+            runValidators: true,
+        });
+
+        res.json({
+            success: true,
+            data: album,
+        });
+    } finally {
+        if (req.file) await cleanupFiles([req.file.path]);
+    }
+});
+
+/**
+ * Delete album with its songs (restorable for the grace period; admins may purge at once with ?permanent=true)
+ * @route DELETE /api/v1/albums/:id
+ * @access Private (Owner/Admin)
+ */
+export const deleteAlbum = asyncHandler(async (req, res) => {
+    const album = await Album.findById(req.params.id);
 
     if (!album) {
         throw new AppError('Album not found', 404);
     }
 
     if (album.createdBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-        throw new AppError('Not authorized to update this album', 403);
+        throw new AppError('Not authorized to delete this album', 403);
     }
 
-    album = await Album.findByIdAndUpdate(req.params.id, req.body, {
-        new: true,
-        runValidators: true,
-    });
+    const restorableUntil = await softDeleteAlbum(album, req.user);
+
+    if (req.query.permanent === 'true' && req.user.role === 'admin') {
+        const songs = await Song.find({ deletedWith: album._id }).withDeleted().select('_id').lean();
+        for (const song of songs) {
+            await purgeSong(song._id);
+        }
+        await purgeAlbum(album._id);
+        return res.json({ success: true, message: 'Album and its songs deleted permanently' });
+    }
 
     res.json({
         success: true,
-        data: album,
+        message: 'Album deleted',
+        data: { restorableUntil },
     });
 });
 
 /**
- * Delete album
- * @route DELETE /api/v1/albums/:id
+ * Undo an album deletion, with the songs deleted along with it (within the grace period)
+ * @route POST /api/v1/albums/:id/restore
  * @access Private (Owner/Admin)
  */
-export const deleteAlbum = asyncHandler(async (req, res) => {
-    const album = await Album.findById(req.params.id);
+export const restoreAlbum = asyncHandler(async (req, res) => {
+    const deleted = await Album.findById(req.params.id).withDeleted().select('createdBy deletedAt').lean();
 
-    if (!album) {
-        throw new AppError('Album not found', 404);
+    if (!deleted || !deleted.deletedAt) {
+        throw new AppError('Deleted album not found', 404);
     }
 
-    if (album.createdBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-        throw new AppError('Not authorized to delete this album', 403);
+    if (String(deleted.createdBy) !== String(req.user._id) && req.user.role !== 'admin') {
+        throw new AppError('Not authorized to restore this album', 403);
     }
 
-    await album.deleteOne();
+    const album = await restoreDeletedAlbum(deleted._id);
 
     res.json({
         success: true,
-        message: 'Album deleted successfully',
+        data: album,
     });
 });
 
@@ -196,7 +271,7 @@ export const getArtistAlbums = asyncHandler(async (req, res) => {
     const query = { createdBy: req.user._id };
 
     const albums = await Album.find(query)
-        .populate('artistProfile', 'artistName profileImage')
+        .populate('artistProfile', 'artistName profileImage covers')
         .sort('-createdAt')
         .skip(skip)
         .limit(limit)
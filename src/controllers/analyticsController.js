@@ -169,7 +169,7 @@ export const getGenreAnalytics = async (req, res, next) => {
  */
 export const recordPlay = async (req, res, next) => {
   try {
-    const { songId, playDuration, completed, source } = req.body;
+    const { songId, playDuration, completed, source, playlistId } = req.body;
     const userId = req.user._id;
 
     if (!songId) {
@@ -180,6 +180,7 @@ export const recordPlay = async (req, res, next) => {
       playDuration,
       completed,
       source,
+      playlist: await analyticsService.playlistForPlay(req.user, source, playlistId),
     });
 
     res.status(200).json({
@@ -1,7 +1,11 @@
 import User from '../models/User.js';
 import ArtistProfile from '../models/ArtistProfile.js';
+import DuplicateFlag from '../models/DuplicateFlag.js';
 import { generateTokens } from '../utils/jwt.js';
 import { AppError } from '../utils/errors.js';
+import { processCoverImage } from '../services/coverImageService.js';
+import { cleanupFiles } from '../services/ffmpegService.js';
+import { PLAYABLE_SONG_FILTER } from '../services/songQueryService.js';
 import config from '../config/index.js';
 
 // Artist registration (creates User with role 'artist' and ArtistProfile)
@@ -70,14 +74,24 @@ export const getArtistMe = async (req, res, next) => {
   }
 };
 
+// JSON, or multipart with a "profileImage" file (resized into variants)
 export const updateArtistProfile = async (req, res, next) => {
   try {
     const user = req.user;
+    // Variants and colors are only ever derived from an uploaded image
+    const { covers, colors, ...updates } = req.body;
+    if (req.file) {
+      const image = await processCoverImage(req.file.path, `artists/${user._id}`, 'profile');
+      Object.assign(updates, { profileImage: image.url, covers: image.covers, colors: image.colors });
+    }
+
     let profile = null;
     if (user.artistProfile) {
-      profile = await ArtistProfile.findByIdAndUpdate(user.artistProfile, req.body, { new: true });
+      // A plain URL replaces the processed variants
+      const unset = !req.file && updates.profileImage ? { $unset: { covers: 1, colors: 1 } } : {};
+      profile = await ArtistProfile.findByIdAndUpdate(user.artistProfile, { ...updates, ...unset }, { new: true });
     } else {
-      profile = await ArtistProfile.create({ userId: user._id, ...req.body });
+      profile = await ArtistProfile.create({ userId: user._id, ...updates });
       user.artistProfile = profile._id;
       user.role = 'artist';
       await user.save();
@@ -86,6 +100,8 @@ export const updateArtistProfile = async (req, res, next) => {
     res.json({ success: true, data: profile });
   } catch (err) {
     next(err);
+  } finally {
+    if (req.file) await cleanupFiles([req.file.path]);
   }
 };
 
@@ -128,6 +144,30 @@ export const getArtistStats = async (req, res, next) => {
   }
 };
 
+// Own uploads that sound like catalog songs (?status=open)
+export const getArtistDuplicates = async (req, res, next) => {
+  try {
+    const artistProfileId = req.user.artistProfile;
+    if (!artistProfileId) {
+      return next(new AppError('Artist profile not found', 404));
+    }
+
+    const query = { artistProfile: artistProfileId };
+    if (req.query.status) query.status = req.query.status;
+
+    const flags = await DuplicateFlag.find(query)
+      .select('-matchedArtistProfile -reviewedBy')
+      .populate('song', 'title artist coverImageUrl covers createdAt')
+      .populate('matchedSong', 'title artist coverImageUrl covers createdAt')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json({ success: true, count: flags.length, data: flags });
+  } catch (err) {
+    next(err);
+  }
+};
+
 export const getPublicArtistProfile = async (req, res, next) => {
   try {
     const profile = await ArtistProfile.findOne({ artistName: req.params.artistName });
@@ -161,7 +201,7 @@ export const getArtistSongsPublic = async (req, res, next) => {
     const mongoose = await import('mongoose');
     const Song = mongoose.default.model('Song');
 
-    const songs = await Song.find({ createdByArtist: profile._id, status: 'published' })
+    const songs = await Song.find({ createdByArtist: profile._id, status: 'published', ...PLAYABLE_SONG_FILTER })
       .sort('-createdAt')
       .lean();
 
@@ -2,6 +2,7 @@ import Favorite from '../models/Favorite.js';
 import Song from '../models/Song.js';
 import { AppError } from '../utils/errors.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { EXPORT_FORMATS, buildExport } from '../services/playlistTransferService.js';
 
 /**
  * Get user's favorites
@@ -16,7 +17,7 @@ export const getFavorites = asyncHandler(async (req, res) => {
   const favorites = await Favorite.find({ user: req.user._id })
     .populate({
       path: 'song',
-      select: 'title artist genre mood duration coverImageUrl hlsUrl popularity',
+      select: 'title artist genre mood duration coverImageUrl covers colors hlsUrl popularity',
     })
     .sort({ addedAt: -1 })
     .limit(parseInt(limit))
@@ -27,7 +28,8 @@ export const getFavorites = asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: favorites.map((fav) => fav.song),
+    // Deleted songs are dropped
+    data: favorites.map((fav) => fav.song).filter(Boolean),
     pagination: {
       page: parseInt(page),
       limit: parseInt(limit),
@@ -156,3 +158,27 @@ export const checkMultipleFavorites = asyncHandler(async (req, res) => {
     data: result,
   });
 });
+
+/**
+ * Export favorites as M3U8, XSPF or JSON
+ * @route GET /api/v1/favorites/export?format=m3u8|xspf|json
+ * @access Private
+ */
+export const exportFavorites = asyncHandler(async (req, res) => {
+  const format = (req.query.format || 'm3u8').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    throw new AppError(`Unsupported export format: ${format}`, 400);
+  }
+
+  const favorites = await Favorite.find({ user: req.user._id })
+    .populate({ path: 'song', select: 'title artist album duration' })
+    .sort({ addedAt: -1 })
+    .lean();
+
+  const songs = favorites.map((fav) => fav.song).filter(Boolean);
+  const file = buildExport(format, { name: 'Favorites' }, songs);
+
+  res.set('Content-Type', file.contentType);
+  res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+  res.send(file.body);
+});
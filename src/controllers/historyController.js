@@ -1,6 +1,6 @@
 import History from '../models/History.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
-import { recordPlayEvent } from '../services/analyticsService.js';
+import { recordPlayEvent, playlistForPlay } from '../services/analyticsService.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -16,7 +16,7 @@ export const getHistory = asyncHandler(async (req, res) => {
   const history = await History.find({ user: req.user._id })
     .populate({
       path: 'song',
-      select: 'title artist genre mood duration coverImageUrl hlsUrl',
+      select: 'title artist genre mood duration coverImageUrl covers colors hlsUrl',
     })
     .sort({ playedAt: -1 })
     .limit(parseInt(limit))
@@ -27,7 +27,8 @@ export const getHistory = asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: history,
+    // Deleted songs are dropped
+    data: history.filter((entry) => entry.song),
     pagination: {
       page: parseInt(page),
       limit: parseInt(limit),
@@ -43,13 +44,15 @@ export const getHistory = asyncHandler(async (req, res) => {
  * @access Private
  */
 export const addToHistory = asyncHandler(async (req, res) => {
-  const { songId, playDuration, completed, source } = req.body;
+  const { songId, playDuration, completed, source, playlistId } = req.body;
+  const playlist = await playlistForPlay(req.user, source, playlistId);
 
   // Add to history
   const entry = await History.addEntry(req.user._id, songId, {
     playDuration,
     completed,
     source,
+    playlist,
   });
 
   // Record analytics (async, don't wait)
@@ -57,6 +60,7 @@ export const addToHistory = asyncHandler(async (req, res) => {
     playDuration,
     completed,
     source,
+    playlist,
   }).catch((err) => {
     logger.error('Failed to record analytics', { error: err.message, songId });
   });
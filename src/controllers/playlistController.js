@@ -0,0 +1,588 @@
+import Playlist from '../models/Playlist.js';
+import Song from '../models/Song.js';
+import User from '../models/User.js';
+import History from '../models/History.js';
+import { AppError } from '../utils/errors.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { recordPlayEvent } from '../services/analyticsService.js';
+import { evaluateRules, refreshSmartPlaylist } from '../services/smartPlaylistService.js';
+import { PLAYABLE_SONG_FILTER } from '../services/songQueryService.js';
+import {
+  EXPORT_FORMATS,
+  buildExport,
+  detectFormat,
+  parsePlaylist,
+  matchEntries,
+} from '../services/playlistTransferService.js';
+import logger from '../utils/logger.js';
+
+const TRACK_SONG_FIELDS = 'title artist genre mood duration coverImageUrl covers colors hlsUrl popularity';
+
+// Max entries accepted from one imported playlist file
+const IMPORT_MAX_ENTRIES = 1000;
+
+/**
+ * Load playlist or throw 404
+ */
+const findPlaylistOrFail = async (id) => {
+  const playlist = await Playlist.findById(id);
+  if (!playlist) {
+    throw new AppError('Playlist not found', 404);
+  }
+  return playlist;
+};
+
+/**
+ * Smart playlist tracks are generated from rules and cannot be edited by hand
+ */
+const assertManual = (playlist) => {
+  if (playlist.type === 'smart') {
+    throw new AppError('Smart playlist tracks are generated from its rules', 400);
+  }
+};
+
+/**
+ * Get playlists owned by or shared with the authenticated user
+ * @route GET /api/v1/playlists
+ * @access Private
+ */
+export const getMyPlaylists = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50 } = req.query;
+
+  const query = { $or: [{ owner: req.user._id }, { collaborators: req.user._id }] };
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const playlists = await Playlist.find(query)
+    .select('-tracks.addedBy')
+    .populate('owner', 'name username')
+    .sort({ updatedAt: -1 })
+    .limit(parseInt(limit))
+    .skip(skip)
+    .lean();
+
+  const total = await Playlist.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: playlists.map((p) => ({ ...p, trackCount: p.tracks.length })),
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  });
+});
+
+/**
+ * Get public playlists
+ * @route GET /api/v1/playlists/public
+ * @access Public
+ */
+export const getPublicPlaylists = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, owner } = req.query;
+
+  const query = { visibility: 'public' };
+  if (owner) {
+    query.owner = owner;
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const playlists = await Playlist.find(query)
+    .populate('owner', 'name username')
+    .sort({ updatedAt: -1 })
+    .limit(parseInt(limit))
+    .skip(skip)
+    .lean();
+
+  const total = await Playlist.countDocuments(query);
+
+  res.set('Cache-Control', 'public, max-age=300'); // 5 minutes
+
+  res.json({
+    success: true,
+    data: playlists.map((p) => ({ ...p, trackCount: p.tracks.length })),
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  });
+});
+
+/**
+ * Get single playlist with tracks
+ * @route GET /api/v1/playlists/:id
+ * @access Public (public playlists) / Private (owner, collaborators)
+ */
+export const getPlaylist = asyncHandler(async (req, res) => {
+  const playlist = await Playlist.findById(req.params.id);
+
+  if (!playlist || !playlist.canView(req.user)) {
+    throw new AppError('Playlist not found', 404);
+  }
+
+  // Smart playlists are re-evaluated on read once their tracks are stale
+  await refreshSmartPlaylist(playlist);
+
+  await playlist.populate([
+    { path: 'owner', select: 'name username' },
+    { path: 'collaborators', select: 'name username' },
+    { path: 'tracks.song', select: TRACK_SONG_FIELDS, match: PLAYABLE_SONG_FILTER },
+  ]);
+
+  const data = playlist.toJSON();
+  // Songs deleted or found unplayable after being added are dropped from the response
+  data.tracks = data.tracks.filter((t) => t.song);
+
+  res.json({
+    success: true,
+    data: {
+      ...data,
+      canEdit: playlist.canEdit(req.user),
+    },
+  });
+});
+
+/**
+ * Create playlist
+ * @route POST /api/v1/playlists
+ * @access Private
+ */
+export const createPlaylist = asyncHandler(async (req, res) => {
+  const { name, description, visibility, type = 'manual', rules, songIds = [] } = req.body;
+
+  if (type === 'smart') {
+    const playlist = await Playlist.create({
+      name,
+      description,
+      visibility,
+      type,
+      rules,
+      owner: req.user._id,
+    });
+
+    await refreshSmartPlaylist(playlist, { force: true });
+
+    return res.status(201).json({
+      success: true,
+      data: playlist,
+    });
+  }
+
+  const uniqueIds = [...new Set(songIds.map(String))];
+  if (uniqueIds.length > 0) {
+    const found = await Song.countDocuments({ _id: { $in: uniqueIds } });
+    if (found !== uniqueIds.length) {
+      throw new AppError('One or more songs not found', 404);
+    }
+  }
+
+  const playlist = await Playlist.create({
+    name,
+    description,
+    visibility,
+    owner: req.user._id,
+    tracks: uniqueIds.map((song) => ({ song, addedBy: req.user._id })),
+  });
+
+  res.status(201).json({
+    success: true,
+    data: playlist,
+  });
+});
+
+/**
+ * Update playlist details (rename, description, visibility, smart rules)
+ * @route PUT /api/v1/playlists/:id
+ * @access Private (Owner/Admin)
+ */
+export const updatePlaylist = asyncHandler(async (req, res) => {
+  const playlist = await findPlaylistOrFail(req.params.id);
+
+  if (!playlist.isOwner(req.user) && req.user.role !== 'admin') {
+    throw new AppError('Not authorized to update this playlist', 403);
+  }
+
+  const { name, description, visibility, rules } = req.body;
+  if (name !== undefined) playlist.name = name;
+  if (description !== undefined) playlist.description = description;
+  if (visibility !== undefined) playlist.visibility = visibility;
+
+  if (rules !== undefined) {
+    if (playlist.type !== 'smart') {
+      throw new AppError('Only smart playlists have rules', 400);
+    }
+    playlist.rules = rules;
+    await refreshSmartPlaylist(playlist, { force: true });
+  } else {
+    await playlist.save();
+  }
+
+  res.json({
+    success: true,
+    data: playlist,
+  });
+});
+
+/**
+ * Delete playlist
+ * @route DELETE /api/v1/playlists/:id
+ * @access Private (Owner/Admin)
+ */
+export const deletePlaylist = asyncHandler(async (req, res) => {
+  const playlist = await findPlaylistOrFail(req.params.id);
+
+  if (!playlist.isOwner(req.user) && req.user.role !== 'admin') {
+    throw new AppError('Not authorized to delete this playlist', 403);
+  }
+
+  await playlist.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Playlist deleted successfully',
+  });
+});
+
+/**
+ * Add track to playlist (appended unless a position is given)
+ * @route POST /api/v1/playlists/:id/tracks
+ * @access Private (Owner/Collaborator)
+ */
+export const addTrack = asyncHandler(async (req, res) => {
+  const { songId, position } = req.body;
+  const playlist = await findPlaylistOrFail(req.params.id);
+
+  if (!playlist.canEdit(req.user)) {
+    throw new AppError('Not authorized to edit this playlist', 403);
+  }
+
+  assertManual(playlist);
+
+  const song = await Song.findById(songId).select('_id').lean();
+  if (!song) {
+    throw new AppError('Song not found', 404);
+  }
+
+  if (playlist.hasSong(songId)) {
+    throw new AppError('Song already in playlist', 400);
+  }
+
+  const track = { song: song._id, addedBy: req.user._id };
+  const index = position === undefined ? playlist.tracks.length : Math.min(position, playlist.tracks.length);
+  playlist.tracks.splice(index, 0, track);
+
+  await playlist.save();
+
+  res.status(201).json({
+    success: true,
+    data: playlist,
+  });
+});
+
+/**
+ * Remove track from playlist
+ * @route DELETE /api/v1/playlists/:id/tracks/:songId
+ * @access Private (Owner/Collaborator)
+ */
+export const removeTrack = asyncHandler(async (req, res) => {
+  const playlist = await findPlaylistOrFail(req.params.id);
+
+  if (!playlist.canEdit(req.user)) {
+    throw new AppError('Not authorized to edit this playlist', 403);
+  }
+
+  assertManual(playlist);
+
+  if (!playlist.hasSong(req.params.songId)) {
+    throw new AppError('Song not in playlist', 404);
+  }
+
+  playlist.tracks = playlist.tracks.filter((t) => String(t.song) !== String(req.params.songId));
+  await playlist.save();
+
+  res.json({
+    success: true,
+    data: playlist,
+  });
+});
+
+/**
+ * Move a track to a new position
+ * @route PUT /api/v1/playlists/:id/tracks/reorder
+ * @access Private (Owner/Collaborator)
+ */
+export const reorderTrack = asyncHandler(async (req, res) => {
+  const { songId, position } = req.body;
+  const playlist = await findPlaylistOrFail(req.params.id);
+
+  if (!playlist.canEdit(req.user)) {
+    throw new AppError('Not authorized to edit this playlist', 403);
+  }
+
+  assertManual(playlist);
+
+  const from = playlist.tracks.findIndex((t) => String(t.song) === String(songId));
+  if (from === -1) {
+    throw new AppError('Song not in playlist', 404);
+  }
+
+  const tracks = playlist.tracks.map((t) => t.toObject());
+  const [moved] = tracks.splice(from, 1);
+  tracks.splice(Math.min(position, tracks.length), 0, moved);
+  playlist.tracks = tracks;
+
+  await playlist.save();
+
+  res.json({
+    success: true,
+    data: playlist,
+  });
+});
+
+/**
+ * Preview the songs a set of smart playlist rules would produce
+ * @route POST /api/v1/playlists/smart/preview
+ * @access Private
+ */
+export const previewSmartPlaylist = asyncHandler(async (req, res) => {
+  const songs = await evaluateRules(req.body.rules);
+
+  res.json({
+    success: true,
+    data: songs,
+    count: songs.length,
+  });
+});
+
+/**
+ * Re-evaluate a smart playlist's rules now
+ * @route POST /api/v1/playlists/:id/refresh
+ * @access Private (Owner/Collaborator)
+ */
+export const refreshPlaylist = asyncHandler(async (req, res) => {
+  const playlist = await findPlaylistOrFail(req.params.id);
+
+  if (!playlist.canEdit(req.user)) {
+    throw new AppError('Not authorized to edit this playlist', 403);
+  }
+
+  if (playlist.type !== 'smart') {
+    throw new AppError('Only smart playlists can be refreshed', 400);
+  }
+
+  await refreshSmartPlaylist(playlist, { force: true });
+
+  res.json({
+    success: true,
+    data: playlist,
+  });
+});
+
+/**
+ * Export playlist as M3U8, XSPF or JSON
+ * @route GET /api/v1/playlists/:id/export?format=m3u8|xspf|json
+ * @access Public (public playlists) / Private (owner, collaborators)
+ */
+export const exportPlaylist = asyncHandler(async (req, res) => {
+  const format = (req.query.format || 'm3u8').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    throw new AppError(`Unsupported export format: ${format}`, 400);
+  }
+
+  const playlist = await Playlist.findById(req.params.id);
+  if (!playlist || !playlist.canView(req.user)) {
+    throw new AppError('Playlist not found', 404);
+  }
+
+  await refreshSmartPlaylist(playlist);
+  await playlist.populate({ path: 'tracks.song', select: 'title artist album duration' });
+
+  const songs = playlist.tracks.map((t) => t.song).filter(Boolean);
+  const file = buildExport(format, { name: playlist.name, description: playlist.description }, songs);
+
+  res.set('Content-Type', file.contentType);
+  res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+  res.send(file.body);
+});
+
+/**
+ * Import a playlist file, matching entries to existing songs
+ * Returns a report of matched, ambiguous and missing entries; unless dryRun
+ * is set, a new playlist is created from the matched songs
+ * @route POST /api/v1/playlists/import
+ * @access Private
+ */
+export const importPlaylist = asyncHandler(async (req, res) => {
+  const { content, name, description, visibility, dryRun = false } = req.body;
+  const format = req.body.format === 'm3u' ? 'm3u8' : req.body.format || detectFormat(content);
+
+  let entries;
+  try {
+    entries = parsePlaylist(format, content);
+  } catch (error) {
+    throw new AppError(`Could not parse ${format} playlist: ${error.message}`, 400);
+  }
+
+  if (entries.length === 0) {
+    throw new AppError('No tracks found in playlist file', 400);
+  }
+
+  if (entries.length > IMPORT_MAX_ENTRIES) {
+    throw new AppError(`Playlist files are limited to ${IMPORT_MAX_ENTRIES} tracks`, 400);
+  }
+
+  const report = await matchEntries(entries);
+
+  let playlist = null;
+  if (!dryRun) {
+    const seen = new Set();
+    const tracks = report.matched
+      .filter(({ song }) => !seen.has(String(song._id)) && seen.add(String(song._id)))
+      .map(({ song }) => ({ song: song._id, addedBy: req.user._id }));
+
+    playlist = await Playlist.create({
+      name: name || `Imported playlist ${new Date().toISOString().slice(0, 10)}`,
+      description,
+      visibility,
+      owner: req.user._id,
+      tracks,
+    });
+  }
+
+  res.status(dryRun ? 200 : 201).json({
+    success: true,
+    data: {
+      playlist,
+      format,
+      summary: {
+        total: entries.length,
+        matched: report.matched.length,
+        ambiguous: report.ambiguous.length,
+        missing: report.missing.length,
+      },
+      report,
+    },
+  });
+});
+
+/**
+ * Invite a collaborator by username
+ * @route POST /api/v1/playlists/:id/collaborators
+ * @access Private (Owner)
+ */
+export const addCollaborator = asyncHandler(async (req, res) => {
+  const playlist = await findPlaylistOrFail(req.params.id);
+
+  if (!playlist.isOwner(req.user)) {
+    throw new AppError('Only the playlist owner can invite collaborators', 403);
+  }
+
+  const user = await User.findOne({ username: req.body.username.toLowerCase() }).select('_id name username');
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  if (playlist.isOwner(user)) {
+    throw new AppError('Owner cannot be added as a collaborator', 400);
+  }
+
+  if (playlist.collaborators.some((c) => String(c) === String(user._id))) {
+    throw new AppError('User is already a collaborator', 400);
+  }
+
+  playlist.collaborators.push(user._id);
+  await playlist.save();
+
+  res.status(201).json({
+    success: true,
+    data: { _id: user._id, name: user.name, username: user.username },
+  });
+});
+
+/**
+ * Remove a collaborator (owner removes anyone, collaborators can leave)
+ * @route DELETE /api/v1/playlists/:id/collaborators/:userId
+ * @access Private (Owner/Self)
+ */
+export const removeCollaborator = asyncHandler(async (req, res) => {
+  const playlist = await findPlaylistOrFail(req.params.id);
+  const { userId } = req.params;
+
+  if (!playlist.isOwner(req.user) && String(req.user._id) !== String(userId)) {
+    throw new AppError('Not authorized to remove this collaborator', 403);
+  }
+
+  const before = playlist.collaborators.length;
+  playlist.collaborators = playlist.collaborators.filter((c) => String(c) !== String(userId));
+
+  if (playlist.collaborators.length === before) {
+    throw new AppError('Collaborator not found', 404);
+  }
+
+  await playlist.save();
+
+  res.json({
+    success: true,
+    message: 'Collaborator removed',
+  });
+});
+
+/**
+ * Record playback of a playlist track (tags History and Analytics with the playlist)
+ * @route POST /api/v1/playlists/:id/play
+ * @access Private
+ */
+export const playTrack = asyncHandler(async (req, res) => {
+  const { songId, playDuration = 0, completed = false } = req.body;
+  const playlist = await findPlaylistOrFail(req.params.id);
+
+  if (!playlist.canView(req.user)) {
+    throw new AppError('Playlist not found', 404);
+  }
+
+  if (!playlist.hasSong(songId)) {
+    throw new AppError('Song not in playlist', 404);
+  }
+
+  const playData = {
+    playDuration,
+    completed,
+    source: 'playlist',
+    playlist: playlist._id,
+  };
+
+  const entry = await History.addEntry(req.user._id, songId, playData);
+
+  // Record analytics (async, don't wait)
+  recordPlayEvent(songId, req.user._id, playData).catch((err) => {
+    logger.error('Failed to record analytics', { error: err.message, songId, playlistId: playlist._id });
+  });
+
+  res.status(201).json({
+    success: true,
+    data: entry,
+  });
+});
+
+export default {
+  getMyPlaylists,
+  getPublicPlaylists,
+  getPlaylist,
+  createPlaylist,
+  updatePlaylist,
+  deletePlaylist,
+  addTrack,
+  removeTrack,
+  reorderTrack,
+  previewSmartPlaylist,
+  refreshPlaylist,
+  exportPlaylist,
+  importPlaylist,
+  addCollaborator,
+  removeCollaborator,
+  playTrack,
+};
@@ -3,7 +3,11 @@ import { getAudioMetadata } from '../services/ffmpegService.js';
 import fs from 'fs';
 import path from 'path';
 import config from '../config/index.js';
-import { uploadFile } from '../utils/storage.js';
+import { processCoverImage } from '../services/coverImageService.js';
+import {
+  deletePodcast as softDeletePodcast,
+  restorePodcast as restoreDeletedPodcast,
+} from '../services/deletionService.js';
 
 /**
  * Upload a podcast episode (Artists only)
@@ -27,7 +31,6 @@ export const uploadPodcast = async (req, res, next) => {
     // For legacy support, allow creating a show if at least title is present.
     // If it looks like an episode upload hitting the wrong endpoint, we'll try to be helpful.
     if (!title) {
-      if (req.file) fs.unlinkSync(req.file.path);
       return res.status(400).json({
         success: false,
         error: 'Title is required. If you are trying to upload an episode, please select a Podcast Series first.'
@@ -46,17 +49,6 @@ export const uploadPodcast = async (req, res, next) => {
       categoriesArray = [finalCategories];
     }
 
-    // Handle cover image if uploaded
-    let coverImage = '';
-    if (req.file) {
-      console.log(`🖼️ Uploading cover image for podcast: ${req.file.originalname}`);
-      // Use general uploadFile utility which handles both S3 and Local based on config
-      coverImage = await uploadFile(req.file.path, s3Key, req.file.mimetype, true);
-      console.log('✅ Cover image uploaded successfully:', coverImage);
-      // Clean up temp file
-      if (fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
-    }
-
     // Parse keywords
     let keywordsArray = [];
     if (keywords) {
@@ -65,16 +57,26 @@ export const uploadPodcast = async (req, res, next) => {
         : Array.isArray(keywords) ? keywords : [];
     }
 
-    const podcast = await Podcast.create({
+    const podcast = new Podcast({
       title: title.trim(),
       description: (description || 'No description provided').trim(),
       categories: categoriesArray,
       keywords: keywordsArray,
       host: host || req.user.name,
       artist: req.user._id,
-      coverImage: coverImage || ''
+      coverImage: ''
     });
 
+    // Handle cover image if uploaded (resized variants, works with both S3 and local storage)
+    if (req.file) {
+      console.log(`🖼️ Processing cover image for podcast: ${req.file.originalname}`);
+      const { url, covers, colors } = await processCoverImage(req.file.path, `podcasts/${podcast._id}`);
+      Object.assign(podcast, { coverImage: url, covers, colors });
+      console.log('✅ Cover image uploaded successfully:', url);
+    }
+
+    await podcast.save();
+
     res.status(201).json({
       success: true,
       data: podcast
@@ -82,6 +84,9 @@ export const uploadPodcast = async (req, res, next) => {
 
   } catch (error) {
     next(error);
+  } finally {
+    // Clean up temp file
+    if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
   }
 };
 
@@ -208,7 +213,8 @@ export const getPodcast = async (req, res, next) => {
 };
 
 /**
- * Delete a podcast (Artist can only delete their own)
+ * Delete a podcast with its episodes (Artist can only delete their own)
+ * Restorable for the grace period, then its files are purged
  */
 export const deletePodcast = async (req, res, next) => {
   try {
@@ -229,14 +235,45 @@ export const deletePodcast = async (req, res, next) => {
       });
     }
 
-    // Delete from database
-    await Podcast.findByIdAndDelete(req.params.id);
+    const restorableUntil = await softDeletePodcast(podcast, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Podcast deleted',
+      data: { restorableUntil }
+    });
 
-    // TODO: Delete from S3 as well (optional - can be done in background)
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Undo a podcast deletion, with the episodes deleted along with it (within the grace period)
+ */
+export const restorePodcast = async (req, res, next) => {
+  try {
+    const deleted = await Podcast.findById(req.params.id).withDeleted().select('artist deletedAt').lean();
+
+    if (!deleted || !deleted.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Deleted podcast not found'
+      });
+    }
+
+    if (deleted.artist.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only restore your own podcasts'
+      });
+    }
+
+    const podcast = await restoreDeletedPodcast(deleted._id);
 
     res.json({
       success: true,
-      message: 'Podcast deleted successfully'
+      data: podcast
     });
 
   } catch (error) {
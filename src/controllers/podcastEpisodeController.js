@@ -1,13 +1,35 @@
-import Podcast from '../models/Podcast.js';
+import mongoose from 'mongoose';
 import PodcastEpisode from '../models/PodcastEpisode.js';
-import { convertToHLS, cleanupFiles, getAudioMetadata } from '../services/ffmpegService.js';
-import { uploadPodcastHLSToS3, uploadPodcastAudioToS3 } from '../utils/s3.js';
+import { cleanupFiles } from '../services/ffmpegService.js';
+import { processEpisodeUpload } from '../services/episodeUploadService.js';
 import { AppError } from '../utils/errors.js';
-import path from 'path';
-import fs from 'fs';
+import { getFileStream, readFile, isMissingFileError } from '../utils/storage.js';
+import {
+  deleteEpisode as softDeleteEpisode,
+  restoreEpisode as restoreDeletedEpisode,
+  purgeEpisode,
+} from '../services/deletionService.js';
+import {
+  MEDIA_TYPES,
+  issuePlaybackToken,
+  verifyPlaybackToken,
+  readPlaybackToken,
+  sendContentKey,
+  signPlaylist,
+} from '../services/playbackSecurityService.js';
+import {
+  loadEpisodeWaveform,
+  selectResolution,
+} from '../services/waveformService.js';
 import config from '../config/index.js';
 
-// Public - stream episode via CloudFront (or presigned fallback)
+// Storage folder of an episode's HLS output (podcasts/<pid>/episodes/<eid>/hls) and its entry playlist
+const hlsLocation = (hlsPath) => {
+  const index = hlsPath.lastIndexOf('/hls/');
+  return { folder: hlsPath.slice(0, index + '/hls'.length), entry: hlsPath.slice(index + '/hls/'.length) };
+};
+
+// Public - stream episode through the tokenized HLS proxy (see songController.getSecureStream)
 export const streamEpisode = async (req, res, next) => {
   try {
     const query = { _id: req.params.id };
@@ -22,112 +44,171 @@ export const streamEpisode = async (req, res, next) => {
 
     if (!episode.hlsPath) return res.status(400).json({ success: false, error: 'Episode not ready for streaming' });
 
-    // Build CloudFront URL (public domain or signed via cloudFrontService in s3 util)
-    const streamUrl = config.aws.cloudFrontDomain
-      ? `https://${config.aws.cloudFrontDomain}/${episode.hlsPath}`
-      : await (await import('../utils/s3.js')).getSecureStreamingUrl(episode.hlsPath);
+    // Playback session token, required to fetch the decryption key (and proxied files), valid for the whole episode
+    const { token, expiresIn } = issuePlaybackToken({
+      mediaType: MEDIA_TYPES.EPISODE,
+      mediaId: episode._id,
+      userId: req.user?._id,
+      ttlSeconds: config.playback.tokenTtlSeconds + (episode.duration || 0),
+    });
 
-    res.json({ success: true, streamUrl });
+    // Direct bucket/CDN URLs can't work: variant playlists aren't signed and the key URI needs
+    // the token, so every backend streams through the proxy, which signs the playlists it serves
+    const streamUrl = `${config.storage.baseUrl}/api/v1/podcast-episodes/${episode._id}/hls/${hlsLocation(episode.hlsPath).entry}` +
+      `?token=${encodeURIComponent(token)}`;
+
+    res.json({ success: true, streamUrl, playbackToken: token, expiresIn, loudness: episode.loudness || null });
   } catch (err) {
     next(err);
   }
 };
 
-// Public - report play (frontend should call after 30s of playback)
-export const reportPlay = async (req, res, next) => {
+// Public (valid playback token) - episode HLS playlists and segments from storage (see songController.proxyHLS)
+export const proxyEpisodeHLS = async (req, res) => {
   try {
-    const episode = await PodcastEpisode.findByIdAndUpdate(req.params.id, { $inc: { totalPlays: 1 } }, { new: true }).lean();
-    if (!episode) return res.status(404).json({ success: false, error: 'Episode not found' });
-    res.json({ success: true, totalPlays: episode.totalPlays });
-  } catch (err) {
-    next(err);
-  }
-};
+    const hlsFile = req.params[0];
 
-// Admin - upload episode audio, convert to HLS, upload to S3, save DB keys
-export const uploadEpisode = async (req, res, next) => {
-  const tempFiles = [];
+    // Rendition folders are allowed ("128k/segment000.ts"), parent references are not
+    if (!hlsFile || hlsFile.split('/').some((part) => part === '..' || part === '')) {
+      return res.status(400).send('Invalid HLS path');
+    }
 
-  try {
-    const podcastId = req.params.id;
-    const podcast = await Podcast.findById(podcastId);
-    if (!podcast) throw new AppError('Podcast not found', 404);
+    const token = readPlaybackToken(req);
+    if (!verifyPlaybackToken(token, MEDIA_TYPES.EPISODE, req.params.id)) {
+      return res.status(403).send('Invalid or expired playback token');
+    }
 
-    if (!req.file) throw new AppError('No audio file uploaded', 400);
+    const episode = await PodcastEpisode.findById(req.params.id).select('hlsPath').lean();
+    if (!episode || !episode.hlsPath) return res.status(404).send('Episode or HLS stream not found');
 
-    // Create episode record first to obtain an ID
-    const payload = {
-      podcastId,
-      title: req.body.title || req.file.originalname,
-      description: req.body.description || '',
-      duration: req.body.duration || 0,
-      episodeNumber: req.body.episodeNumber || 0,
-      season: req.body.season,
-      releaseDate: req.body.releaseDate || Date.now(),
-      createdByArtist: req.user?.artistProfile || undefined,
-      category: req.body.category ? (Array.isArray(req.body.category) ? req.body.category : [req.body.category]) : [],
-      keywords: req.body.keywords ? (Array.isArray(req.body.keywords) ? req.body.keywords : [req.body.keywords]) : [],
-      language: req.body.language || 'en',
-      explicit: req.body.explicit === 'true' || req.body.explicit === true,
-    };
+    const isPlaylist = hlsFile.endsWith('.m3u8');
+    res.set('Content-Type', isPlaylist ? 'application/vnd.apple.mpegurl' : hlsFile.endsWith('.ts') ? 'video/MP2T' : 'application/octet-stream');
+    // URLs are per-listener (tokenized), so only the browser may cache them
+    res.set('Cache-Control', isPlaylist ? 'private, no-store' : 'private, max-age=3600');
 
-    const episode = await PodcastEpisode.create(payload);
+    const key = `${hlsLocation(episode.hlsPath).folder}/${hlsFile}`;
 
-    // Paths
-    const inputPath = req.file.path;
-    tempFiles.push(inputPath);
+    if (isPlaylist) {
+      const playlist = (await readFile(key)).toString('utf8');
+      return res.send(signPlaylist(playlist, token));
+    }
 
-    const tmpOutputDir = path.join('/tmp', 'podcasts', String(podcastId), String(episode._id), 'hls');
+    const file = await getFileStream(key);
+    if (file.contentLength) res.set('Content-Length', file.contentLength);
 
-    // Convert to HLS
-    const hlsResult = await convertToHLS(inputPath, tmpOutputDir);
-    tempFiles.push(hlsResult.outputDir);
+    file.body.on('error', (err) => {
+      console.error('❌ Episode HLS proxy stream error:', err);
+      if (!res.headersSent) {
+        res.status(500).send('Failed to stream HLS file');
+      } else {
+        res.destroy(err);
+      }
+    });
+    file.body.pipe(res);
+  } catch (err) {
+    if (isMissingFileError(err)) return res.status(404).send('HLS file not found');
+    console.error('❌ Episode HLS proxy error:', err.message);
+    res.status(500).send('Failed to proxy HLS stream');
+  }
+};
 
-    // Upload HLS files to S3
-    const playlistKey = await uploadPodcastHLSToS3(hlsResult.files, podcastId, episode._id);
+// Public (valid playback token) - AES-128 key for the episode's HLS segments
+export const getEpisodeHLSKey = async (req, res, next) => {
+  try {
+    if (!verifyPlaybackToken(readPlaybackToken(req), MEDIA_TYPES.EPISODE, req.params.id)) {
+      return res.status(403).json({ success: false, error: 'Invalid or expired playback token' });
+    }
+
+    const episode = await PodcastEpisode.findById(req.params.id).select('+hlsKey').lean();
+    if (!episode || !episode.hlsKey) return res.status(404).json({ success: false, error: 'Key not found' });
+
+    sendContentKey(res, episode.hlsKey);
+  } catch (err) {
+    next(err);
+  }
+};
 
-    // Upload original audio as well
-    const audioKey = await uploadPodcastAudioToS3(inputPath, podcastId, episode._id, req.file.originalname);
+// Public - waveform peaks (?resolution= picks the closest stored resolution)
+export const getEpisodeWaveform = async (req, res, next) => {
+  try {
+    const query = { _id: req.params.id };
 
-    // Get metadata (duration) if possible
-    let metadata = {};
-    try {
-      metadata = await getAudioMetadata(inputPath);
-    } catch (e) {
-      // non-fatal
+    // Only allow published episodes to non-artist users
+    if (!req.user || req.user.role !== 'artist') {
+      query.status = 'published';
     }
 
-    // Update episode record
-    episode.hlsPath = playlistKey;
-    episode.audioPath = audioKey;
-    if (metadata.duration) episode.duration = metadata.duration;
-    await episode.save();
+    const episode = await PodcastEpisode.findOne(query).select('waveformPath status').lean();
+    if (!episode) return res.status(404).json({ success: false, error: 'Episode not found' });
+    if (!episode.waveformPath) return res.status(404).json({ success: false, error: 'Waveform not available for this episode' });
 
-    // Increment podcast episodeCount
-    podcast.episodeCount = (podcast.episodeCount || 0) + 1;
-    await podcast.save();
+    const waveform = await loadEpisodeWaveform(episode.waveformPath);
 
-    // Cleanup
-    await cleanupFiles(tempFiles);
+    // Per viewer: artists also see unpublished episodes
+    res.set('Cache-Control', episode.status === 'published' ? 'private, max-age=86400' : 'private, no-store');
+    res.json({ success: true, data: selectResolution(waveform, req.query.resolution) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Public - report play (frontend should call after 30s of playback)
+export const reportPlay = async (req, res, next) => {
+  try {
+    const episode = await PodcastEpisode.findByIdAndUpdate(req.params.id, { $inc: { totalPlays: 1 } }, { new: true }).lean();
+    if (!episode) return res.status(404).json({ success: false, error: 'Episode not found' });
+    res.json({ success: true, totalPlays: episode.totalPlays });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin - upload episode audio, convert to HLS, upload to storage, save DB keys
+export const uploadEpisode = async (req, res, next) => {
+  try {
+    if (!req.file) throw new AppError('No audio file uploaded', 400);
+
+    const { episode } = await processEpisodeUpload({
+      podcastId: req.params.id,
+      fields: req.body,
+      audio: { path: req.file.path, originalName: req.file.originalname },
+      episodeId: new mongoose.Types.ObjectId(),
+      createdByArtist: req.user?.artistProfile || undefined,
+    });
 
     res.status(201).json({ success: true, data: episode });
   } catch (err) {
-    // attempt cleanup
-    try { if (tempFiles.length) await cleanupFiles(tempFiles); } catch (e) { }
     next(err);
+  } finally {
+    if (req.file) await cleanupFiles([req.file.path]);
   }
 };
 
-// Admin - delete episode and S3 files reference removal is left to operator (not implemented)
+// Admin - delete episode (restorable for the grace period; ?permanent=true purges it at once)
 export const deleteEpisode = async (req, res, next) => {
   try {
-    const ep = await PodcastEpisode.findByIdAndDelete(req.params.id);
+    const ep = await PodcastEpisode.findById(req.params.id);
     if (!ep) return res.status(404).json({ success: false, error: 'Episode not found' });
 
-    // Decrement podcast episodeCount
-    await Podcast.findByIdAndUpdate(ep.podcastId, { $inc: { episodeCount: -1 } });
+    // Also decrements the podcast's episodeCount
+    const restorableUntil = await softDeleteEpisode(ep, req.user._id);
 
-    res.json({ success: true });
+    if (req.query.permanent === 'true') {
+      await purgeEpisode(ep);
+      return res.json({ success: true });
+    }
+
+    res.json({ success: true, data: { restorableUntil } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin - undo an episode deletion (within the grace period)
+export const restoreEpisode = async (req, res, next) => {
+  try {
+    const episode = await restoreDeletedEpisode(req.params.id);
+    res.json({ success: true, data: episode });
   } catch (err) {
     next(err);
   }
@@ -196,6 +277,7 @@ export const getEpisodesByPodcast = async (req, res, next) => {
 
 export default {
   streamEpisode,
+  proxyEpisodeHLS,
   reportPlay,
   uploadEpisode,
   deleteEpisode,
@@ -0,0 +1,77 @@
+import { searchAll, suggest, SEARCH_TYPES, SUGGEST_TYPES } from '../services/searchService.js';
+import { AppError } from '../utils/errors.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+/**
+ * Unified search across songs, albums, artists, podcasts and episodes
+ * @route GET /api/v1/search?q=&types=songs,albums&limit=5
+ * @access Public
+ */
+export const search = asyncHandler(async (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (!q) {
+    throw new AppError('Search query (q) is required', 400);
+  }
+  if (q.length > 200) {
+    throw new AppError('Search query cannot exceed 200 characters', 400);
+  }
+
+  let types = Object.keys(SEARCH_TYPES);
+  if (req.query.types) {
+    types = String(req.query.types).split(',').map((t) => t.trim()).filter(Boolean);
+    const invalid = types.filter((t) => !SEARCH_TYPES[t]);
+    if (invalid.length > 0) {
+      throw new AppError(`Unknown search types: ${invalid.join(', ')}`, 400);
+    }
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 20);
+
+  const data = await searchAll(q, { types, limit });
+
+  // Set cache headers for CDN
+  res.set('Cache-Control', 'public, max-age=60'); // 1 minute
+
+  res.json({
+    success: true,
+    query: q,
+    data,
+  });
+});
+
+/**
+ * Autocomplete suggestions (typo tolerant) for songs, albums and artists
+ * @route GET /api/v1/search/suggest?q=&limit=8
+ * @access Public
+ */
+export const getSuggestions = asyncHandler(async (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim().slice(0, 100) : '';
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 8, 1), 20);
+
+  let types = SUGGEST_TYPES;
+  if (req.query.types) {
+    types = String(req.query.types).split(',').map((t) => t.trim()).filter(Boolean);
+    const invalid = types.filter((t) => !SUGGEST_TYPES.includes(t));
+    if (invalid.length > 0) {
+      throw new AppError(`Suggestions are not available for: ${invalid.join(', ')}`, 400);
+    }
+  }
+
+  // Suggestions start after 2 characters
+  if (q.length < 2) {
+    return res.json({ success: true, query: q, data: [], fuzzy: false });
+  }
+
+  const { suggestions, fuzzy } = await suggest(q, { types, limit });
+
+  res.set('Cache-Control', 'public, max-age=60'); // 1 minute
+
+  res.json({
+    success: true,
+    query: q,
+    data: suggestions,
+    fuzzy,
+  });
+});
+
+export default { search, getSuggestions };
@@ -1,15 +1,38 @@
-import path from 'path';
-import fs from 'fs';
-import { getSignedS3Url } from '../utils/s3.js';
 import Song from '../models/Song.js';
 import History from '../models/History.js';
 import { AppError } from '../utils/errors.js';
+import { buildSongFilter, computeSongFacets } from '../services/songQueryService.js';
+import { regeneratePreview } from '../services/previewService.js';
+import { loadSongWaveform, selectResolution } from '../services/waveformService.js';
+import { ESTIMATED_FIELDS, acceptAnalysisUpdate } from '../services/audioAnalysisService.js';
+import { LIVE_VERSION_SELECT, listVersions, restoreVersion, syncLiveVersion } from '../services/songVersionService.js';
+import {
+  deleteSong as softDeleteSong,
+  restoreSong as restoreDeletedSong,
+  purgeSong,
+} from '../services/deletionService.js';
+import {
+  storageKeyFromUrl,
+  getFileStream,
+  readFile,
+  getSignedFileUrl,
+  getStreamingUrl,
+  isMissingFileError,
+} from '../utils/storage.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  MEDIA_TYPES,
+  issuePlaybackToken,
+  verifyPlaybackToken,
+  readPlaybackToken,
+  sendContentKey,
+  signPlaylist,
+} from '../services/playbackSecurityService.js';
 import logger from '../utils/logger.js';
 import config from '../config/index.js';
-import { S3Client, GetObjectCommand } from '@aws-sdk/client-s3';
+
 /**
- * Get presigned S3 URL for a song's cover image
+ * Get a signed URL for a song's cover image
  * @route GET /api/v1/songs/:id/cover-signed-url
  * @access Public
  */
@@ -19,24 +42,13 @@ export const getCoverSignedUrl = asyncHandler(async (req, res) => {
     throw new AppError('Song or cover image not found', 404);
   }
 
-  // If it's a local URL, return it as is
-  if (song.coverImageUrl.startsWith('http://localhost') || song.coverImageUrl.includes('/uploads/')) {
-    console.log(`🖼️ Serving local cover URL for song: ${req.params.id}`);
+  // Covers hosted elsewhere are returned as is
+  if (!storageKeyFromUrl(song.coverImageUrl)) {
     return res.json({ success: true, url: song.coverImageUrl });
   }
 
-  // Extract S3 key from the coverImageUrl (assuming it contains the S3 key or full S3 URL)
-  let s3Key = song.coverImageUrl;
-  // If it's a full S3 URL, extract the key
-  if (s3Key.includes('amazonaws.com/')) {
-    const urlParts = s3Key.split('.amazonaws.com/');
-    if (urlParts.length === 2) {
-      s3Key = urlParts[1];
-    }
-  }
-
-  // Generate presigned URL (default 1 hour)
-  const signedUrl = await getSignedS3Url(s3Key, 3600);
+  // Signed URL (default 1 hour; the public URL on local storage)
+  const signedUrl = await getSignedFileUrl(song.coverImageUrl, 3600);
   res.json({ success: true, url: signedUrl });
 });
 
@@ -58,47 +70,25 @@ export const getSongs = asyncHandler(async (req, res) => {
     sort = '-createdAt', // Default to newest first
     minBpm,
     maxBpm,
+    facets,
   } = req.query;
 
   // Build query
-  const query = {};
+  const filters = { genre, mood, language, artist, search, minBpm, maxBpm };
+  const query = buildSongFilter(filters);
+  const visibility = {};
 
   // Only show published songs to non-artist users (in production)
   // In development, show all songs for testing
   if (process.env.NODE_ENV === 'production' && (!req.user || req.user.role !== 'artist')) {
+    visibility.status = 'published';
     query.status = 'published';
   }
 
-  // Filters
-  if (genre) {
-    query.genre = Array.isArray(genre) ? { $in: genre } : { $in: [genre] };
-  }
-  if (mood) {
-    query.mood = Array.isArray(mood) ? { $in: mood } : { $in: [mood] };
-  }
-  if (language) {
-    query.language = language;
-  }
-  if (artist) {
-    query.artist = new RegExp(artist, 'i');
-  }
-
-  // BPM range filter
-  if (minBpm || maxBpm) {
-    query.bpm = {};
-    if (minBpm) query.bpm.$gte = parseInt(minBpm);
-    if (maxBpm) query.bpm.$lte = parseInt(maxBpm);
-  }
-
-  // Text search
-  if (search) {
-    query.$text = { $search: search };
-  }
-
   // Execute query with pagination and projection
   const skip = (parseInt(page) - 1) * parseInt(limit);
   const songs = await Song.find(query)
-    .select('title artist genre mood bpm language popularity duration coverImageUrl createdAt')
+    .select('title artist genre mood bpm language popularity duration coverImageUrl covers colors createdAt')
     .sort(sort)
     .limit(parseInt(limit))
     .skip(skip)
@@ -106,6 +96,10 @@ export const getSongs = asyncHandler(async (req, res) => {
 
   const total = await Song.countDocuments(query);
 
+  // Facet counts (genre, mood, language, BPM ranges) for filter UIs, on request (?facets=true):
+  // they aggregate the whole filtered catalog, which later pages don't need again
+  const facetCounts = facets === 'true' ? await computeSongFacets(filters, visibility) : undefined;
+
   console.log(`📋 GET /songs: Returning ${songs.length} songs (total: ${total})`);
   if (songs.length > 0) {
     console.log(`   Latest song: "${songs[0].title}" by ${songs[0].artist} (${songs[0].createdAt})`);
@@ -123,6 +117,7 @@ export const getSongs = asyncHandler(async (req, res) => {
       total,
       pages: Math.ceil(total / limit),
     },
+    facets: facetCounts,
   });
 });
 
@@ -181,6 +176,56 @@ export const createSong = asyncHandler(async (req, res) => {
  * @access Private (Owner/Admin)
  */
 export const updateSong = asyncHandler(async (req, res) => {
+  let song = await Song.findById(req.params.id).select('+sourceUrl');
+
+  if (!song) {
+    throw new AppError('Song not found', 404);
+  }
+
+  // Check ownership
+  if (song.createdBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    throw new AppError('Not authorized to update this song', 403);
+  }
+
+  const { previewStart, ...updates } = req.body;
+
+  // Moving the preview start re-cuts the clip from the stored source
+  if (previewStart !== undefined && previewStart !== song.previewStart) {
+    if (!song.sourceUrl) {
+      throw new AppError('Preview cannot be changed: source audio is not stored for this song', 422);
+    }
+    Object.assign(updates, await regeneratePreview(song, previewStart));
+  }
+
+  // Fields the artist sets are no longer estimates
+  const overridden = ESTIMATED_FIELDS.filter((field) => updates[field] !== undefined);
+  if (overridden.length > 0) {
+    updates.$pull = { 'analysis.applied': { $in: overridden } };
+  }
+
+  song = await Song.findByIdAndUpdate(req.params.id, updates, {
+    new: true,
+    runValidators: true,
+  });
+
+  // The live audio version's record keeps the re-cut preview too
+  if (updates.previewUrl) {
+    await syncLiveVersion(song, updates);
+  }
+
+  res.json({
+    success: true,
+    data: song,
+  });
+});
+
+/**
+ * Accept tempo/key/mood estimates from the upload analysis
+ * Copies the estimated values over the song's own (whatever their confidence)
+ * @route POST /api/v1/songs/:id/analysis/accept
+ * @access Private (Owner/Admin)
+ */
+export const acceptSongAnalysis = asyncHandler(async (req, res) => {
   let song = await Song.findById(req.params.id);
 
   if (!song) {
@@ -192,7 +237,11 @@ export const updateSong = asyncHandler(async (req, res) => {
     throw new AppError('Not authorized to update this song', 403);
   }
 
-  song = await Song.findByIdAndUpdate(req.params.id, req.body, {
+  if (!song.analysis || !song.analysis.analyzedAt) {
+    throw new AppError('This song has not been analyzed yet', 409);
+  }
+
+  song = await Song.findByIdAndUpdate(req.params.id, acceptAnalysisUpdate(song.analysis, req.body.fields), {
     new: true,
     runValidators: true,
   });
@@ -204,7 +253,67 @@ export const updateSong = asyncHandler(async (req, res) => {
 });
 
 /**
- * Delete song
+ * List a song's audio versions (newest first, the live one flagged)
+ * @route GET /api/v1/songs/:id/versions
+ * @access Private (Owner/Admin)
+ */
+export const getSongVersions = asyncHandler(async (req, res) => {
+  const song = await Song.findById(req.params.id).select('createdBy audioVersion hlsUrl duration createdAt');
+
+  if (!song) {
+    throw new AppError('Song not found', 404);
+  }
+
+  // Check ownership
+  if (song.createdBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    throw new AppError('Not authorized to view this song\'s versions', 403);
+  }
+
+  const versions = await listVersions(song);
+
+  res.json({
+    success: true,
+    count: versions.length,
+    data: {
+      audioVersion: song.audioVersion || 1,
+      versions,
+    },
+  });
+});
+
+/**
+ * Roll a song's audio back (or forward) to a stored version
+ * @route POST /api/v1/songs/:id/versions/:version/restore
+ * @access Private (Owner/Admin)
+ */
+export const restoreSongVersion = asyncHandler(async (req, res) => {
+  const version = parseInt(req.params.version, 10);
+  if (!(version >= 1)) {
+    throw new AppError('Invalid version number', 400);
+  }
+
+  const song = await Song.findById(req.params.id).select(LIVE_VERSION_SELECT);
+
+  if (!song) {
+    throw new AppError('Song not found', 404);
+  }
+
+  // Check ownership
+  if (song.createdBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    throw new AppError('Not authorized to update this song', 403);
+  }
+
+  const restored = await restoreVersion(song, version);
+
+  res.json({
+    success: true,
+    message: `Song now plays audio version ${version}`,
+    data: restored,
+  });
+});
+
+/**
+ * Delete song (restorable for the grace period; admins may purge at once with ?permanent=true)
  * @route DELETE /api/v1/songs/:id
  * @access Private (Owner/Admin)
  */
@@ -220,39 +329,41 @@ export const deleteSong = asyncHandler(async (req, res) => {
     throw new AppError('Not authorized to delete this song', 403);
   }
 
-  const songId = song._id.toString();
+  const restorableUntil = await softDeleteSong(song, req.user._id);
 
-  // Delete from database
-  await song.deleteOne();
+  if (req.query.permanent === 'true' && req.user.role === 'admin') {
+    await purgeSong(song._id);
+    return res.json({ success: true, message: 'Song and associated files deleted permanently' });
+  }
 
-  // Cleanup files for local storage
-  if (config.storage.type === 'local') {
-    try {
-      // Delete HLS directory
-      const hlsDir = path.resolve(config.storage.localDir, 'songs', songId);
-      if (fs.existsSync(hlsDir)) {
-        console.log(`🗑️ Deleting local HLS directory: ${hlsDir}`);
-        fs.rmSync(hlsDir, { recursive: true, force: true });
-      }
+  res.json({
+    success: true,
+    message: 'Song deleted',
+    data: { restorableUntil },
+  });
+});
 
-      // Delete cover image if it's local
-      if (song.coverImageUrl && song.coverImageUrl.includes('/uploads/')) {
-        const coverRelative = song.coverImageUrl.split('/uploads/')[1];
-        const coverPath = path.resolve(config.storage.localDir, coverRelative);
-        if (fs.existsSync(coverPath)) {
-          console.log(`🗑️ Deleting local cover image: ${coverPath}`);
-          fs.unlinkSync(coverPath);
-        }
-      }
-    } catch (err) {
-      console.error(`❌ Failed to cleanup files for song ${songId}:`, err.message);
-      // We don't throw here to ensure the API response is still sent
-    }
+/**
+ * Undo a song deletion (within the grace period)
+ * @route POST /api/v1/songs/:id/restore
+ * @access Private (Owner/Admin)
+ */
+export const restoreSong = asyncHandler(async (req, res) => {
+  const deleted = await Song.findById(req.params.id).withDeleted().select('createdBy deletedAt').lean();
+
+  if (!deleted || !deleted.deletedAt) {
+    throw new AppError('Deleted song not found', 404);
   }
 
+  if (String(deleted.createdBy) !== String(req.user._id) && req.user.role !== 'admin') {
+    throw new AppError('Not authorized to restore this song', 403);
+  }
+
+  const song = await restoreDeletedSong(deleted._id);
+
   res.json({
     success: true,
-    message: 'Song and associated files deleted successfully',
+    data: song,
   });
 });
 
@@ -263,7 +374,7 @@ export const deleteSong = asyncHandler(async (req, res) => {
  */
 export const getSongStream = asyncHandler(async (req, res) => {
   const song = await Song.findById(req.params.id)
-    .select('title artist hlsUrl duration')
+    .select('title artist hlsUrl duration loudness unplayable')
     .lean();
 
   if (!song) {
@@ -274,6 +385,11 @@ export const getSongStream = asyncHandler(async (req, res) => {
     throw new AppError('Stream not available for this song', 404);
   }
 
+  // Stored audio found missing by the storage integrity check
+  if (song.unplayable) {
+    throw new AppError('This song is currently unavailable', 410);
+  }
+
   // Log access for analytics (optional)
   console.log(`Stream accessed: ${song.title} by user ${req.user.email}`);
 
@@ -287,14 +403,34 @@ export const getSongStream = asyncHandler(async (req, res) => {
       duration: song.duration,
       type: 'hls',
       protocol: 'application/vnd.apple.mpegurl',
+      loudness: song.loudness || null,
     },
   });
 });
 
 /**
- * Get streaming URL - Simple CloudFront URL construction
+ * Entry playlist of a song relative to its hls/ folder: master.m3u8 for
+ * multi-bitrate uploads, playlist.m3u8 for older single-rendition ones
+ */
+const hlsEntryPlaylist = (hlsUrl) => {
+  const relative = hlsUrl.split('/hls/').pop();
+  return relative && relative !== hlsUrl ? relative : 'playlist.m3u8';
+};
+
+/**
+ * Storage folder of a song's live HLS output: songs/<id>/v<N>/hls after an
+ * audio replacement, songs/<id>/hls otherwise (and for URLs from another host)
+ */
+const hlsFolderKey = (hlsUrl, songId) => {
+  const key = storageKeyFromUrl(hlsUrl) || '';
+  const index = key.lastIndexOf('/hls/');
+  return key.startsWith(`songs/${songId}/`) && index >= 0 ? key.slice(0, index + '/hls'.length) : `songs/${songId}/hls`;
+};
+
+/**
+ * Get streaming URL - HLS proxy URL carrying a short-lived, song-scoped playback token
  * @route GET /api/v1/songs/:id/stream
- * @access Public (no authentication required)
+ * @access Public (no authentication required; the user is recorded in the token when logged in)
  */
 export const getSecureStream = asyncHandler(async (req, res) => {
   try {
@@ -312,7 +448,7 @@ export const getSecureStream = asyncHandler(async (req, res) => {
 
     // Fetch song from database
     const song = await Song.findById(songId)
-      .select('_id title artist hlsUrl')
+      .select('_id title artist duration hlsUrl loudness unplayable')
       .lean();
 
     if (!song) {
@@ -332,8 +468,25 @@ export const getSecureStream = asyncHandler(async (req, res) => {
       });
     }
 
+    // Stored audio found missing by the storage integrity check
+    if (song.unplayable) {
+      return res.status(410).json({
+        success: false,
+        error: 'This song is currently unavailable',
+      });
+    }
+
+    // Song-scoped playback token, valid long enough to play the track once
+    const { token, expiresIn } = issuePlaybackToken({
+      mediaType: MEDIA_TYPES.SONG,
+      mediaId: song._id,
+      userId: req.user?._id,
+      ttlSeconds: config.playback.tokenTtlSeconds + (song.duration || 0),
+    });
+
     // Use backend proxy URL to bypass CORS issues
-    const streamUrl = `${config.storage.baseUrl}/api/v1/songs/${songId}/hls/playlist.m3u8`;
+    const streamUrl = `${config.storage.baseUrl}/api/v1/songs/${songId}/hls/${hlsEntryPlaylist(song.hlsUrl)}` +
+      `?token=${encodeURIComponent(token)}`;
 
     console.log(`✅ Stream URL generated: ${streamUrl}`);
     logger.info(`Stream: ${song._id}, song: ${song.title}`);
@@ -343,6 +496,10 @@ export const getSecureStream = asyncHandler(async (req, res) => {
       success: true,
       data: {
         streamUrl,
+        playbackToken: token,
+        expiresIn,
+        // Track gain/peak for client-side normalization (null until analyzed)
+        loudness: song.loudness || null,
       },
     });
   } catch (error) {
@@ -357,6 +514,93 @@ export const getSecureStream = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Get AES-128 key for a song's encrypted HLS segments
+ * Requires the playback token from GET /songs/:id/stream (X-Playback-Token header or ?token=)
+ * @route GET /api/v1/songs/:id/hls/key
+ * @access Public (valid playback token)
+ */
+export const getHLSKey = asyncHandler(async (req, res) => {
+  if (!verifyPlaybackToken(readPlaybackToken(req), MEDIA_TYPES.SONG, req.params.id)) {
+    throw new AppError('Invalid or expired playback token', 403);
+  }
+
+  const song = await Song.findById(req.params.id).select('+hlsKey').lean();
+  if (!song || !song.hlsKey) {
+    throw new AppError('Key not found', 404);
+  }
+
+  sendContentKey(res, song.hlsKey);
+});
+
+/**
+ * Serve the preview clip (MP3) for logged-out visitors and artist pages
+ * @route GET /api/v1/songs/:id/preview
+ * @access Public
+ */
+export const getSongPreview = asyncHandler(async (req, res) => {
+  const query = { _id: req.params.id };
+
+  // Only show published songs to non-artist users
+  if (!req.user || req.user.role !== 'artist') {
+    query.status = 'published';
+  }
+
+  const song = await Song.findOne(query).select('previewUrl status').lean();
+
+  if (!song) {
+    throw new AppError('Song not found', 404);
+  }
+
+  if (!song.previewUrl) {
+    throw new AppError('Preview not available for this song', 404);
+  }
+
+  // Per viewer (artists also see unpublished songs), and well within the signed URL's lifetime
+  res.set('Cache-Control', song.status === 'published' ? 'private, max-age=300' : 'private, no-store');
+
+  // Local previews aren't served statically (they'd skip the published check): send the file, Range requests included
+  if (config.storage.type === 'local') {
+    return res.sendFile(storageKeyFromUrl(song.previewUrl), { root: config.storage.localDir, cacheControl: false });
+  }
+
+  // Redirect to a CloudFront/presigned URL
+  res.redirect(302, await getStreamingUrl(song.previewUrl));
+});
+
+/**
+ * Get waveform peaks (?resolution= picks the closest stored resolution)
+ * @route GET /api/v1/songs/:id/waveform
+ * @access Public
+ */
+export const getSongWaveform = asyncHandler(async (req, res) => {
+  const query = { _id: req.params.id };
+
+  // Only show published songs to non-artist users
+  if (!req.user || req.user.role !== 'artist') {
+    query.status = 'published';
+  }
+
+  const song = await Song.findOne(query).select('waveformUrl status').lean();
+
+  if (!song) {
+    throw new AppError('Song not found', 404);
+  }
+
+  if (!song.waveformUrl) {
+    throw new AppError('Waveform not available for this song', 404);
+  }
+
+  const waveform = await loadSongWaveform(song.waveformUrl);
+
+  // Per viewer: artists also see unpublished songs
+  res.set('Cache-Control', song.status === 'published' ? 'private, max-age=86400' : 'private, no-store');
+  res.json({
+    success: true,
+    data: selectResolution(waveform, req.query.resolution),
+  });
+});
+
 /**
  * Increment play count
  * @route POST /api/v1/songs/:id/play
@@ -379,6 +623,7 @@ export const incrementPlayCount = asyncHandler(async (req, res) => {
       playDuration: req.body.playDuration || 0,
       completed: req.body.completed || false,
       source: req.body.source || 'direct',
+      playlist: req.body.source === 'playlist' ? req.body.playlistId : undefined,
     });
   }
 
@@ -389,9 +634,11 @@ export const incrementPlayCount = asyncHandler(async (req, res) => {
 });
 
 /**
- * Proxy HLS files from S3 (bypasses CORS)
+ * Proxy HLS files from storage (bypasses CORS)
+ * Every request needs the playback token from GET /songs/:id/stream (?token= or X-Playback-Token);
+ * playlists are rewritten so variant, segment and key URIs carry it too
  * @route GET /api/v1/songs/:id/hls/*
- * @access Public
+ * @access Public (valid playback token)
  */
 export const proxyHLS = asyncHandler(async (req, res) => {
   try {
@@ -400,81 +647,72 @@ export const proxyHLS = asyncHandler(async (req, res) => {
 
     console.log(`🎵 HLS Proxy request: song=${songId}, path=${hlsPath}`);
 
+    // Rendition folders are allowed ("128k/segment000.ts"), parent references are not
+    if (!hlsPath || hlsPath.split('/').some((part) => part === '..' || part === '')) {
+      return res.status(400).send('Invalid HLS path');
+    }
+
+    // Reject missing, expired and other songs' tokens
+    const token = readPlaybackToken(req);
+    const playback = verifyPlaybackToken(token, MEDIA_TYPES.SONG, songId);
+    if (!playback) {
+      return res.status(403).send('Invalid or expired playback token');
+    }
+
     // Validate song exists
-    const song = await Song.findById(songId).select('hlsUrl').lean();
+    const song = await Song.findById(songId).select('hlsUrl unplayable').lean();
     if (!song || !song.hlsUrl) {
       console.warn(`⚠️ HLS Proxy: Song ${songId} not found or has no HLS URL`);
       return res.status(404).send('Song or HLS stream not found');
     }
+    if (song.unplayable) {
+      return res.status(410).send('This song is currently unavailable');
+    }
+
+    const isPlaylist = hlsPath.endsWith('.m3u8');
 
     // Set appropriate headers
-    const contentType = hlsPath.endsWith('.m3u8')
+    const contentType = isPlaylist
       ? 'application/vnd.apple.mpegurl'
       : hlsPath.endsWith('.ts')
         ? 'video/MP2T'
         : 'application/octet-stream';
 
     res.set('Content-Type', contentType);
-    res.set('Access-Control-Allow-Origin', '*');
-    res.set('Cache-Control', 'public, max-age=3600');
-
-    // Handle Local Storage
-    if (config.storage.type === 'local') {
-      const localPath = path.resolve(config.storage.localDir, 'songs', songId, 'hls', hlsPath);
-      console.log(`📂 HLS Proxy: Serving local file: ${localPath}`);
-
-      if (!fs.existsSync(localPath)) {
-        console.error(`❌ HLS Proxy: Local file not found: ${localPath}`);
-        return res.status(404).send('HLS file not found locally');
-      }
+    // URLs are per-listener (tokenized), so only the browser may cache them
+    res.set('Cache-Control', isPlaylist ? 'private, no-store' : 'private, max-age=3600');
 
-      console.log(`🚀 HLS Proxy: Streaming local file...`);
-      const stream = fs.createReadStream(localPath);
-      stream.on('error', (err) => {
-        console.error('❌ HLS Proxy: Stream error:', err);
-        if (!res.headersSent) {
-          res.status(500).send('Failed to stream local file');
-        }
-      });
-      return stream.pipe(res);
+    // Entry playlist request = start of a stream
+    if (hlsPath === hlsEntryPlaylist(song.hlsUrl)) {
+      logger.info(`HLS session: song=${songId}, user=${playback.uid || 'anonymous'}`);
     }
 
-    // Handle S3 Storage
-    console.log(`📡 HLS Proxy: Fetching from S3: ${config.aws.s3Bucket}/songs/${songId}/hls/${hlsPath}`);
-
-    const s3Client = new S3Client({
-      region: config.aws.region,
-      credentials: {
-        accessKeyId: config.aws.accessKeyId,
-        secretAccessKey: config.aws.secretAccessKey,
-      },
-    });
-
-    const command = new GetObjectCommand({
-      Bucket: config.aws.s3Bucket,
-      Key: `songs/${songId}/hls/${hlsPath}`,
-    });
+    // Live audio version's folder
+    const key = `${hlsFolderKey(song.hlsUrl, songId)}/${hlsPath}`;
 
-    const s3Response = await s3Client.send(command);
+    if (isPlaylist) {
+      const playlist = (await readFile(key)).toString('utf8');
+      return res.send(signPlaylist(playlist, token));
+    }
 
-    if (s3Response.ContentLength) {
-      res.set('Content-Length', s3Response.ContentLength);
+    const file = await getFileStream(key);
+    if (file.contentLength) {
+      res.set('Content-Length', file.contentLength);
     }
 
-    s3Response.Body.pipe(res);
+    file.body.on('error', (err) => {
+      console.error('❌ HLS Proxy: Stream error:', err);
+      if (!res.headersSent) {
+        res.status(500).send('Failed to stream HLS file');
+      } else {
+        res.destroy(err);
+      }
+    });
+    file.body.pipe(res);
   } catch (error) {
     console.error('❌ HLS proxy error:', error.message);
-    if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
-      
-      // Fallback for local development: If S3 doesn't have it, check local D: drive
-      const localPath = path.resolve(config.storage.localDir || 'uploads', 'songs', req.params.id, 'hls', req.params[0]);
-      if (fs.existsSync(localPath)) {
-        console.log(`📂 FALLBACK: File missing from S3, but found locally! Serving: ${localPath}`);
-        const stream = fs.createReadStream(localPath);
-        return stream.pipe(res);
-      }
-
-      return res.status(404).send('HLS file not found on S3 or local disk');
+    if (isMissingFileError(error)) {
+      return res.status(404).send('HLS file not found');
     }
     res.status(500).send('Failed to proxy HLS stream');
   }
@@ -500,6 +738,7 @@ export const publishSong = asyncHandler(async (req, res) => {
   }
 
   song.status = 'published';
+  if (!song.publishedAt) song.publishedAt = new Date();
   await song.save();
 
   res.json({
@@ -1,24 +1,44 @@
+import UploadJob from '../models/UploadJob.js';
 import Song from '../models/Song.js';
+import DuplicateFlag from '../models/DuplicateFlag.js';
+import { enqueueSongUpload, enqueueAudioReplacement } from '../services/uploadJobService.js';
 import {
-  uploadAudioMiddleware,
-  uploadWithCoverMiddleware,
-  uploadErrorHandler,
-} from "../middleware/upload.js";
-// import { upload, uploadCover, uploadWithCover, handleMulterError } from '../middleware/upload.js';
-import { convertToHLS, getAudioMetadata, validateAudioFile, cleanupFiles } from '../services/ffmpegService.js';
-import { uploadHLSForSong, uploadFile } from '../utils/storage.js';
-import path from 'path';
-import fs from 'fs';
+  findSession,
+  createSession,
+  appendChunk,
+  completeSession,
+  abortSession,
+} from '../services/resumableUploadService.js';
+import { enqueueAlbumUpload, getAlbumUploadStatus } from '../services/albumUploadService.js';
+import { cleanupFiles } from '../services/ffmpegService.js';
 import { AppError } from '../utils/errors.js';
 import config from '../config/index.js';
 
 /**
- * Upload and process song
- * POST /api/v1/songs/upload
+ * 202 response for a queued upload job
  */
-export const uploadSong = async (req, res, next) => {
-  const tempFiles = [];
+const sendQueued = (res, job, message) => {
+  res.status(202).json({
+    success: true,
+    message,
+    data: {
+      jobId: job._id,
+      status: job.status,
+      stage: job.stage,
+      progress: job.progress,
+      fields: job.input.fields,
+      fromTags: job.fromTags,
+      audioVersion: job.audioVersion,
+      statusUrl: `/api/${config.apiVersion}/upload/jobs/${job._id}`,
+    },
+  });
+};
 
+/**
+ * Upload a song for background processing
+ * POST /api/v1/upload/song
+ */
+export const uploadSong = async (req, res, next) => {
   try {
     console.log('📦 Received upload request');
     console.log('File:', req.file ? req.file.originalname : 'none');
@@ -30,119 +50,34 @@ export const uploadSong = async (req, res, next) => {
       throw new AppError('No audio file uploaded', 400);
     }
 
-    const { title, artist, genre, mood, bpm, language } = req.body;
-
-    // Validate required fields
-    if (!title || !artist || !genre || !language) {
-      console.error('❌ Missing required fields');
-      throw new AppError('Missing required fields: title, artist, genre, language', 400);
-    }
-
-    const audioFile = req.file;
-    tempFiles.push(audioFile.path);
-
-    console.log('✅ Audio file uploaded:', audioFile.originalname);
-
-    // Validate audio file
-    try {
-      await validateAudioFile(audioFile.path);
-    } catch (error) {
-      console.error('❌ Audio validation failed:', error.message);
-      // Check if it's an FFmpeg issue
-      if (error.message.includes('FFmpeg') || error.message.includes('ffprobe')) {
-        throw new AppError(
-          'Server configuration error: FFmpeg is not installed. ' +
-          'Please contact the administrator to install FFmpeg for audio processing.',
-          500
-        );
-      }
-      throw error;
-    }
-
-    // Get audio metadata
-    console.log('🔍 Extracting audio metadata...');
-    const metadata = await getAudioMetadata(audioFile.path);
-
-    // Convert to HLS
-    console.log('🎵 Converting to HLS format...');
-    const hlsOutputDir = path.join(config.storage.localDir, 'hls', `song-${Date.now()}`);
-    tempFiles.push(hlsOutputDir);
-
-    const hlsResult = await convertToHLS(audioFile.path, hlsOutputDir);
-
-    // Create temporary song document to get ID
-    const tempSong = new Song({
-      title,
-      artist,
-      genre: Array.isArray(genre) ? genre : genre.split(',').map(g => g.trim()),
-      mood: mood ? (Array.isArray(mood) ? mood : mood.split(',').map(m => m.trim())) : [],
-      bpm: bpm ? parseInt(bpm) : undefined,
-      language,
-      duration: metadata.duration,
-      coverImageUrl: 'https://placehold.co/300', // Temporary placeholder
-      hlsUrl: 'temp', // Will be updated after S3 upload
+    const job = await enqueueSongUpload({
+      user: req.user,
+      fields: req.body,
+      audioFile: req.file,
     });
 
-    const songId = tempSong._id.toString();
-
-    // Upload HLS files to S3
-    console.log('☁️ Uploading HLS files to S3...');
-    const playlistUrl = await uploadHLSForSong(hlsResult.files, songId);
-
-    if (!playlistUrl) {
-      throw new AppError('Failed to get HLS playlist URL from S3', 500);
-    }
-
-    // Update song with HLS URL
-    tempSong.hlsUrl = playlistUrl;
-
-    // Add user who uploaded
-    if (req.user && req.user._id) {
-      tempSong.createdBy = req.user._id;
-      // If user is an artist, set createdByArtist
-      if (req.user.role === 'artist' && req.user.artistProfile) {
-        tempSong.createdByArtist = req.user.artistProfile;
-      }
-    }
-
-    // Save to database
-    await tempSong.save();
+    console.log('✅ Upload queued:', job._id.toString());
 
-    console.log('✅ Song uploaded successfully:', songId);
-
-    // Cleanup temp files
-    await cleanupFiles(tempFiles);
-
-    res.status(201).json({
-      success: true,
-      message: 'Song uploaded and processed successfully',
-      data: {
-        song: tempSong,
-        metadata: {
-          duration: metadata.duration,
-          bitrate: metadata.bitrate,
-          sampleRate: metadata.sampleRate,
-          channels: metadata.channels,
-        },
-      },
-    });
+    sendQueued(res, job, 'Song upload queued for processing');
   } catch (error) {
-    // Cleanup on error
-    if (tempFiles.length > 0) {
-      await cleanupFiles(tempFiles);
-    }
-
     console.error('Upload error:', error);
     next(error);
+  } finally {
+    // The job works from its staged copy in storage
+    if (req.file) {
+      await cleanupFiles([req.file.path]);
+    }
   }
 };
 
 /**
- * Upload song with cover image
- * POST /api/v1/songs/upload-with-cover
+ * Upload a song with cover image for background processing
+ * POST /api/v1/upload/song-with-cover
  */
 export const uploadSongWithCover = async (req, res, next) => {
-  const tempFiles = [];
+  const files = req.files || {};
+  const audioFile = files.audio && files.audio[0];
+  const coverFile = files.coverImage && files.coverImage[0];
 
   try {
     console.log('📦 Received upload request');
@@ -155,142 +90,313 @@ export const uploadSongWithCover = async (req, res, next) => {
       throw new AppError('No files uploaded', 400);
     }
 
-    // Validate audio file
-    if (!req.files.audio || !Array.isArray(req.files.audio) || req.files.audio.length === 0) {
+    if (!audioFile) {
       console.error('❌ No audio file in request');
       throw new AppError('Audio file is required', 400);
     }
 
-    const audioFile = req.files.audio[0];
-    const coverFile = req.files.coverImage && req.files.coverImage[0] ? req.files.coverImage[0] : null;
+    const job = await enqueueSongUpload({
+      user: req.user,
+      fields: req.body,
+      audioFile,
+      coverFile,
+    });
 
-    console.log('✅ Audio file received:', audioFile.originalname);
-    if (coverFile) {
-      console.log('✅ Cover file received:', coverFile.originalname);
-    }
+    console.log('✅ Upload with cover queued:', job._id.toString());
 
-    tempFiles.push(audioFile.path);
-    if (coverFile) {
-      tempFiles.push(coverFile.path);
-    }
+    sendQueued(res, job, 'Song and cover upload queued for processing');
+  } catch (error) {
+    console.error('Upload error:', error);
+    next(error);
+  } finally {
+    // The job works from its staged copies in storage
+    await cleanupFiles([audioFile, coverFile].filter(Boolean).map((file) => file.path));
+  }
+};
 
-    const { title, artist, genre, mood, bpm, language } = req.body;
+/**
+ * Replace the audio of an existing song (keeps its id, stats, favorites and
+ * album links); the new version goes live once processed
+ * PUT /api/v1/songs/:id/audio
+ * Fields: previewStart?, note?
+ */
+export const replaceSongAudio = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      throw new AppError('No audio file uploaded', 400);
+    }
 
-    // Validate required fields
-    if (!title || !artist || !genre || !language) {
-      throw new AppError('Missing required fields: title, artist, genre, language', 400);
+    const song = await Song.findById(req.params.id).select('createdBy');
+    if (!song) {
+      throw new AppError('Song not found', 404);
     }
 
-    console.log('📁 Files uploaded - Audio:', audioFile.path, 'Cover:', coverFile?.path);
-
-    // Validate audio file
-    try {
-      await validateAudioFile(audioFile.path);
-    } catch (error) {
-      console.error('❌ Audio validation failed:', error.message);
-      // Check if it's an FFmpeg issue
-      if (error.message.includes('FFmpeg') || error.message.includes('ffprobe')) {
-        throw new AppError(
-          'Server configuration error: FFmpeg is not installed. ' +
-          'Please contact the administrator to install FFmpeg for audio processing.',
-          500
-        );
-      }
-      throw error;
+    // Only the uploader (or an admin) can replace a song's audio
+    if (song.createdBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      throw new AppError('Not authorized to update this song', 403);
     }
 
-    // Get audio metadata
-    console.log('🔍 Extracting audio metadata...');
-    const metadata = await getAudioMetadata(audioFile.path);
-
-    // Convert to HLS
-    console.log('🎵 Converting to HLS format...');
-    const hlsOutputDir = path.join(config.storage.localDir, 'hls', `song-${Date.now()}`);
-    tempFiles.push(hlsOutputDir);
-
-    const hlsResult = await convertToHLS(audioFile.path, hlsOutputDir);
-
-    // Create temporary song document
-    const tempSong = new Song({
-      title,
-      artist,
-      genre: Array.isArray(genre) ? genre : genre.split(',').map(g => g.trim()),
-      mood: mood ? (Array.isArray(mood) ? mood : mood.split(',').map(m => m.trim())) : [],
-      bpm: bpm ? parseInt(bpm) : undefined,
-      language,
-      duration: metadata.duration,
-      coverImageUrl: 'https://placehold.co/300',
-      hlsUrl: 'temp',
+    const job = await enqueueAudioReplacement({
+      user: req.user,
+      songId: song._id,
+      fields: req.body,
+      audioFile: req.file,
     });
 
-    const songId = tempSong._id.toString();
-
-    // Upload cover image if provided
-    let coverUrl = 'https://placehold.co/300';
-    if (coverFile) {
-      try {
-        console.log('🖼️ Uploading cover image to S3...');
-        const coverKey = `songs/${songId}/cover${path.extname(coverFile.originalname)}`;
-        const coverBuffer = fs.readFileSync(coverFile.path);
-        coverUrl = await uploadFile(coverBuffer, coverKey, coverFile.mimetype, true);
-        console.log('✅ Cover uploaded:', coverUrl);
-      } catch (error) {
-        console.error('❌ Cover upload failed:', error.message);
-        throw new AppError(`Failed to upload cover image: ${error.message}`, 500);
-      }
+    console.log(`✅ Audio replacement queued for song ${song._id}: version ${job.audioVersion}`);
+
+    sendQueued(res, job, `New audio queued for processing as version ${job.audioVersion}`);
+  } catch (error) {
+    next(error);
+  } finally {
+    // The job works from its staged copy in storage
+    if (req.file) {
+      await cleanupFiles([req.file.path]);
     }
+  }
+};
 
-    // Upload HLS files to S3
-    console.log('☁️ Uploading HLS files to S3...');
-    const playlistUrl = await uploadHLSForSong(hlsResult.files, songId);
+/**
+ * Upload a whole album (audio files and/or a ZIP, plus a cover)
+ * POST /api/v1/upload/album
+ * Fields: title, genre, language, artist?, mood?, description?, releaseDate?
+ */
+export const uploadAlbum = async (req, res, next) => {
+  const files = req.files || {};
+  const trackFiles = files.tracks || [];
+  const archiveFile = files.archive && files.archive[0];
+  const coverFile = files.coverImage && files.coverImage[0];
 
-    if (!playlistUrl) {
-      throw new AppError('Failed to get HLS playlist URL from S3', 500);
-    }
+  try {
+    console.log('📦 Received album upload:', trackFiles.length, 'track(s)', archiveFile ? '+ archive' : '');
+
+    const { album, tracks } = await enqueueAlbumUpload({
+      user: req.user,
+      fields: req.body,
+      trackFiles,
+      archiveFile,
+      coverFile,
+    });
 
-    console.log('✅ HLS files uploaded');
+    const failed = tracks.filter((track) => track.error).length;
+    console.log(`✅ Album ${album._id} created, ${tracks.length - failed} track(s) queued, ${failed} rejected`);
 
-    // Update song with URLs
-    tempSong.hlsUrl = playlistUrl;
-    tempSong.coverImageUrl = coverUrl;
+    res.status(202).json({
+      success: true,
+      message: failed
+        ? `Album created; ${tracks.length - failed} track(s) queued, ${failed} rejected`
+        : `Album created; ${tracks.length} track(s) queued for processing`,
+      data: {
+        album,
+        tracks,
+        statusUrl: `/api/${config.apiVersion}/upload/albums/${album._id}`,
+      },
+    });
+  } catch (error) {
+    console.error('Album upload error:', error);
+    next(error);
+  } finally {
+    // Tracks work from their staged copies in storage
+    await cleanupFiles([...trackFiles, archiveFile, coverFile].filter(Boolean).map((file) => file.path));
+  }
+};
 
-    // Add user who uploaded
-    if (req.user && req.user._id) {
-      tempSong.createdBy = req.user._id;
-      // If user is an artist, set createdByArtist
-      if (req.user.role === 'artist' && req.user.artistProfile) {
-        tempSong.createdByArtist = req.user.artistProfile;
-      }
-    }
+/**
+ * Album upload progress, per track
+ * GET /api/v1/upload/albums/:id
+ */
+export const getAlbumUpload = async (req, res, next) => {
+  try {
+    const status = await getAlbumUploadStatus(req.params.id, req.user);
 
-    // Save to database
-    await tempSong.save();
+    res.status(200).json({
+      success: true,
+      data: status,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    console.log('✅ Song with cover uploaded successfully:', songId);
+/**
+ * Get upload job status
+ * GET /api/v1/upload/jobs/:id
+ */
+export const getUploadJob = async (req, res, next) => {
+  try {
+    const job = await UploadJob.findById(req.params.id)
+      .select('-input.audio.url -input.cover.url')
+      .populate('result.song', 'title artist coverImageUrl covers colors duration hlsUrl previewUrl')
+      .populate('result.episode', 'title podcastId duration hlsPath');
+
+    // Only the uploader (or an admin) can see a job
+    if (!job || (req.user.role !== 'admin' && !job.user.equals(req.user._id))) {
+      throw new AppError('Upload job not found', 404);
+    }
 
-    // Cleanup temp files
-    await cleanupFiles(tempFiles);
+    // Catalog songs the upload sounds like
+    const duplicates = job.result && job.result.song
+      ? await DuplicateFlag.find({ song: job.result.song._id })
+        .select('matchedSong similarity kind sameArtist status')
+        .populate('matchedSong', 'title artist')
+      : undefined;
 
-    res.status(201).json({
+    res.status(200).json({
       success: true,
-      message: 'Song and cover uploaded successfully',
       data: {
-        song: tempSong,
-        metadata: {
-          duration: metadata.duration,
-          bitrate: metadata.bitrate,
-          sampleRate: metadata.sampleRate,
-          channels: metadata.channels,
-        },
+        id: job._id,
+        status: job.status,
+        stage: job.stage,
+        progress: job.progress,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        nextAttemptAt: job.status === 'queued' && job.attempts > 0 ? job.runAfter : undefined,
+        error: job.error && job.error.message ? job.error : undefined,
+        type: job.type,
+        song: job.result && job.result.song,
+        episode: job.result && job.result.episode,
+        metadata: job.result && job.result.metadata,
+        title: job.input.fields && job.input.fields.title,
+        fromTags: job.fromTags,
+        audioVersion: job.audioVersion,
+        duplicates,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
       },
     });
   } catch (error) {
-    // Cleanup on error
-    if (tempFiles.length > 0) {
-      await cleanupFiles(tempFiles);
+    next(error);
+  }
+};
+
+/**
+ * List the current user's upload jobs (newest first)
+ * GET /api/v1/upload/jobs?status=failed&limit=20
+ */
+export const getMyUploadJobs = async (req, res, next) => {
+  try {
+    const query = { user: req.user._id };
+    if (req.query.status) {
+      query.status = req.query.status;
     }
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
 
-    console.error('Upload error:', error);
+    const jobs = await UploadJob.find(query)
+      .select('type status stage progress attempts error result input.fields.title createdAt finishedAt')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      count: jobs.length,
+      data: jobs,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Session state for resumable upload responses (offsets also sent as
+ * tus-style Upload-Offset / Upload-Length headers)
+ */
+const sendSession = (res, statusCode, session) => {
+  res.set({ 'Upload-Offset': String(session.offset), 'Upload-Length': String(session.size) });
+  res.status(statusCode).json({
+    success: true,
+    data: {
+      sessionId: session._id,
+      target: session.target,
+      status: session.status,
+      size: session.size,
+      offset: session.offset,
+      chunkSize: session.chunkSize,
+      expiresAt: session.expiresAt,
+      jobId: session.job,
+      uploadUrl: `/api/${config.apiVersion}/upload/sessions/${session._id}`,
+    },
+  });
+};
+
+/**
+ * Start a resumable upload
+ * POST /api/v1/upload/sessions
+ * Body: { target: 'song'|'episode', fileName, mimetype, size, sha256?, podcastId?, fields }
+ */
+export const createUploadSession = async (req, res, next) => {
+  try {
+    const session = await createSession(req.user, req.body);
+    sendSession(res, 201, session);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resumable upload status (HEAD returns only the offset headers)
+ * GET|HEAD /api/v1/upload/sessions/:id
+ */
+export const getUploadSession = async (req, res, next) => {
+  try {
+    const session = await findSession(req.params.id, req.user);
+    sendSession(res, 200, session);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Upload the next chunk
+ * PATCH /api/v1/upload/sessions/:id
+ * Headers: Upload-Offset, Upload-Checksum ("sha256 <base64>"); raw body
+ */
+export const uploadSessionChunk = async (req, res, next) => {
+  try {
+    const session = await findSession(req.params.id, req.user);
+    const updated = await appendChunk(session, req.get('Upload-Offset'), req.body, req.get('Upload-Checksum'));
+    sendSession(res, 200, updated);
+  } catch (error) {
+    // Tell the client where to resume from
+    if (error.statusCode === 409) {
+      const session = await findSession(req.params.id, req.user).catch(() => null);
+      if (session) res.set('Upload-Offset', String(session.offset));
+    }
+    next(error);
+  }
+};
+
+/**
+ * Finish a resumable upload and queue processing
+ * POST /api/v1/upload/sessions/:id/complete
+ * Body (optional): { fields } to add fields the file tags didn't provide
+ */
+export const completeUploadSession = async (req, res, next) => {
+  try {
+    const session = await findSession(req.params.id, req.user);
+    const { jobId } = await completeSession(session, req.user, req.body && req.body.fields);
+    const job = await UploadJob.findById(jobId);
+
+    sendQueued(res, job, 'Upload complete, queued for processing');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Abort a resumable upload
+ * DELETE /api/v1/upload/sessions/:id
+ */
+export const abortUploadSession = async (req, res, next) => {
+  try {
+    const session = await findSession(req.params.id, req.user);
+    await abortSession(session);
+
+    res.status(200).json({
+      success: true,
+      message: 'Upload session aborted',
+    });
+  } catch (error) {
     next(error);
   }
 };
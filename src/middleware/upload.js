@@ -3,6 +3,8 @@ import path from "path";
 import fs from "fs";
 
 import os from 'os';
+import { SUPPORTED_FORMATS_LABEL } from "../services/audioFormatService.js";
+import config from "../config/index.js";
 
 /**
  * Only writable directory on Vercel
@@ -44,16 +46,28 @@ const storage = multer.diskStorage({
  * File Filters
  * =========================================================
  */
-const audioFileFilter = (req, file, cb) => {
-  const allowedMimes = ["audio/mpeg", "audio/mp3", "audio/wav", "audio/x-wav"];
-  const allowedExts = [".mp3", ".wav"];
+const AUDIO_MIMES = [
+  "audio/mpeg", "audio/mp3",
+  "audio/wav", "audio/x-wav", "audio/wave",
+  "audio/flac", "audio/x-flac",
+  "audio/aac", "audio/mp4", "audio/m4a", "audio/x-m4a",
+  "audio/ogg", "audio/opus", "application/ogg",
+  "audio/aiff", "audio/x-aiff",
+];
+const AUDIO_EXTS = [".mp3", ".wav", ".flac", ".aac", ".m4a", ".ogg", ".oga", ".opus", ".aif", ".aiff"];
 
-  const ext = path.extname(file.originalname).toLowerCase();
+/**
+ * Accepted audio upload (also used by resumable upload sessions).
+ * Only a pre-filter: the real format is sniffed with ffprobe during processing.
+ */
+export const isAllowedAudioFile = (originalname, mimetype) =>
+  AUDIO_MIMES.includes(mimetype) || AUDIO_EXTS.includes(path.extname(originalname || "").toLowerCase());
 
-  if (allowedMimes.includes(file.mimetype) || allowedExts.includes(ext)) {
+const audioFileFilter = (req, file, cb) => {
+  if (isAllowedAudioFile(file.originalname, file.mimetype)) {
     cb(null, true);
   } else {
-    cb(new Error("Only audio files (MP3, WAV) are allowed"), false);
+    cb(new Error(`Only audio files (${SUPPORTED_FORMATS_LABEL}) are allowed`), false);
   }
 };
 
@@ -73,6 +87,23 @@ const combinedFileFilter = (req, file, cb) => {
   cb(new Error("Unexpected field"), false);
 };
 
+const archiveFileFilter = (req, file, cb) => {
+  const allowedMimes = ["application/zip", "application/x-zip-compressed", "multipart/x-zip"];
+
+  if (allowedMimes.includes(file.mimetype) || path.extname(file.originalname).toLowerCase() === ".zip") {
+    cb(null, true);
+  } else {
+    cb(new Error("Only ZIP archives are allowed"), false);
+  }
+};
+
+const albumFileFilter = (req, file, cb) => {
+  if (file.fieldname === "tracks") return audioFileFilter(req, file, cb);
+  if (file.fieldname === "archive") return archiveFileFilter(req, file, cb);
+  if (file.fieldname === "coverImage") return coverFileFilter(req, file, cb);
+  cb(new Error("Unexpected field"), false);
+};
+
 /**
  * =========================================================
  * Exported Multer Middleware (ONLY ONCE)
@@ -90,6 +121,12 @@ export const uploadCoverMiddleware = multer({
   limits: { fileSize: 5 * 1024 * 1024 },
 }).single("coverImage");
 
+export const uploadProfileImageMiddleware = multer({
+  storage,
+  fileFilter: coverFileFilter,
+  limits: { fileSize: 5 * 1024 * 1024 },
+}).single("profileImage");
+
 export const uploadWithCoverMiddleware = multer({
   storage,
   fileFilter: combinedFileFilter,
@@ -99,6 +136,17 @@ export const uploadWithCoverMiddleware = multer({
   { name: "coverImage", maxCount: 1 },
 ]);
 
+// Album: several audio files ("tracks") and/or one ZIP ("archive"), plus a cover
+export const uploadAlbumMiddleware = multer({
+  storage,
+  fileFilter: albumFileFilter,
+  limits: { fileSize: config.albumUploads.maxFileBytes },
+}).fields([
+  { name: "tracks", maxCount: config.albumUploads.maxTracks },
+  { name: "archive", maxCount: 1 },
+  { name: "coverImage", maxCount: 1 },
+]);
+
 /**
  * =========================================================
  * Multer Error Handler
@@ -107,9 +155,11 @@ export const uploadWithCoverMiddleware = multer({
 export const uploadErrorHandler = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     if (err.code === "LIMIT_FILE_SIZE") {
+      // Album fields ("tracks", "archive") have their own limit
+      const maxBytes = ["tracks", "archive"].includes(err.field) ? config.albumUploads.maxFileBytes : 50 * 1024 * 1024;
       return res.status(400).json({
         success: false,
-        error: "File too large. Max size is 50MB",
+        error: `File too large. Max size is ${Math.floor(maxBytes / (1024 * 1024))}MB`,
       });
     }
     return res.status(400).json({
@@ -1,5 +1,7 @@
 import Joi from 'joi';
 import { AppError } from '../utils/errors.js';
+import { SONG_SORT_FIELDS } from '../services/songQueryService.js';
+import { ESTIMATED_FIELDS, KEY_NAMES } from '../services/audioAnalysisService.js';
 
 /**
  * Validate request data against Joi schema
@@ -21,6 +23,19 @@ export const validate = (schema) => {
   };
 };
 
+// Smart playlist rules (same filters as GET /songs)
+const smartPlaylistRules = Joi.object({
+  genre: Joi.array().items(Joi.string()),
+  mood: Joi.array().items(Joi.string()),
+  language: Joi.string(),
+  artist: Joi.string().max(200),
+  minBpm: Joi.number().min(0).max(300),
+  maxBpm: Joi.number().min(0).max(300),
+  publishedWithinDays: Joi.number().integer().min(1),
+  sort: Joi.string().valid(...SONG_SORT_FIELDS.flatMap((f) => [f, `-${f}`])),
+  limit: Joi.number().integer().min(1).max(200),
+});
+
 // Common validation schemas
 export const schemas = {
   // Auth
@@ -127,6 +142,20 @@ export const schemas = {
     }),
     tags: Joi.array().items(Joi.string()),
     isPublished: Joi.boolean(),
+    previewStart: Joi.number().min(0),
+    // Setting these overrides the automatic estimates
+    bpm: Joi.number().positive().max(300),
+    key: Joi.string().valid(...KEY_NAMES),
+    mode: Joi.string().valid('major', 'minor'),
+    mood: Joi.array().items(Joi.string().valid('energetic', 'happy', 'sad', 'calm', 'intense', 'romantic')),
+  }),
+
+  // Accept tempo/key/mood estimates (all of them when fields is omitted)
+  acceptAnalysis: Joi.object({
+    fields: Joi.array()
+      .items(Joi.string().valid(...ESTIMATED_FIELDS))
+      .min(1)
+      .default(ESTIMATED_FIELDS),
   }),
 
   // History
@@ -135,10 +164,61 @@ export const schemas = {
     playDuration: Joi.number().min(0),
     completed: Joi.boolean(),
     source: Joi.string().valid('search', 'recommendation', 'playlist', 'album', 'artist', 'direct'),
+    playlistId: Joi.string().hex().length(24),
   }),
 
   // Favorites
   checkMultipleFavorites: Joi.object({
     songIds: Joi.array().items(Joi.string()).min(1).max(100).required(),
   }),
+
+  // Playlists
+  createPlaylist: Joi.object({
+    name: Joi.string().trim().min(1).max(200).required(),
+    description: Joi.string().allow('').max(1000),
+    visibility: Joi.string().valid('public', 'private'),
+    type: Joi.string().valid('manual', 'smart'),
+    songIds: Joi.array().items(Joi.string().hex().length(24)).max(500),
+    rules: smartPlaylistRules.when('type', { is: 'smart', then: Joi.required(), otherwise: Joi.forbidden() }),
+  }),
+
+  updatePlaylist: Joi.object({
+    name: Joi.string().trim().min(1).max(200),
+    description: Joi.string().allow('').max(1000),
+    visibility: Joi.string().valid('public', 'private'),
+    rules: smartPlaylistRules,
+  }).min(1),
+
+  importPlaylist: Joi.object({
+    name: Joi.string().trim().min(1).max(200),
+    description: Joi.string().allow('').max(1000),
+    visibility: Joi.string().valid('public', 'private'),
+    format: Joi.string().valid('m3u8', 'm3u', 'xspf', 'json'),
+    content: Joi.string().max(2 * 1024 * 1024).required(),
+    dryRun: Joi.boolean(),
+  }),
+
+  previewSmartPlaylist: Joi.object({
+    rules: smartPlaylistRules.required(),
+  }),
+
+  addPlaylistTrack: Joi.object({
+    songId: Joi.string().hex().length(24).required(),
+    position: Joi.number().integer().min(0),
+  }),
+
+  reorderPlaylistTrack: Joi.object({
+    songId: Joi.string().hex().length(24).required(),
+    position: Joi.number().integer().min(0).required(),
+  }),
+
+  addPlaylistCollaborator: Joi.object({
+    username: Joi.string().min(2).max(100).required(),
+  }),
+
+  playPlaylistTrack: Joi.object({
+    songId: Joi.string().hex().length(24).required(),
+    playDuration: Joi.number().min(0),
+    completed: Joi.boolean(),
+  }),
 };
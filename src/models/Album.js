@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { searchTokensPlugin } from '../utils/searchTokens.js';
+import { softDeletePlugin } from '../utils/softDelete.js';
 
 const albumSchema = new mongoose.Schema(
     {
@@ -30,6 +32,15 @@ const albumSchema = new mongoose.Schema(
             required: [true, 'Cover image URL is required'],
             trim: true,
         },
+        // Resized WebP/JPEG variants by size: { '64': { webp, jpeg }, ... } (see coverImageService)
+        covers: {
+            type: mongoose.Schema.Types.Mixed,
+        },
+        // Cover colors for UI theming ('#rrggbb')
+        colors: {
+            dominant: String,
+            accent: String,
+        },
         genre: {
             type: [String],
             required: [true, 'At least one genre is required'],
@@ -61,6 +72,18 @@ const albumSchema = new mongoose.Schema(
     }
 );
 
+// Text index for unified search
+albumSchema.index(
+    { title: 'text', artist: 'text', description: 'text' },
+    { weights: { title: 10, artist: 5, description: 1 }, name: 'album_text' }
+);
+
+// Prefix/trigram tokens for autocomplete and typo-tolerant search
+albumSchema.plugin(searchTokensPlugin, { fields: ['title', 'artist'] });
+
+// Deletes can be undone for a grace period (see deletionService)
+albumSchema.plugin(softDeletePlugin);
+
 // Virtual for song count
 albumSchema.virtual('songCount').get(function () {
     return this.songs ? this.songs.length : 0;
@@ -71,6 +94,8 @@ albumSchema.set('toJSON', {
     virtuals: true,
     transform: (doc, ret) => {
         delete ret.__v;
+        delete ret.searchPrefixes;
+        delete ret.searchGrams;
         return ret;
     },
 });
@@ -41,6 +41,12 @@ const analyticsSchema = new mongoose.Schema(
       artist: { type: Number, default: 0 },
       direct: { type: Number, default: 0 },
     },
+    // Plays per playlist id (only for source = 'playlist')
+    playlists: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
   },
   {
     timestamps: true,
@@ -65,24 +71,30 @@ analyticsSchema.set('toJSON', {
  * Record a play event
  * @param {ObjectId} songId - Song ID
  * @param {ObjectId} userId - User ID
- * @param {Object} data - Play data (duration, completed, source, album)
+ * @param {Object} data - Play data (duration, completed, source, album, playlist)
  */
 analyticsSchema.statics.recordPlay = async function (songId, userId, data = {}) {
   const today = new Date();
   today.setHours(0, 0, 0, 0);
 
-  const { playDuration = 0, completed = false, source = 'direct', album = null } = data;
+  const { playDuration = 0, completed = false, source = 'direct', album = null, playlist = null } = data;
+
+  const inc = {
+    plays: 1,
+    completedPlays: completed ? 1 : 0,
+    totalDuration: playDuration,
+    [`sources.${source}`]: 1,
+  };
+
+  if (source === 'playlist' && playlist) {
+    inc[`playlists.${playlist}`] = 1;
+  }
 
   // Upsert analytics document for today
   const result = await this.findOneAndUpdate(
     { song: songId, date: today },
     {
-      $inc: {
-        plays: 1,
-        completedPlays: completed ? 1 : 0,
-        totalDuration: playDuration,
-        [`sources.${source}`]: 1,
-      },
+      $inc: inc,
       $addToSet: { uniqueListeners: userId.toString() },
       $setOnInsert: { album },
     },
@@ -156,6 +168,7 @@ analyticsSchema.statics.getTopSongs = async function (limit = 10, startDate = nu
       },
     },
     { $unwind: '$songDetails' },
+    { $match: { 'songDetails.deletedAt': null } },
     {
       $project: {
         songId: '$_id',
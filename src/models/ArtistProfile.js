@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { searchTokensPlugin } from '../utils/searchTokens.js';
 
 const ArtistProfileSchema = new mongoose.Schema(
   {
@@ -6,10 +7,32 @@ const ArtistProfileSchema = new mongoose.Schema(
     artistName: { type: String, required: true },
     bio: { type: String },
     profileImage: { type: String },
+    // Resized WebP/JPEG variants by size: { '64': { webp, jpeg }, ... } (see coverImageService)
+    covers: { type: mongoose.Schema.Types.Mixed },
+    // Image colors for UI theming ('#rrggbb')
+    colors: { dominant: String, accent: String },
     verified: { type: Boolean, default: false },
     totalFollowers: { type: Number, default: 0 },
   },
   { timestamps: true }
 );
 
+// Text index for unified search
+ArtistProfileSchema.index(
+  { artistName: 'text', bio: 'text' },
+  { weights: { artistName: 10, bio: 1 }, name: 'artist_profile_text' }
+);
+
+// Prefix/trigram tokens for autocomplete and typo-tolerant search
+ArtistProfileSchema.plugin(searchTokensPlugin, { fields: ['artistName'] });
+
+// Keep search tokens out of API responses
+ArtistProfileSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.searchPrefixes;
+    delete ret.searchGrams;
+    return ret;
+  },
+});
+
 export default mongoose.model('ArtistProfile', ArtistProfileSchema);
@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+/**
+ * A song whose acoustic fingerprint matches an older catalog song
+ * (see fingerprintService). Shown to the uploading artist and reviewed by admins.
+ */
+const duplicateFlagSchema = new mongoose.Schema(
+  {
+    // The newer upload (the possible duplicate)
+    song: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Song',
+      required: true,
+    },
+    // The older song it sounds like
+    matchedSong: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Song',
+      required: true,
+    },
+    // 0..1 (1 - 2 × bit error rate of the aligned fingerprints)
+    similarity: {
+      type: Number,
+      required: true,
+    },
+    // exact: same recording (re-encoded/trimmed), near: very similar audio
+    kind: {
+      type: String,
+      enum: ['exact', 'near'],
+      required: true,
+    },
+    // Where the match starts in the newer song relative to the older one
+    offsetSeconds: {
+      type: Number,
+      default: 0,
+    },
+    // Same artist profile on both songs (accidental double upload rather than a re-upload)
+    sameArtist: {
+      type: Boolean,
+      default: false,
+    },
+    artistProfile: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ArtistProfile',
+    },
+    matchedArtistProfile: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ArtistProfile',
+    },
+    status: {
+      type: String,
+      enum: ['open', 'dismissed', 'confirmed'],
+      default: 'open',
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot exceed 500 characters'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for common query patterns
+duplicateFlagSchema.index({ song: 1, matchedSong: 1 }, { unique: true }); // One flag per pair
+duplicateFlagSchema.index({ status: 1, createdAt: -1 }); // Admin review queue
+duplicateFlagSchema.index({ artistProfile: 1, createdAt: -1 }); // Artist's own flags
+
+// Remove internal fields from JSON
+duplicateFlagSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    return ret;
+  },
+});
+
+export default mongoose.model('DuplicateFlag', duplicateFlagSchema);
@@ -29,6 +29,10 @@ const historySchema = new mongoose.Schema(
       enum: ['search', 'recommendation', 'playlist', 'album', 'artist', 'direct'],
       default: 'direct',
     },
+    playlist: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Playlist',
+    },
   },
   {
     timestamps: true,
@@ -39,6 +43,7 @@ const historySchema = new mongoose.Schema(
 historySchema.index({ user: 1, playedAt: -1 });
 historySchema.index({ song: 1, playedAt: -1 });
 historySchema.index({ user: 1, song: 1 });
+historySchema.index({ playlist: 1, playedAt: -1 });
 
 // Limit history entries per user (keep last 500)
 historySchema.statics.addEntry = async function (userId, songId, data = {}) {
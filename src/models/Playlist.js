@@ -0,0 +1,165 @@
+import mongoose from 'mongoose';
+import { SONG_SORT_FIELDS } from '../services/songQueryService.js';
+
+const playlistTrackSchema = new mongoose.Schema(
+  {
+    song: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Song',
+      required: true,
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Rules for smart playlists (same filters as GET /songs)
+const smartRulesSchema = new mongoose.Schema(
+  {
+    genre: { type: [String], default: undefined },
+    mood: { type: [String], default: undefined },
+    language: { type: String, trim: true },
+    artist: { type: String, trim: true },
+    minBpm: { type: Number, min: 0, max: 300 },
+    maxBpm: { type: Number, min: 0, max: 300 },
+    publishedWithinDays: { type: Number, min: 1 },
+    sort: {
+      type: String,
+      enum: SONG_SORT_FIELDS.flatMap((f) => [f, `-${f}`]),
+      default: '-totalPlays',
+    },
+    limit: {
+      type: Number,
+      min: [1, 'Limit must be at least 1'],
+      max: [200, 'Limit cannot exceed 200'],
+      default: 50,
+    },
+  },
+  { _id: false }
+);
+
+const playlistSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Playlist name is required'],
+      trim: true,
+      maxlength: [200, 'Name cannot exceed 200 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Description cannot exceed 1000 characters'],
+      default: '',
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    collaborators: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    visibility: {
+      type: String,
+      enum: ['public', 'private'],
+      default: 'private',
+    },
+    type: {
+      type: String,
+      enum: ['manual', 'smart'],
+      default: 'manual',
+    },
+    rules: {
+      type: smartRulesSchema,
+      required: [
+        function () {
+          return this.type === 'smart';
+        },
+        'Smart playlists require rules',
+      ],
+    },
+    // When the smart playlist tracks were last generated from its rules
+    lastEvaluatedAt: {
+      type: Date,
+    },
+    // Array order is the playback order (generated from rules for smart playlists)
+    tracks: {
+      type: [playlistTrackSchema],
+      default: [],
+    },
+    coverImageUrl: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for common query patterns
+playlistSchema.index({ owner: 1, updatedAt: -1 }); // User's own playlists
+playlistSchema.index({ collaborators: 1, updatedAt: -1 }); // Playlists shared with a user
+playlistSchema.index({ visibility: 1, updatedAt: -1 }); // Public playlists
+
+// Virtual for track count
+playlistSchema.virtual('trackCount').get(function () {
+  return this.tracks ? this.tracks.length : 0;
+});
+
+/**
+ * Owner check (works on populated and unpopulated owner)
+ */
+playlistSchema.methods.isOwner = function (user) {
+  if (!user) return false;
+  const ownerId = this.owner?._id || this.owner;
+  return String(ownerId) === String(user._id);
+};
+
+/**
+ * Owner, collaborators and admins may edit tracks
+ */
+playlistSchema.methods.canEdit = function (user) {
+  if (!user) return false;
+  if (user.role === 'admin' || this.isOwner(user)) return true;
+  return this.collaborators.some((c) => String(c?._id || c) === String(user._id));
+};
+
+/**
+ * Public playlists are visible to everyone, private ones only to editors
+ */
+playlistSchema.methods.canView = function (user) {
+  return this.visibility === 'public' || this.canEdit(user);
+};
+
+/**
+ * Check whether a song is already in the playlist
+ */
+playlistSchema.methods.hasSong = function (songId) {
+  return this.tracks.some((t) => String(t.song?._id || t.song) === String(songId));
+};
+
+// Remove __v from JSON
+playlistSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const Playlist = mongoose.model('Playlist', playlistSchema);
+
+export default Playlist;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { softDeletePlugin } from "../utils/softDelete.js";
 
 const podcastSchema = new mongoose.Schema({
   title: {
@@ -26,6 +27,15 @@ const podcastSchema = new mongoose.Schema({
     type: String,
     default: ""
   },
+  // Resized WebP/JPEG variants by size: { '64': { webp, jpeg }, ... } (see coverImageService)
+  covers: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Cover colors for UI theming ('#rrggbb')
+  colors: {
+    dominant: String,
+    accent: String
+  },
   host: {
     type: String,
     trim: true
@@ -62,7 +72,7 @@ const podcastSchema = new mongoose.Schema({
   mimeType: {
     type: String,
     required: false,
-    enum: ["audio/mpeg", "audio/mp3", "audio/wav", "audio/ogg", "audio/aac", "audio/flac"]
+    enum: ["audio/mpeg", "audio/mp3", "audio/wav", "audio/ogg", "audio/aac", "audio/flac", "audio/mp4", "audio/aiff"]
   }
 }, {
   timestamps: true
@@ -73,6 +83,13 @@ podcastSchema.index({ artist: 1, createdAt: -1 }); // Artist's podcasts by date
 podcastSchema.index({ category: 1, createdAt: -1 }); // Podcasts by category and date
 podcastSchema.index({ createdAt: -1 }); // Latest podcasts
 podcastSchema.index({ plays: -1 }); // Most played podcasts
+podcastSchema.index(
+  { title: 'text', host: 'text', keywords: 'text', description: 'text' },
+  { weights: { title: 10, host: 5, keywords: 3, description: 1 }, name: 'podcast_text' }
+); // Unified search
+
+// Deletes can be undone for a grace period (see deletionService)
+podcastSchema.plugin(softDeletePlugin);
 
 // Virtual for formatted duration
 podcastSchema.virtual('durationFormatted').get(function () {
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { softDeletePlugin } from '../utils/softDelete.js';
 
 const PodcastEpisodeSchema = new mongoose.Schema(
   {
@@ -12,7 +13,31 @@ const PodcastEpisodeSchema = new mongoose.Schema(
     publishedAt: { type: Date },
     createdByArtist: { type: mongoose.Schema.Types.ObjectId, ref: 'ArtistProfile' },
     audioPath: { type: String },
+    // Real format of the original audio (see Song.sourceFormat)
+    audioFormat: {
+      format: String,
+      codec: String,
+      mimetype: String,
+      lossless: Boolean,
+      sampleRate: Number,
+      bitDepth: Number,
+      channels: Number,
+    },
     hlsPath: { type: String },
+    // AES-128 key (hex) for encrypted HLS segments, only released via /podcast-episodes/:id/hls/key
+    hlsKey: { type: String, select: false },
+    // Peak arrays (waveform.json S3 key) served by /podcast-episodes/:id/waveform
+    waveformPath: { type: String },
+    // EBU R128 measurement and ReplayGain-style gain (see Song.loudness)
+    loudness: {
+      integrated: Number,
+      truePeak: Number,
+      range: Number,
+      trackGain: Number,
+      trackPeak: Number,
+      reference: Number,
+      analyzedAt: Date,
+    },
     releaseDate: { type: Date, default: Date.now },
     totalPlays: { type: Number, default: 0 },
     category: [{ type: String }],
@@ -23,4 +48,21 @@ const PodcastEpisodeSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Text index for unified search
+PodcastEpisodeSchema.index(
+  { title: 'text', keywords: 'text', description: 'text' },
+  { weights: { title: 10, keywords: 3, description: 1 }, name: 'podcast_episode_text' }
+);
+
+// Deletes can be undone for a grace period (see deletionService)
+PodcastEpisodeSchema.plugin(softDeletePlugin);
+
+// Never expose the content key
+PodcastEpisodeSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.hlsKey;
+    return ret;
+  },
+});
+
 export default mongoose.model('PodcastEpisode', PodcastEpisodeSchema);
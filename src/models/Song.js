@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { searchTokensPlugin } from '../utils/searchTokens.js';
+import { softDeletePlugin } from '../utils/softDelete.js';
 
 const songSchema = new mongoose.Schema(
   {
@@ -36,6 +38,15 @@ const songSchema = new mongoose.Schema(
       min: [0, 'BPM must be a positive number'],
       max: [300, 'BPM cannot exceed 300'],
     },
+    // Musical key (tonic, sharps) and mode
+    key: {
+      type: String,
+      enum: ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'],
+    },
+    mode: {
+      type: String,
+      enum: ['major', 'minor'],
+    },
     language: {
       type: String,
       required: [true, 'Language is required'],
@@ -59,6 +70,15 @@ const songSchema = new mongoose.Schema(
       required: [true, 'Cover image URL is required'],
       trim: true,
     },
+    // Resized WebP/JPEG variants by size: { '64': { webp, jpeg }, ... } (see coverImageService)
+    covers: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    // Cover colors for UI theming ('#rrggbb')
+    colors: {
+      dominant: String,
+      accent: String,
+    },
     hlsUrl: {
       type: String,
       required: [true, 'HLS URL is required'],
@@ -70,6 +90,90 @@ const songSchema = new mongoose.Schema(
         message: 'HLS URL must be a .m3u8 file',
       },
     },
+    // AES-128 key (hex) for encrypted HLS segments, only released via /songs/:id/hls/key
+    hlsKey: {
+      type: String,
+      select: false,
+    },
+    // Original upload (the master), kept for re-cutting previews and re-transcodes (never exposed)
+    sourceUrl: {
+      type: String,
+      select: false,
+    },
+    // Real format of the master, sniffed with ffprobe at upload
+    sourceFormat: {
+      format: String,
+      codec: String,
+      mimetype: String,
+      lossless: Boolean,
+      sampleRate: Number,
+      bitDepth: Number,
+      channels: Number,
+    },
+    // Live audio version (SongVersion); bumped by "replace audio", changed back by a rollback
+    audioVersion: {
+      type: Number,
+      default: 1,
+    },
+    // Highest version number handed out to a replacement job
+    latestAudioVersion: {
+      type: Number,
+      default: 1,
+      select: false,
+    },
+    // Preview clip (MP3) served by /songs/:id/preview
+    previewUrl: {
+      type: String,
+      trim: true,
+    },
+    previewStart: {
+      type: Number,
+      default: 0,
+      min: [0, 'Preview start cannot be negative'],
+    },
+    // Peak arrays (waveform.json) served by /songs/:id/waveform
+    waveformUrl: {
+      type: String,
+      trim: true,
+    },
+    // Set by the storage integrity check when stored HLS files are missing
+    // (hidden from listings, search and recommendations; streams answer 410)
+    unplayable: {
+      reason: String,
+      detectedAt: Date,
+    },
+    // EBU R128 measurement and ReplayGain-style gain for playback normalization
+    loudness: {
+      integrated: Number, // LUFS
+      truePeak: Number, // dBTP
+      range: Number, // LU
+      trackGain: Number, // dB to reach the reference level
+      trackPeak: Number, // Linear, 1.0 = full scale
+      reference: Number, // LUFS the gain targets
+      analyzedAt: Date,
+    },
+    // Tempo/key/energy estimates (see audioAnalysisService); confidences are 0..1
+    analysis: {
+      bpm: Number,
+      bpmConfidence: Number,
+      key: String,
+      mode: String,
+      keyConfidence: Number,
+      energy: Number, // 0..1
+      danceability: Number, // 0..1
+      mood: { type: [String], default: undefined }, // Suggested from energy and mode
+      applied: { type: [String], default: undefined }, // Song fields currently holding an estimate (not set by the artist)
+      version: Number,
+      analyzedAt: Date,
+    },
+    // Acoustic fingerprint of the start of the track (duplicate/re-upload detection)
+    fingerprint: {
+      data: { type: Buffer, select: false }, // Uint32 sub-fingerprints, little-endian
+      keys: { type: [Number], select: false }, // Lookup keys for finding candidates
+      duration: Number, // Seconds fingerprinted
+      version: Number,
+      computedAt: Date,
+    },
     album: {
       type: String,
       trim: true,
@@ -98,6 +202,10 @@ const songSchema = new mongoose.Schema(
       enum: ['draft', 'published'],
       default: 'draft',
     },
+    // First time the song was published (smart playlist "publishedWithinDays" rule)
+    publishedAt: {
+      type: Date,
+    },
     createdByArtist: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'ArtistProfile',
@@ -122,6 +230,15 @@ songSchema.index({ album: 1, totalPlays: -1 }); // Album songs sorted by plays
 // BPM range queries for tempo-based filtering
 songSchema.index({ bpm: 1 });
 
+// Fingerprint candidate lookup (multikey)
+songSchema.index({ 'fingerprint.keys': 1 });
+
+// Prefix/trigram tokens for autocomplete and typo-tolerant search
+songSchema.plugin(searchTokensPlugin, { fields: ['title', 'artist'] });
+
+// Deletes can be undone for a grace period (see deletionService)
+songSchema.plugin(softDeletePlugin);
+
 // Virtual for formatted duration
 songSchema.virtual('formattedDuration').get(function () {
   const minutes = Math.floor(this.duration / 60);
@@ -134,6 +251,14 @@ songSchema.set('toJSON', {
   virtuals: true,
   transform: (doc, ret) => {
     delete ret.__v;
+    delete ret.searchPrefixes;
+    delete ret.searchGrams;
+    delete ret.hlsKey;
+    delete ret.sourceUrl;
+    if (ret.fingerprint) {
+      delete ret.fingerprint.data;
+      delete ret.fingerprint.keys;
+    }
     return ret;
   },
 });
@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+
+/**
+ * One audio version of a song: the stored files and measurements that
+ * Song carries while the version is live (see songVersionService).
+ * Kept after a replacement so the artist or an admin can roll back.
+ */
+const songVersionSchema = new mongoose.Schema(
+  {
+    song: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Song',
+      required: true,
+    },
+    // 1 = original upload, then one per replacement
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    hlsUrl: {
+      type: String,
+      required: true,
+    },
+    hlsKey: {
+      type: String,
+      select: false,
+    },
+    sourceUrl: {
+      type: String,
+      select: false,
+    },
+    sourceFormat: {
+      format: String,
+      codec: String,
+      mimetype: String,
+      lossless: Boolean,
+      sampleRate: Number,
+      bitDepth: Number,
+      channels: Number,
+    },
+    duration: {
+      type: Number,
+    },
+    previewUrl: {
+      type: String,
+    },
+    previewStart: {
+      type: Number,
+    },
+    waveformUrl: {
+      type: String,
+    },
+    loudness: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    analysis: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    fingerprint: {
+      data: { type: Buffer, select: false },
+      keys: { type: [Number], select: false, default: undefined },
+      duration: Number,
+      version: Number,
+      computedAt: Date,
+    },
+    // Original file name of the uploaded master
+    originalName: {
+      type: String,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot exceed 500 characters'],
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for common query patterns
+songVersionSchema.index({ song: 1, version: -1 }, { unique: true }); // One document per version, newest first
+
+// Remove internal fields from JSON
+songVersionSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    delete ret.hlsKey;
+    delete ret.sourceUrl;
+    if (ret.fingerprint) {
+      delete ret.fingerprint.data;
+      delete ret.fingerprint.keys;
+    }
+    return ret;
+  },
+});
+
+export default mongoose.model('SongVersion', songVersionSchema);
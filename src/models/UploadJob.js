@@ -0,0 +1,171 @@
+import mongoose from 'mongoose';
+
+// Processing stages in order (reported by GET /upload/jobs/:id)
+export const UPLOAD_JOB_STAGES = [
+  'queued',
+  'validating',
+  'transcoding',
+  'uploading',
+  'preview',
+  'analyzing',
+  'saving',
+  'completed',
+  'failed',
+];
+
+const stagedFileSchema = new mongoose.Schema(
+  {
+    // Storage URL/key of the staged file (readable by any worker instance)
+    url: {
+      type: String,
+      required: function () {
+        return !(this.chunks && this.chunks.length > 0);
+      },
+    },
+    originalName: { type: String },
+    mimetype: { type: String },
+    size: { type: Number },
+    // Resumable uploads: stored chunk URLs in order, assembled by the worker
+    chunks: { type: [String], default: undefined },
+    session: { type: mongoose.Schema.Types.ObjectId, ref: 'UploadSession' },
+    // SHA-256 (hex) the assembled file must match (optional)
+    sha256: { type: String },
+  },
+  { _id: false }
+);
+
+const uploadJobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      // replace: new audio for an existing song (songId), as version audioVersion
+      enum: ['song', 'episode', 'replace'],
+      default: 'song',
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'processing', 'completed', 'failed'],
+      default: 'queued',
+    },
+    stage: {
+      type: String,
+      enum: UPLOAD_JOB_STAGES,
+      default: 'queued',
+    },
+    progress: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    artistProfile: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ArtistProfile',
+    },
+    // Song/episode id reserved at enqueue time so retries reuse the same storage prefix
+    songId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    episodeId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    // Replace jobs only: audio version reserved at enqueue time (its storage prefix)
+    audioVersion: {
+      type: Number,
+    },
+    // Bulk album uploads: album the song is linked into, and its position
+    album: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Album',
+    },
+    albumTrack: {
+      type: Number,
+    },
+    // Episode jobs only
+    podcast: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Podcast',
+    },
+    input: {
+      // Form fields (title, artist, genre, ...)
+      fields: { type: mongoose.Schema.Types.Mixed, default: {} },
+      audio: { type: stagedFileSchema, required: true },
+      cover: { type: stagedFileSchema },
+    },
+    // Fields filled from the file's embedded tags ('coverImage' for extracted artwork)
+    fromTags: [String],
+    result: {
+      song: { type: mongoose.Schema.Types.ObjectId, ref: 'Song' },
+      episode: { type: mongoose.Schema.Types.ObjectId, ref: 'PodcastEpisode' },
+      metadata: { type: mongoose.Schema.Types.Mixed },
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+    },
+    // Earliest time a worker may (re)try the job
+    runAfter: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: {
+      type: Date,
+    },
+    lockedBy: {
+      type: String,
+    },
+    // Last error (final error once the job failed)
+    error: {
+      message: String,
+      stage: String,
+      retryable: Boolean,
+    },
+    // Every failed attempt, for debugging retries
+    errorLog: [
+      {
+        _id: false,
+        attempt: Number,
+        stage: String,
+        message: String,
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    startedAt: {
+      type: Date,
+    },
+    finishedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for common query patterns
+uploadJobSchema.index({ status: 1, runAfter: 1 }); // Worker: next runnable job
+uploadJobSchema.index({ status: 1, lockedAt: 1 }); // Worker: stale lock recovery
+uploadJobSchema.index({ user: 1, createdAt: -1 }); // User's own jobs
+uploadJobSchema.index({ album: 1, albumTrack: 1 }, { sparse: true }); // Album upload tracks
+
+// Remove internal fields from JSON
+uploadJobSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    delete ret.lockedBy;
+    return ret;
+  },
+});
+
+const UploadJob = mongoose.model('UploadJob', uploadJobSchema);
+
+export default UploadJob;
@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+
+const uploadSessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // What the assembled file becomes
+    target: {
+      type: String,
+      enum: ['song', 'episode'],
+      required: true,
+    },
+    // Episode sessions only
+    podcast: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Podcast',
+    },
+    fileName: {
+      type: String,
+      required: true,
+    },
+    mimetype: {
+      type: String,
+    },
+    // Declared total size in bytes
+    size: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    chunkSize: {
+      type: Number,
+      required: true,
+    },
+    // Bytes received so far (next chunk must start here)
+    offset: {
+      type: Number,
+      default: 0,
+    },
+    // Optional SHA-256 (hex) of the whole file, verified on completion
+    sha256: {
+      type: String,
+      lowercase: true,
+    },
+    // Stored chunks, in order
+    chunks: [
+      {
+        _id: false,
+        offset: Number,
+        size: Number,
+        url: String,
+      },
+    ],
+    // Form fields passed to song/episode processing
+    fields: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ['uploading', 'assembling', 'completed', 'aborted'],
+      default: 'uploading',
+    },
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'UploadJob',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for common query patterns
+uploadSessionSchema.index({ user: 1, createdAt: -1 });
+uploadSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Drop abandoned sessions
+
+// Remove internal fields from JSON
+uploadSessionSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    delete ret.chunks;
+    return ret;
+  },
+});
+
+const UploadSession = mongoose.model('UploadSession', uploadSessionSchema);
+
+export default UploadSession;
@@ -1,6 +1,8 @@
 import express from 'express';
 import { authenticate, authorize } from '../middleware/auth.js';
 import User from '../models/User.js';
+import DuplicateFlag from '../models/DuplicateFlag.js';
+import { checkStorageIntegrity } from '../services/storageIntegrityService.js';
 import { AppError } from '../utils/errors.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 
@@ -114,4 +116,121 @@ router.delete('/users/:id', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * Songs flagged as duplicates/re-uploads by acoustic fingerprint (admin only)
+ * @route GET /api/v1/admin/duplicates?status=open&kind=exact&sameArtist=false&page=1&limit=20
+ * @access Admin
+ */
+router.get('/duplicates', asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const query = { status: req.query.status || 'open' };
+  if (req.query.kind) query.kind = req.query.kind;
+  if (req.query.sameArtist !== undefined) query.sameArtist = req.query.sameArtist === 'true';
+
+  const [flags, total] = await Promise.all([
+    DuplicateFlag.find(query)
+      .populate('song', 'title artist createdBy createdByArtist status createdAt')
+      .populate('matchedSong', 'title artist createdBy createdByArtist status createdAt')
+      .populate('reviewedBy', 'username')
+      // Re-uploads by other artists first, then the closest matches
+      .sort({ sameArtist: 1, similarity: -1, createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    DuplicateFlag.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    data: flags,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  });
+}));
+
+/**
+ * Review a duplicate flag (admin only)
+ * @route PATCH /api/v1/admin/duplicates/:id
+ * @body { status: 'dismissed' | 'confirmed' | 'open', note }
+ * @access Admin
+ */
+router.patch('/duplicates/:id', asyncHandler(async (req, res) => {
+  const { status, note } = req.body;
+
+  if (!['open', 'dismissed', 'confirmed'].includes(status)) {
+    throw new AppError('status must be "open", "dismissed" or "confirmed"', 400);
+  }
+
+  const flag = await DuplicateFlag.findByIdAndUpdate(
+    req.params.id,
+    { $set: { status, note, reviewedBy: req.user._id, reviewedAt: new Date() } },
+    { new: true, runValidators: true }
+  );
+
+  if (!flag) {
+    throw new AppError('Duplicate flag not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: flag,
+  });
+}));
+
+// Integrity check options shared by both storage routes
+const integrityOptions = (source) => {
+  const minAgeHours = source.minAgeHours !== undefined ? Number(source.minAgeHours) : undefined;
+  if (minAgeHours !== undefined && !(minAgeHours >= 0)) {
+    throw new AppError('minAgeHours must be a number of hours', 400);
+  }
+
+  return {
+    minAgeHours,
+    checkSegments: source.segments !== 'false' && source.segments !== false,
+  };
+};
+
+/**
+ * Cross-check stored song/podcast files against the database (report only)
+ * @route GET /api/v1/admin/storage/integrity?minAgeHours=24&segments=true
+ * @access Admin
+ */
+router.get('/storage/integrity', asyncHandler(async (req, res) => {
+  const report = await checkStorageIntegrity(integrityOptions(req.query));
+
+  res.json({
+    success: true,
+    data: report,
+  });
+}));
+
+/**
+ * Run the integrity check and repair what it finds
+ * @route POST /api/v1/admin/storage/integrity
+ * @body { deleteOrphans, markUnplayable, minAgeHours, segments }
+ * @access Admin
+ */
+router.post('/storage/integrity', asyncHandler(async (req, res) => {
+  const { deleteOrphans = false, markUnplayable = false } = req.body;
+
+  if (typeof deleteOrphans !== 'boolean' || typeof markUnplayable !== 'boolean') {
+    throw new AppError('deleteOrphans and markUnplayable must be booleans', 400);
+  }
+
+  const report = await checkStorageIntegrity({
+    ...integrityOptions(req.body),
+    deleteOrphans,
+    markUnplayable,
+  });
+
+  res.json({
+    success: true,
+    data: report,
+  });
+}));
+
 export default router;
\ No newline at end of file
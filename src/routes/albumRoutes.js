@@ -5,16 +5,21 @@ import {
     createAlbum,
     updateAlbum,
     deleteAlbum,
+    restoreAlbum,
 } from '../controllers/albumController.js';
 import { authenticate, authorize } from '../middleware/auth.js';
+import { uploadCoverMiddleware, uploadErrorHandler } from '../middleware/upload.js';
 
 const router = express.Router();
 
 router.get('/', getAlbums);
 router.get('/:id', getAlbum);
 
-router.post('/', authenticate, authorize('artist', 'admin'), createAlbum);
-router.put('/:id', authenticate, updateAlbum);
+// JSON or multipart (optional "coverImage" file, resized into variants)
+router.post('/', authenticate, authorize('artist', 'admin'), uploadCoverMiddleware, uploadErrorHandler, createAlbum);
+router.put('/:id', authenticate, uploadCoverMiddleware, uploadErrorHandler, updateAlbum);
 router.delete('/:id', authenticate, deleteAlbum);
+// Undo a delete within the grace period
+router.post('/:id/restore', authenticate, restoreAlbum);
 
 export default router;
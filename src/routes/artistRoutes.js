@@ -2,11 +2,13 @@ import express from 'express';
 import {
     getArtistMe,
     updateArtistProfile,
-    getArtistStats
+    getArtistStats,
+    getArtistDuplicates
 } from '../controllers/artistController.js';
 import { getArtistSongs } from '../controllers/songController.js';
 import { getArtistAlbums } from '../controllers/albumController.js';
 import { authenticate, authorize } from '../middleware/auth.js';
+import { uploadProfileImageMiddleware, uploadErrorHandler } from '../middleware/upload.js';
 
 const router = express.Router();
 
@@ -14,6 +16,8 @@ router.get('/me', authenticate, authorize('artist', 'admin', 'user'), getArtistM
 router.get('/stats', authenticate, authorize('artist', 'admin', 'user'), getArtistStats);
 router.get('/songs', authenticate, authorize('artist', 'admin', 'user'), getArtistSongs);
 router.get('/albums', authenticate, authorize('artist', 'admin', 'user'), getArtistAlbums);
-router.put('/profile', authenticate, authorize('artist', 'admin', 'user'), updateArtistProfile);
+router.get('/duplicates', authenticate, authorize('artist', 'admin'), getArtistDuplicates);
+// JSON or multipart (optional "profileImage" file)
+router.put('/profile', authenticate, authorize('artist', 'admin', 'user'), uploadProfileImageMiddleware, uploadErrorHandler, updateArtistProfile);
 
 export default router;
@@ -5,6 +5,7 @@ import {
   removeFavorite,
   checkFavorite,
   checkMultipleFavorites,
+  exportFavorites,
 } from '../controllers/favoriteController.js';
 import { authenticate } from '../middleware/auth.js';
 import { validate, schemas } from '../middleware/validation.js';
@@ -15,6 +16,7 @@ const router = express.Router();
 router.use(authenticate);
 
 router.get('/', getFavorites);
+router.get('/export', exportFavorites);
 router.post('/check-multiple', validate(schemas.checkMultipleFavorites), checkMultipleFavorites);
 router.post('/:songId', addFavorite);
 router.delete('/:songId', removeFavorite);
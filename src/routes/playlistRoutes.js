@@ -0,0 +1,56 @@
+import express from 'express';
+import {
+  getMyPlaylists,
+  getPublicPlaylists,
+  getPlaylist,
+  createPlaylist,
+  updatePlaylist,
+  deletePlaylist,
+  addTrack,
+  removeTrack,
+  reorderTrack,
+  previewSmartPlaylist,
+  refreshPlaylist,
+  exportPlaylist,
+  importPlaylist,
+  addCollaborator,
+  removeCollaborator,
+  playTrack,
+} from '../controllers/playlistController.js';
+import { authenticate, optionalAuth } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Public routes (private playlists are only visible to owner/collaborators)
+router.get('/public', getPublicPlaylists);
+
+// Protected routes
+router.get('/', authenticate, getMyPlaylists);
+router.post('/', authenticate, validate(schemas.createPlaylist), createPlaylist);
+
+// Smart playlists
+router.post('/smart/preview', authenticate, validate(schemas.previewSmartPlaylist), previewSmartPlaylist);
+router.post('/:id/refresh', authenticate, refreshPlaylist);
+
+// Import / export (M3U8, XSPF, JSON)
+router.post('/import', authenticate, validate(schemas.importPlaylist), importPlaylist);
+router.get('/:id/export', optionalAuth, exportPlaylist);
+
+router.get('/:id', optionalAuth, getPlaylist);
+router.put('/:id', authenticate, validate(schemas.updatePlaylist), updatePlaylist);
+router.delete('/:id', authenticate, deletePlaylist);
+
+// Tracks
+router.post('/:id/tracks', authenticate, validate(schemas.addPlaylistTrack), addTrack);
+router.put('/:id/tracks/reorder', authenticate, validate(schemas.reorderPlaylistTrack), reorderTrack);
+router.delete('/:id/tracks/:songId', authenticate, removeTrack);
+
+// Collaborators
+router.post('/:id/collaborators', authenticate, validate(schemas.addPlaylistCollaborator), addCollaborator);
+router.delete('/:id/collaborators/:userId', authenticate, removeCollaborator);
+
+// Playback tracking
+router.post('/:id/play', authenticate, validate(schemas.playPlaylistTrack), playTrack);
+
+export default router;
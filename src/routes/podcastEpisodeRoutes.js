@@ -1,12 +1,18 @@
 import express from 'express';
-import { streamEpisode, reportPlay, uploadEpisode, deleteEpisode } from '../controllers/podcastEpisodeController.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { streamEpisode, proxyEpisodeHLS, getEpisodeHLSKey, getEpisodeWaveform, reportPlay, uploadEpisode, deleteEpisode, restoreEpisode } from '../controllers/podcastEpisodeController.js';
+import { authenticate, authorize, optionalAuth } from '../middleware/auth.js';
 import { validateAWSConfig, uploadAudioMiddleware, uploadErrorHandler } from '../middleware/upload.js';
 
 const router = express.Router();
 
 // Public stream
-router.get('/:id/stream', streamEpisode);
+router.get('/:id/stream', optionalAuth, streamEpisode);
+// HLS decryption key (requires the playback token issued by the stream endpoint)
+router.get('/podcast-episodes/:id/hls/key', getEpisodeHLSKey);
+// HLS playlists and segments (playback token)
+router.get('/podcast-episodes/:id/hls/*', proxyEpisodeHLS);
+// Public waveform peaks
+router.get('/podcast-episodes/:id/waveform', optionalAuth, getEpisodeWaveform);
 // Public report play (called by frontend after 30s)
 router.post('/:id/report-play', reportPlay);
 
@@ -15,5 +21,6 @@ router.post('/podcasts/:id/episodes', authenticate, authorize('admin'), validate
 
 // Admin delete
 router.delete('/:id', authenticate, authorize('admin'), deleteEpisode);
+router.post('/:id/restore', authenticate, authorize('admin'), restoreEpisode);
 
 export default router;
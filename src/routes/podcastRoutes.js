@@ -5,11 +5,12 @@ import {
   getArtistPodcasts,
   getPodcast,
   deletePodcast,
+  restorePodcast,
   getCategories,
 } from '../controllers/podcastController.js';
 import { getEpisodesByPodcast } from '../controllers/podcastEpisodeController.js';
 import { authenticate, authorize, optionalAuth } from '../middleware/auth.js';
-import { uploadAudioMiddleware, uploadErrorHandler, validateAWSConfig } from '../middleware/upload.js';
+import { uploadCoverMiddleware, uploadErrorHandler, validateAWSConfig } from '../middleware/upload.js';
 
 const router = express.Router();
 
@@ -26,7 +27,7 @@ router.post('/',
   authenticate,
   authorize('artist'),
   validateAWSConfig,
-  uploadAudioMiddleware,
+  uploadCoverMiddleware,
   uploadErrorHandler,
   uploadPodcast
 );
@@ -38,7 +39,7 @@ router.post('/upload',
   authenticate,
   authorize('artist'),
   validateAWSConfig,
-  uploadAudioMiddleware,
+  uploadCoverMiddleware,
   uploadErrorHandler,
   uploadPodcast
 );
@@ -55,4 +56,11 @@ router.delete('/:id',
   deletePodcast
 );
 
+// Undo a delete within the grace period
+router.post('/:id/restore',
+  authenticate,
+  authorize('artist'),
+  restorePodcast
+);
+
 export default router;
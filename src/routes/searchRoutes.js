@@ -0,0 +1,12 @@
+import express from 'express';
+import { search, getSuggestions } from '../controllers/searchController.js';
+
+const router = express.Router();
+
+// Public unified search
+router.get('/', search);
+
+// Autocomplete suggestions (prefix match with typo-tolerant fallback)
+router.get('/suggest', getSuggestions);
+
+export default router;
@@ -4,15 +4,24 @@ import {
   getSong,
   createSong,
   updateSong,
+  acceptSongAnalysis,
+  getSongVersions,
+  restoreSongVersion,
   deleteSong,
+  restoreSong,
   incrementPlayCount,
   getSongStream,
   getSecureStream,
+  getHLSKey,
   proxyHLS,
+  getSongPreview,
+  getSongWaveform,
   publishSong,
   getCoverSignedUrl,
 } from '../controllers/songController.js';
+import { replaceSongAudio } from '../controllers/uploadController.js';
 import { authenticate, authorize, optionalAuth } from '../middleware/auth.js';
+import { uploadAudioMiddleware, uploadErrorHandler, validateAWSConfig } from '../middleware/upload.js';
 import { validate, schemas } from '../middleware/validation.js';
 
 const router = express.Router();
@@ -22,9 +31,15 @@ router.get('/', getSongs);
 router.get('/:id', getSong);
 
 // Public streaming routes (no auth required for playback)
-router.get('/:id/stream', getSecureStream);
+router.get('/:id/stream', optionalAuth, getSecureStream);
+// HLS decryption key (requires the playback token issued by the stream endpoint)
+router.get('/:id/hls/key', getHLSKey);
 // HLS proxy route (bypasses CORS)
 router.get('/:id/hls/*', proxyHLS);
+// Preview clip (logged-out visitors, artist pages)
+router.get('/:id/preview', optionalAuth, getSongPreview);
+// Waveform peaks (player, artist upload screen)
+router.get('/:id/waveform', optionalAuth, getSongWaveform);
 // Legacy streaming route (backwards compatibility)
 router.get('/:id/stream-legacy', getSongStream);
 
@@ -35,10 +50,26 @@ router.post('/:id/play', optionalAuth, incrementPlayCount);
 router.post('/', authenticate, authorize('artist', 'admin'), validate(schemas.createSong), createSong);
 router.put('/:id', authenticate, validate(schemas.updateSong), updateSong);
 router.put('/:id/publish', authenticate, authorize('artist', 'admin'), publishSong);
+router.post('/:id/analysis/accept', authenticate, validate(schemas.acceptAnalysis), acceptSongAnalysis);
+
+// Audio versions: replace the audio (queued like an upload, 202 with a job id), list, roll back
+router.put(
+  '/:id/audio',
+  authenticate,
+  authorize('artist', 'admin'),
+  validateAWSConfig,
+  uploadAudioMiddleware,
+  uploadErrorHandler,
+  replaceSongAudio
+);
+router.get('/:id/versions', authenticate, getSongVersions);
+router.post('/:id/versions/:version/restore', authenticate, authorize('artist', 'admin'), restoreSongVersion);
 
 // Presigned cover image URL endpoint
 router.get('/:id/cover-signed-url', getCoverSignedUrl);
 
 router.delete('/:id', authenticate, deleteSong);
+// Undo a delete within the grace period
+router.post('/:id/restore', authenticate, restoreSong);
 
 export default router;
@@ -2,14 +2,25 @@ import express from "express";
 import {
   uploadSong,
   uploadSongWithCover,
+  getUploadJob,
+  getMyUploadJobs,
+  createUploadSession,
+  getUploadSession,
+  uploadSessionChunk,
+  completeUploadSession,
+  abortUploadSession,
+  uploadAlbum,
+  getAlbumUpload,
 } from "../controllers/uploadController.js";
 import {
   uploadAudioMiddleware,
   uploadWithCoverMiddleware,
+  uploadAlbumMiddleware,
   uploadErrorHandler,
 } from "../middleware/upload.js";
 import { authenticate, authorize } from "../middleware/auth.js";
 import { validateAWSConfig } from "../middleware/upload.js";
+import config from "../config/index.js";
 
 
 const router = express.Router();
@@ -19,7 +30,9 @@ const router = express.Router();
  *  POST /api/v1/upload/song
  * ---------------------------------------------------------
  *  Description:
- *    Upload an audio file, process it, and convert to HLS.
+ *    Upload an audio file and queue it for processing
+ *    (HLS conversion, preview, analysis). Responds 202 with
+ *    a job id; poll GET /jobs/:id for progress.
  *
  *  Access:
  *    Private (Artist, Admin)
@@ -44,7 +57,8 @@ router.post(
  *  POST /api/v1/upload/song-with-cover
  * ---------------------------------------------------------
  *  Description:
- *    Upload an audio file along with a cover image.
+ *    Upload an audio file along with a cover image
+ *    (queued like /song, responds 202 with a job id).
  *
  *  Access:
  *    Private (Artist, Admin)
@@ -64,4 +78,104 @@ router.post(
   uploadSongWithCover
 );
 
+/**
+ * =========================================================
+ *  POST /api/v1/upload/album
+ * ---------------------------------------------------------
+ *  Description:
+ *    Upload a whole album: audio files ("tracks") and/or a
+ *    ZIP ("archive"), plus a cover. Creates the Album and
+ *    queues one job per track; songs are linked into the
+ *    album in track order as they finish. Per-track
+ *    rejections are listed in the 202 response.
+ *
+ *  Access:
+ *    Private (Artist, Admin)
+ * =========================================================
+ */
+router.post(
+  "/album",
+  authenticate,
+  authorize("artist", "admin"),
+  validateAWSConfig,
+  uploadAlbumMiddleware,
+  uploadErrorHandler,
+  uploadAlbum
+);
+
+/**
+ * =========================================================
+ *  GET /api/v1/upload/albums/:id
+ * ---------------------------------------------------------
+ *  Description:
+ *    Album upload progress: per-track stage, progress,
+ *    errors and created songs.
+ *
+ *  Access:
+ *    Private (album owner, Admin)
+ * =========================================================
+ */
+router.get("/albums/:id", authenticate, getAlbumUpload);
+
+/**
+ * =========================================================
+ *  Resumable uploads: /api/v1/upload/sessions
+ * ---------------------------------------------------------
+ *  Description:
+ *    Chunked uploads for large files (lossless masters,
+ *    long podcast episodes) on unreliable connections.
+ *
+ *    POST   /sessions              → start (201, chunkSize)
+ *    HEAD   /sessions/:id          → Upload-Offset to resume at
+ *    GET    /sessions/:id          → session status
+ *    PATCH  /sessions/:id          → next chunk (raw body,
+ *           Upload-Offset + Upload-Checksum headers)
+ *    POST   /sessions/:id/complete → assemble and queue the
+ *           song/episode job (202 with job id)
+ *    DELETE /sessions/:id          → abort
+ *
+ *  Access:
+ *    Private (Artist, Admin; episodes Admin only)
+ * =========================================================
+ */
+const sessionAccess = [authenticate, authorize("artist", "admin"), validateAWSConfig];
+
+router.post("/sessions", ...sessionAccess, createUploadSession);
+router.get("/sessions/:id", ...sessionAccess, getUploadSession);
+router.patch(
+  "/sessions/:id",
+  ...sessionAccess,
+  express.raw({ type: () => true, limit: config.resumableUploads.chunkSizeBytes }),
+  uploadSessionChunk
+);
+router.post("/sessions/:id/complete", ...sessionAccess, completeUploadSession);
+router.delete("/sessions/:id", ...sessionAccess, abortUploadSession);
+
+/**
+ * =========================================================
+ *  GET /api/v1/upload/jobs
+ * ---------------------------------------------------------
+ *  Description:
+ *    List the current user's upload jobs (newest first).
+ *
+ *  Access:
+ *    Private
+ * =========================================================
+ */
+router.get("/jobs", authenticate, getMyUploadJobs);
+
+/**
+ * =========================================================
+ *  GET /api/v1/upload/jobs/:id
+ * ---------------------------------------------------------
+ *  Description:
+ *    Upload job status: stage, progress percentage,
+ *    attempts, error and the created song when done.
+ *
+ *  Access:
+ *    Private (job owner, Admin)
+ * =========================================================
+ */
+router.get("/jobs/:id", authenticate, getUploadJob);
+
 export default router;
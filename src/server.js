@@ -4,8 +4,10 @@ import config from './config/index.js';
 import logger from './utils/logger.js';
 import { fixAdminUser, fixDuplicateUsers } from './utils/seed.js';
 import { checkFFmpegAvailability } from './services/ffmpegService.js';
-import { validateS3Config } from './utils/s3.js';
 import { validateStorageConfig } from './utils/storage.js';
+import { startUploadWorker, stopUploadWorker } from './services/uploadJobService.js';
+import { startChunkSweeper, stopChunkSweeper } from './services/resumableUploadService.js';
+import { startDeletionSweeper, stopDeletionSweeper } from './services/deletionService.js';
 import { runDiagnosticsOnStartup } from './utils/playbackDiagnostic.js';
 
 // Handle uncaught exceptions
@@ -42,6 +44,19 @@ const startServer = async () => {
     console.warn('File uploads may not work correctly.\n');
   }
 
+  // Process queued uploads in this process (disable with UPLOAD_WORKER=false
+  // when running `npm run worker:uploads` separately)
+  if (config.uploadJobs.embeddedWorker) {
+    startUploadWorker();
+    startChunkSweeper();
+  }
+
+  // Purge deletions past their grace period (disable with DELETION_SWEEPER=false
+  // when running `npm run purge:deleted` on a schedule instead)
+  if (config.deletion.embeddedSweeper) {
+    startDeletionSweeper();
+  }
+
   // Start server
   const server = app.listen(config.port, () => {
     if (config.isProduction) {
@@ -90,9 +105,14 @@ const startServer = async () => {
   // Graceful shutdown on SIGTERM (Docker, Kubernetes, etc.)
   process.on('SIGTERM', () => {
     logger.info('SIGTERM received. Shutting down gracefully...');
-    server.close(() => {
+    server.close(async () => {
       logger.info('HTTP server closed');
 
+      // Let the current upload job finish (or be retried by another worker)
+      await stopUploadWorker();
+      stopChunkSweeper();
+      stopDeletionSweeper();
+
       // Close database connection
       import('mongoose').then((mongoose) => {
         mongoose.default.connection.close(false, () => {
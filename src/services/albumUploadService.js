@@ -0,0 +1,278 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import yauzl from 'yauzl';
+import Album from '../models/Album.js';
+import ArtistProfile from '../models/ArtistProfile.js';
+import UploadJob from '../models/UploadJob.js';
+import { enqueueSongUpload } from './uploadJobService.js';
+import { getAudioMetadata } from './ffmpegService.js';
+import { processCoverImage } from './coverImageService.js';
+import { isAllowedAudioFile } from '../middleware/upload.js';
+import { AppError } from '../utils/errors.js';
+import config from '../config/index.js';
+
+/**
+ * Album Upload Service
+ * One request → an Album plus one song upload job per track. Tracks are
+ * ordered by disc/track tags, then filename numbering; each job links its
+ * song into Album.songs when it finishes (see syncAlbumSongs).
+ */
+
+const PLACEHOLDER_COVER = 'https://placehold.co/300';
+
+// Artwork files commonly shipped inside release archives
+const ARCHIVE_COVER_NAMES = /^(cover|folder|front)\.(jpe?g|png|webp)$/i;
+const COVER_MIMETYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp' };
+
+/**
+ * Extract the audio files (and a cover image, if any) from a ZIP.
+ * Entries are written under their base name only, so archive paths can't
+ * escape destDir.
+ * @returns {Promise<Object>} { tracks: [{ path, originalname, size }], cover }
+ */
+export const extractAlbumArchive = (zipPath, destDir) =>
+  new Promise((resolve, reject) => {
+    yauzl.open(zipPath, { lazyEntries: true }, (openError, zip) => {
+      if (openError) return reject(new AppError(`Invalid ZIP archive: ${openError.message}`, 400));
+
+      const tracks = [];
+      let cover = null;
+      let totalBytes = 0;
+
+      const fail = (error) => {
+        reject(error instanceof AppError ? error : new AppError(`Invalid ZIP archive: ${error.message}`, 400));
+        if (zip.isOpen) zip.close();
+      };
+
+      zip.on('entry', (entry) => {
+        const name = path.basename(entry.fileName);
+        const isAudio = isAllowedAudioFile(name);
+        const isCover = !cover && ARCHIVE_COVER_NAMES.test(name);
+
+        // Skip folders, macOS metadata and anything that isn't a track or the artwork
+        if (entry.fileName.endsWith('/') || entry.fileName.includes('__MACOSX') || name.startsWith('.') || (!isAudio && !isCover)) {
+          return zip.readEntry();
+        }
+        if (isAudio && tracks.length >= config.albumUploads.maxTracks) {
+          return fail(new AppError(`Too many tracks (max ${config.albumUploads.maxTracks})`, 400));
+        }
+
+        totalBytes += entry.uncompressedSize;
+        if (totalBytes > config.albumUploads.maxFileBytes) {
+          return fail(new AppError('Archive contents are too large', 400));
+        }
+
+        zip.openReadStream(entry, (streamError, stream) => {
+          if (streamError) return fail(streamError);
+
+          const destPath = path.join(destDir, `${tracks.length}-${name}`);
+          pipeline(stream, fs.createWriteStream(destPath)).then(() => {
+            if (isAudio) {
+              tracks.push({ path: destPath, originalname: name, size: entry.uncompressedSize });
+            } else {
+              cover = { path: destPath, originalname: name, mimetype: COVER_MIMETYPES[path.extname(name).toLowerCase()] };
+            }
+            zip.readEntry();
+          }, fail);
+        });
+      });
+
+      zip.on('end', () => resolve({ tracks, cover }));
+      zip.on('error', fail);
+      zip.readEntry();
+    });
+  });
+
+/**
+ * "3/14" → 3
+ */
+const leadingNumber = (value) => {
+  const number = parseInt(String(value || '').split('/')[0], 10);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Sort key for a track: disc and track tags, then the filename's leading
+ * number ("03 - Song.flac"), then the filename itself
+ */
+const trackSortKey = async (file) => {
+  let tags = {};
+  try {
+    tags = (await getAudioMetadata(file.path)).tags;
+  } catch (error) {
+    // Unreadable files are ordered by name; their job reports the error
+  }
+
+  return {
+    disc: leadingNumber(tags.disc) || 1,
+    track: leadingNumber(tags.track) ?? leadingNumber(path.basename(file.originalname).match(/^\s*(\d{1,3})/)?.[1]),
+    name: file.originalname.toLowerCase(),
+    albumTag: tags.album,
+    genreTag: tags.genre,
+  };
+};
+
+const compareTracks = (a, b) =>
+  a.key.disc - b.key.disc ||
+  (a.key.track ?? Infinity) - (b.key.track ?? Infinity) ||
+  a.key.name.localeCompare(b.key.name, undefined, { numeric: true });
+
+/**
+ * Title from a filename when the file has no title tag ("03 - My Song.flac" → "My Song")
+ */
+const titleFromFilename = (originalname) =>
+  path.basename(originalname, path.extname(originalname)).replace(/^\s*\d{1,3}\s*[-._)]?\s*/, '').trim() ||
+  path.basename(originalname, path.extname(originalname));
+
+/**
+ * Create an album and queue its tracks
+ * @param {Object} params
+ * @param {Object} params.user - Authenticated user (req.user)
+ * @param {Object} params.fields - { title, artist, genre, language, mood, description, releaseDate, artistProfileId }
+ * @param {Array} params.trackFiles - Multer audio files
+ * @param {Object} params.archiveFile - Multer ZIP file (optional)
+ * @param {Object} params.coverFile - Multer cover image (optional)
+ * @returns {Promise<Object>} { album, tracks: [{ position, fileName, jobId } | { position, fileName, error }] }
+ */
+export const enqueueAlbumUpload = async ({ user, fields, trackFiles = [], archiveFile, coverFile }) => {
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'album-upload-'));
+
+  try {
+    let files = [...trackFiles];
+    let cover = coverFile;
+
+    if (archiveFile) {
+      const archive = await extractAlbumArchive(archiveFile.path, workDir);
+      files = files.concat(archive.tracks);
+      cover = cover || archive.cover;
+    }
+
+    if (files.length === 0) throw new AppError('No audio tracks uploaded', 400);
+    if (files.length > config.albumUploads.maxTracks) {
+      throw new AppError(`Too many tracks (max ${config.albumUploads.maxTracks})`, 400);
+    }
+
+    const ordered = [];
+    for (const file of files) {
+      ordered.push({ file, key: await trackSortKey(file) });
+    }
+    ordered.sort(compareTracks);
+
+    // Album attributes: form first, then the first track's tags
+    const artistProfileId = user.role === 'admin' && fields.artistProfileId ? fields.artistProfileId : user.artistProfile;
+    if (!artistProfileId) throw new AppError('Only artists can create albums', 403);
+
+    const profile = await ArtistProfile.findById(artistProfileId);
+    if (!profile) throw new AppError('Artist profile not found', 404);
+
+    const title = fields.title || ordered.find((track) => track.key.albumTag)?.key.albumTag;
+    const genreValue = fields.genre || ordered.find((track) => track.key.genreTag)?.key.genreTag;
+    if (!title) throw new AppError('Album title is required (form field or album tag)', 400);
+    if (!genreValue) throw new AppError('Album genre is required (form field or genre tag)', 400);
+
+    const album = new Album({
+      title,
+      artist: fields.artist || profile.artistName,
+      genre: Array.isArray(genreValue) ? genreValue : String(genreValue).split(/\s*[;,/]\s*/).filter(Boolean),
+      description: fields.description,
+      releaseDate: fields.releaseDate || Date.now(),
+      coverImageUrl: PLACEHOLDER_COVER,
+      artistProfile: profile._id,
+      createdBy: user._id,
+      status: 'draft', // Published once every track has been processed
+    });
+
+    if (cover) {
+      const { url, covers, colors } = await processCoverImage(cover.path, `albums/${album._id}`);
+      Object.assign(album, { coverImageUrl: url, covers, colors });
+    }
+    await album.save();
+
+    // Shared fields override tags; artist/genre only fill in for tracks without tags.
+    // Tracks take the album's cover when their job runs (see uploadJobService)
+    const trackFields = { album: album.title, language: fields.language, mood: fields.mood, genre: fields.genre };
+    const tracks = [];
+
+    for (const [index, { file }] of ordered.entries()) {
+      const position = index + 1;
+      try {
+        const job = await enqueueSongUpload({
+          user,
+          fields: trackFields,
+          audioFile: file,
+          defaults: { title: titleFromFilename(file.originalname), artist: album.artist, genre: album.genre.join(',') },
+          album: { id: album._id, track: position },
+        });
+        tracks.push({
+          position,
+          fileName: file.originalname,
+          jobId: job._id,
+          fields: job.input.fields,
+          fromTags: job.fromTags,
+        });
+      } catch (error) {
+        // Other tracks still go ahead; this one is reported back
+        tracks.push({ position, fileName: file.originalname, error: error.message });
+      }
+    }
+
+    if (!tracks.some((track) => track.jobId)) {
+      await Album.deleteOne({ _id: album._id });
+      throw new AppError(`No track could be queued: ${tracks.map((t) => `${t.fileName}: ${t.error}`).join('; ')}`, 400);
+    }
+
+    return { album, tracks };
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Per-track processing status of an album upload
+ * @param {string} albumId
+ * @param {Object} user - Authenticated user (owner or admin)
+ * @returns {Promise<Object>} { album, summary, tracks }
+ */
+export const getAlbumUploadStatus = async (albumId, user) => {
+  const album = await Album.findById(albumId).select('title artist status songs createdBy coverImageUrl covers colors');
+  if (!album || (user.role !== 'admin' && !album.createdBy.equals(user._id))) {
+    throw new AppError('Album upload not found', 404);
+  }
+
+  const jobs = await UploadJob.find({ album: albumId })
+    .select('albumTrack status stage progress error result.song input.fields.title input.audio.originalName')
+    .sort({ albumTrack: 1 });
+
+  const tracks = jobs.map((job) => ({
+    position: job.albumTrack,
+    title: job.input.fields && job.input.fields.title,
+    fileName: job.input.audio && job.input.audio.originalName,
+    jobId: job._id,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    error: job.error && job.error.message ? job.error.message : undefined,
+    song: job.result && job.result.song,
+  }));
+
+  const count = (status) => tracks.filter((track) => track.status === status).length;
+
+  return {
+    album,
+    summary: {
+      total: tracks.length,
+      completed: count('completed'),
+      failed: count('failed'),
+      pending: count('queued') + count('processing'),
+    },
+    tracks,
+  };
+};
+
+export default {
+  extractAlbumArchive,
+  enqueueAlbumUpload,
+  getAlbumUploadStatus,
+};
@@ -1,5 +1,7 @@
+import mongoose from 'mongoose';
 import Analytics from '../models/Analytics.js';
 import Song from '../models/Song.js';
+import Playlist from '../models/Playlist.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -42,6 +44,23 @@ export const recordPlayEvent = async (songId, userId, playData = {}) => {
   }
 };
 
+/**
+ * Playlist a client reports a play came from, kept only if it exists and the
+ * user can see it (so nobody can inflate another user's private playlist)
+ * @param {Object} user - Authenticated user
+ * @param {string} source - Play source sent by the client
+ * @param {string} playlistId - Playlist id sent by the client
+ * @returns {Promise<Object|undefined>} Playlist id to record
+ */
+export const playlistForPlay = async (user, source, playlistId) => {
+  if (source !== 'playlist' || !playlistId || !mongoose.Types.ObjectId.isValid(playlistId)) {
+    return undefined;
+  }
+
+  const playlist = await Playlist.findById(playlistId).select('owner collaborators visibility');
+  return playlist && playlist.canView(user) ? playlist._id : undefined;
+};
+
 /**
  * Update unique listeners count for a song
  */
@@ -225,6 +244,7 @@ export const getGenreAnalytics = async (startDate = null, endDate = null) => {
         },
       },
       { $unwind: '$songDetails' },
+      { $match: { 'songDetails.deletedAt': null } },
       { $unwind: '$songDetails.genre' },
       {
         $group: {
@@ -255,6 +275,7 @@ export const getGenreAnalytics = async (startDate = null, endDate = null) => {
 
 export default {
   recordPlayEvent,
+  playlistForPlay,
   getSongAnalytics,
   getTopSongs,
   getTopAlbums,
@@ -0,0 +1,329 @@
+import { decodeMonoSamples } from './ffmpegService.js';
+import { forEachSpectrum, chromaFrames } from '../utils/audioDsp.js';
+import config from '../config/index.js';
+
+/**
+ * Audio Analysis Service
+ * Tempo, key/mode and energy estimates from the decoded audio (mono,
+ * 11025 Hz), used to fill song fields the artist left empty:
+ *   tempo         autocorrelation of a spectral-flux onset envelope
+ *   key/mode      average chroma correlated with Krumhansl-Kessler key profiles
+ *   energy        loudness and onset density
+ *   danceability  pulse clarity, tempo and onset density
+ * Every estimate comes with a 0..1 confidence; only confident ones are applied.
+ */
+
+export const ANALYSIS_VERSION = 1;
+
+// Song fields an analysis can fill (see applyAnalysis / acceptAnalysis)
+export const ESTIMATED_FIELDS = ['bpm', 'key', 'mode', 'mood'];
+
+export const KEY_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+const SAMPLE_RATE = 11025;
+
+// Onset envelope: ~43 frames per second
+const ONSET_FRAME = 1024;
+const ONSET_HOP = 256;
+const ONSET_RATE = SAMPLE_RATE / ONSET_HOP;
+
+// Chroma for key detection (bass to upper melody)
+const KEY_FRAME = 4096;
+const KEY_HOP = 2048;
+const KEY_MIN_FREQ = 55;
+const KEY_MAX_FREQ = 2000;
+
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+
+// Krumhansl-Kessler probe-tone profiles, tonic first
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+const round = (value, digits) => Number(value.toFixed(digits));
+
+// --- Tempo -----------------------------------------------------------------
+
+/**
+ * Spectral flux of log magnitudes, minus its local average (half-wave rectified)
+ */
+const onsetEnvelope = (samples) => {
+  const flux = [];
+  let previous = null;
+
+  forEachSpectrum(samples, { frameSize: ONSET_FRAME, hopSize: ONSET_HOP }, (power) => {
+    const current = power.map((value) => Math.log1p(100 * Math.sqrt(value)));
+    let sum = 0;
+    if (previous) {
+      for (let bin = 0; bin < current.length; bin += 1) sum += Math.max(0, current[bin] - previous[bin]);
+    }
+    flux.push(sum);
+    previous = current;
+  });
+
+  // Subtract a ~0.5 s moving average so slow level changes don't count as onsets
+  const radius = Math.round(ONSET_RATE / 4);
+  return flux.map((value, index) => {
+    const from = Math.max(0, index - radius);
+    const to = Math.min(flux.length, index + radius + 1);
+    let sum = 0;
+    for (let j = from; j < to; j += 1) sum += flux[j];
+    return Math.max(0, value - sum / (to - from));
+  });
+};
+
+/**
+ * Normalized autocorrelation (lag 0 = 1) up to maxLag frames
+ */
+const autocorrelate = (envelope, maxLag) => {
+  const mean = envelope.reduce((sum, value) => sum + value, 0) / envelope.length;
+  const centered = envelope.map((value) => value - mean);
+  const result = new Float64Array(maxLag + 1);
+
+  for (let lag = 0; lag <= maxLag; lag += 1) {
+    let sum = 0;
+    for (let i = lag; i < centered.length; i += 1) sum += centered[i] * centered[i - lag];
+    result[lag] = sum;
+  }
+
+  return result[0] > 0 ? result.map((value) => value / result[0]) : null;
+};
+
+// Linear interpolation at a fractional lag
+const at = (series, lag) => {
+  const i = Math.floor(lag);
+  if (i + 1 >= series.length) return 0;
+  return series[i] + (series[i + 1] - series[i]) * (lag - i);
+};
+
+// Beats whose autocorrelation supports a tempo candidate, and their weights
+const BEAT_WEIGHTS = [1, 0.5, 0.33, 0.25];
+
+/**
+ * Sub-frame tempo: parabolic peak of the autocorrelation at the longest beat
+ * multiple in range (frame quantization shrinks with the multiple)
+ */
+const refineTempo = (ac, bpm, lagFor) => {
+  const beats = Math.floor((ac.length - 2) / lagFor(bpm));
+  let peak = Math.round(beats * lagFor(bpm));
+  for (let lag = peak - 2; lag <= peak + 2; lag += 1) {
+    if (lag > 0 && lag < ac.length - 1 && ac[lag] > ac[peak]) peak = lag;
+  }
+  if (peak <= 0 || peak >= ac.length - 1) return bpm;
+
+  const [left, center, right] = [ac[peak - 1], ac[peak], ac[peak + 1]];
+  const curvature = left - 2 * center + right;
+  const shift = curvature < 0 ? (0.5 * (left - right)) / curvature : 0;
+  const refined = (60 * ONSET_RATE * beats) / (peak + shift);
+
+  // Keep the candidate when the peak found belongs to a different tempo
+  return Math.abs(refined - bpm) <= 0.03 * bpm ? refined : bpm;
+};
+
+/**
+ * Tempo from the onset envelope
+ * Candidates are scored by the autocorrelation at one to four beats (the
+ * longer lags pin the tempo down), weighted towards ~120 BPM so
+ * half/double-tempo readings lose to the common one.
+ * @returns {Object|null} { bpm, confidence, clarity } (clarity: 0..1 pulse strength)
+ */
+const estimateTempo = (envelope) => {
+  const lagFor = (bpm) => (60 * ONSET_RATE) / bpm;
+  const maxLag = Math.ceil(BEAT_WEIGHTS.length * lagFor(MIN_BPM)) + 1;
+  if (envelope.length < 2 * maxLag) return null;
+
+  const ac = autocorrelate(envelope, maxLag);
+  if (!ac) return null;
+  const prior = (bpm) => Math.exp(-0.5 * (Math.log2(bpm / 120) / 0.8) ** 2);
+
+  const scores = [];
+  for (let bpm = MIN_BPM; bpm <= MAX_BPM; bpm += 0.1) {
+    const lag = lagFor(bpm);
+    const support = BEAT_WEIGHTS.reduce((sum, weight, beat) => sum + weight * Math.max(0, at(ac, (beat + 1) * lag)), 0);
+    scores.push({ bpm, score: support * prior(bpm) });
+  }
+
+  const best = scores.reduce((top, candidate) => (candidate.score > top.score ? candidate : top));
+  const mean = scores.reduce((sum, candidate) => sum + candidate.score, 0) / scores.length;
+  const clarity = clamp01(at(ac, lagFor(best.bpm)));
+
+  // A clear periodic pulse that stands out from the other candidates
+  const prominence = best.score > 0 ? clamp01((best.score - mean) / best.score) : 0;
+  return { bpm: refineTempo(ac, best.bpm, lagFor), confidence: clamp01(Math.sqrt(clarity) * prominence * 1.25), clarity };
+};
+
+/**
+ * Onsets per second: local maxima of the envelope above its mean + one standard deviation
+ */
+const onsetRate = (envelope) => {
+  const mean = envelope.reduce((sum, value) => sum + value, 0) / envelope.length;
+  const deviation = Math.sqrt(envelope.reduce((sum, value) => sum + (value - mean) ** 2, 0) / envelope.length);
+  let peaks = 0;
+
+  for (let i = 1; i < envelope.length - 1; i += 1) {
+    if (envelope[i] > mean + deviation && envelope[i] >= envelope[i - 1] && envelope[i] > envelope[i + 1]) peaks += 1;
+  }
+  return peaks / (envelope.length / ONSET_RATE);
+};
+
+// --- Key -------------------------------------------------------------------
+
+const correlation = (a, b) => {
+  const meanA = a.reduce((sum, value) => sum + value, 0) / a.length;
+  const meanB = b.reduce((sum, value) => sum + value, 0) / b.length;
+  let num = 0;
+  let denA = 0;
+  let denB = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    num += (a[i] - meanA) * (b[i] - meanB);
+    denA += (a[i] - meanA) ** 2;
+    denB += (b[i] - meanB) ** 2;
+  }
+  return denA && denB ? num / Math.sqrt(denA * denB) : 0;
+};
+
+/**
+ * Key and mode from the average chroma
+ * Confidence combines how well the best key fits with its margin over the runner-up.
+ * @returns {Object|null} { key, mode, confidence } (null for silence)
+ */
+const estimateKey = (samples) => {
+  const frames = chromaFrames(samples, {
+    sampleRate: SAMPLE_RATE,
+    frameSize: KEY_FRAME,
+    hopSize: KEY_HOP,
+    minFreq: KEY_MIN_FREQ,
+    maxFreq: KEY_MAX_FREQ,
+  }).filter(Boolean);
+  if (frames.length === 0) return null;
+
+  // Chroma is indexed from A; key names from C (3 semitones up)
+  const chroma = KEY_NAMES.map((_, pitch) => frames.reduce((sum, frame) => sum + frame[(pitch + 3) % 12], 0));
+
+  const candidates = [];
+  KEY_NAMES.forEach((key, tonic) => {
+    const rotated = chroma.map((_, i) => chroma[(i + tonic) % 12]);
+    candidates.push({ key, mode: 'major', r: correlation(rotated, MAJOR_PROFILE) });
+    candidates.push({ key, mode: 'minor', r: correlation(rotated, MINOR_PROFILE) });
+  });
+  candidates.sort((a, b) => b.r - a.r);
+
+  const [best, second] = candidates;
+  return { key: best.key, mode: best.mode, confidence: clamp01(best.r * Math.min(1, (best.r - second.r) / 0.1)) };
+};
+
+// --- Energy and mood -------------------------------------------------------
+
+const loudnessScore = (samples) => {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i += 1) sum += samples[i] * samples[i];
+  const rms = Math.sqrt(sum / samples.length);
+  const dbfs = rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+  return clamp01((dbfs + 30) / 24); // -30 dBFS quiet … -6 dBFS loud
+};
+
+/**
+ * Mood tags (validation vocabulary) suggested by energy and mode
+ */
+const suggestMood = (energy, mode) => {
+  const minor = mode === 'minor';
+  if (energy >= 0.66) return minor ? ['energetic', 'intense'] : ['energetic', 'happy'];
+  if (energy <= 0.33) return minor ? ['sad', 'calm'] : ['calm'];
+  return minor ? ['sad'] : ['happy'];
+};
+
+// --- Analysis --------------------------------------------------------------
+
+/**
+ * Analyze decoded samples (mono, 11025 Hz)
+ * @param {Float32Array} samples
+ * @returns {Object} { bpm, bpmConfidence, key, mode, keyConfidence, energy, danceability, mood }
+ */
+export const analyzeSamples = (samples) => {
+  const envelope = onsetEnvelope(samples);
+  const tempo = envelope.length > 0 ? estimateTempo(envelope) : null;
+  const tonality = estimateKey(samples);
+
+  const density = envelope.length > 0 ? clamp01(onsetRate(envelope) / 6) : 0;
+  const energy = 0.6 * loudnessScore(samples) + 0.4 * density;
+  const tempoFit = tempo ? Math.exp(-0.5 * ((tempo.bpm - 120) / 25) ** 2) : 0;
+  const danceability = tempo ? 0.5 * tempo.clarity + 0.3 * tempoFit + 0.2 * density : 0;
+
+  return {
+    bpm: tempo ? round(tempo.bpm, 1) : null,
+    bpmConfidence: tempo ? round(tempo.confidence, 2) : 0,
+    key: tonality ? tonality.key : null,
+    mode: tonality ? tonality.mode : null,
+    keyConfidence: tonality ? round(tonality.confidence, 2) : 0,
+    energy: round(clamp01(energy), 2),
+    danceability: round(clamp01(danceability), 2),
+    mood: tonality ? suggestMood(energy, tonality.mode) : [],
+  };
+};
+
+/**
+ * Analyze the start of a local audio file
+ * @param {string} inputPath
+ * @returns {Promise<Object>} Song.analysis value (without applied)
+ */
+export const analyzeAudio = async (inputPath) => {
+  const samples = await decodeMonoSamples(inputPath, { sampleRate: SAMPLE_RATE, maxSeconds: config.audioAnalysis.maxSeconds });
+  if (samples.length < SAMPLE_RATE) {
+    throw new Error('Audio is too short to analyze');
+  }
+
+  return { ...analyzeSamples(samples), version: ANALYSIS_VERSION, analyzedAt: new Date() };
+};
+
+// Estimated value of a song field
+const estimateFor = (analysis, field) => (field === 'bpm' ? Math.round(analysis.bpm) : analysis[field]);
+
+const isEmpty = (value) => value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Fill empty song fields from a confident analysis
+ * Mood depends on the mode, so it follows the key confidence.
+ * @param {Object} song - Song document (analysis already set)
+ * @returns {Array<string>} Fields filled (also recorded in song.analysis.applied)
+ */
+export const applyAnalysis = (song) => {
+  const { analysis } = song;
+  const confidence = {
+    bpm: analysis.bpmConfidence,
+    key: analysis.keyConfidence,
+    mode: analysis.keyConfidence,
+    mood: analysis.keyConfidence,
+  };
+
+  const applied = ESTIMATED_FIELDS.filter(
+    (field) => isEmpty(song[field]) && !isEmpty(analysis[field]) && confidence[field] >= config.audioAnalysis.minConfidence
+  );
+  applied.forEach((field) => song.set(field, estimateFor(analysis, field)));
+  song.set('analysis.applied', applied);
+
+  return applied;
+};
+
+/**
+ * Song update that accepts estimates (whatever their confidence)
+ * @param {Object} analysis - Song.analysis
+ * @param {Array<string>} fields - Subset of ESTIMATED_FIELDS
+ * @returns {Object} { $set, $addToSet } for Song.updateOne
+ */
+export const acceptAnalysisUpdate = (analysis, fields) => {
+  const accepted = fields.filter((field) => !isEmpty(analysis[field]));
+  const $set = Object.fromEntries(accepted.map((field) => [field, estimateFor(analysis, field)]));
+
+  return { $set, $addToSet: { 'analysis.applied': { $each: accepted } } };
+};
+
+export default {
+  ANALYSIS_VERSION,
+  ESTIMATED_FIELDS,
+  KEY_NAMES,
+  analyzeSamples,
+  analyzeAudio,
+  applyAnalysis,
+  acceptAnalysisUpdate,
+};
@@ -0,0 +1,116 @@
+import { getAudioMetadata, FFMPEG_MISSING_MESSAGE } from './ffmpegService.js';
+import { AppError } from '../utils/errors.js';
+
+/**
+ * Audio Format Service
+ * Identifies the real format of an upload from ffprobe's container and
+ * codec names (extension and client mimetype are only used to pre-filter),
+ * so the stored master gets a correct extension and Content-Type.
+ */
+
+export const SUPPORTED_FORMATS_LABEL = 'MP3, WAV, FLAC, AAC/M4A, OGG/Opus, AIFF';
+
+// Containers by ffprobe format_name, with the audio codecs accepted in each
+const FORMATS = [
+  {
+    formatNames: ['mp3'],
+    codecs: { mp3: { format: 'mp3', ext: '.mp3', mimetype: 'audio/mpeg', lossless: false } },
+  },
+  {
+    formatNames: ['wav'],
+    codecs: { pcm: { format: 'wav', ext: '.wav', mimetype: 'audio/wav', lossless: true } },
+  },
+  {
+    formatNames: ['flac'],
+    codecs: { flac: { format: 'flac', ext: '.flac', mimetype: 'audio/flac', lossless: true } },
+  },
+  {
+    formatNames: ['aiff'],
+    codecs: { pcm: { format: 'aiff', ext: '.aiff', mimetype: 'audio/aiff', lossless: true } },
+  },
+  {
+    formatNames: ['aac'],
+    codecs: { aac: { format: 'aac', ext: '.aac', mimetype: 'audio/aac', lossless: false } },
+  },
+  {
+    // ffprobe reports MP4-family files as "mov,mp4,m4a,3gp,3g2,mj2"
+    formatNames: ['mov', 'mp4', 'm4a'],
+    codecs: {
+      aac: { format: 'm4a', ext: '.m4a', mimetype: 'audio/mp4', lossless: false },
+      alac: { format: 'alac', ext: '.m4a', mimetype: 'audio/mp4', lossless: true },
+    },
+  },
+  {
+    formatNames: ['ogg'],
+    codecs: {
+      vorbis: { format: 'ogg', ext: '.ogg', mimetype: 'audio/ogg', lossless: false },
+      opus: { format: 'opus', ext: '.opus', mimetype: 'audio/ogg', lossless: false },
+      flac: { format: 'ogg-flac', ext: '.oga', mimetype: 'audio/ogg', lossless: true },
+    },
+  },
+];
+
+/**
+ * Match ffprobe's format/codec names against the supported formats
+ * @param {string} formatName - ffprobe format_name (comma-separated list)
+ * @param {string} codecName - ffprobe codec_name of the audio stream
+ * @returns {Object|null} { format, ext, mimetype, lossless }
+ */
+export const resolveAudioFormat = (formatName, codecName) => {
+  const names = String(formatName || '').split(',');
+  // PCM variants (pcm_s16le, pcm_s24be, ...) share one entry
+  const codec = String(codecName || '').startsWith('pcm_') ? 'pcm' : codecName;
+  const container = FORMATS.find((entry) => entry.formatNames.some((name) => names.includes(name)));
+
+  return (container && container.codecs[codec]) || null;
+};
+
+/**
+ * Describe the format of probed audio
+ * @param {Object} metadata - getAudioMetadata() result
+ * @returns {Object} { format, ext, mimetype, lossless, codec, sampleRate, bitDepth, channels }
+ * @throws {AppError} 415 when the file is not a supported audio format
+ */
+export const describeAudioFormat = (metadata) => {
+  const resolved = resolveAudioFormat(metadata.format, metadata.codec);
+
+  if (!resolved) {
+    throw new AppError(
+      `Unsupported audio format (${metadata.format}/${metadata.codec}). Supported: ${SUPPORTED_FORMATS_LABEL}`,
+      415
+    );
+  }
+
+  return {
+    ...resolved,
+    codec: metadata.codec,
+    sampleRate: metadata.sampleRate,
+    bitDepth: metadata.bitDepth,
+    channels: metadata.channels,
+  };
+};
+
+/**
+ * Sniff an uploaded file with ffprobe
+ * @param {string} filePath - Local audio file
+ * @returns {Promise<Object>} See describeAudioFormat
+ * @throws {AppError} 422 when ffprobe cannot read the file, 415 when unsupported
+ */
+export const sniffAudioFormat = async (filePath) => {
+  let metadata;
+  try {
+    metadata = await getAudioMetadata(filePath);
+  } catch (error) {
+    if (error.message === FFMPEG_MISSING_MESSAGE) throw error;
+    throw new AppError(`Unreadable audio file: ${error.message}`, 422);
+  }
+
+  return describeAudioFormat(metadata);
+};
+
+export default {
+  SUPPORTED_FORMATS_LABEL,
+  resolveAudioFormat,
+  describeAudioFormat,
+  sniffAudioFormat,
+};
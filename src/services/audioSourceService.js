@@ -0,0 +1,103 @@
+import fs from 'fs';
+import path from 'path';
+import { downloadFile } from '../utils/storage.js';
+
+/**
+ * Audio Source Service
+ * Local, decodable copies of already-uploaded audio for re-analysis
+ * (backfills). Songs use their stored source upload when there is one and
+ * fall back to the (unencrypted) HLS stream of older uploads.
+ */
+
+// Segment / variant playlist lines of an m3u8
+export const uriLines = (playlist) =>
+  playlist
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'));
+
+const parentOf = (urlOrKey) => urlOrKey.slice(0, urlOrKey.lastIndexOf('/'));
+
+/**
+ * Highest-bandwidth variant URI of a master playlist
+ */
+const highestVariant = (master) => {
+  const lines = master.split(/\r?\n/).map((line) => line.trim());
+  let best = null;
+
+  lines.forEach((line, index) => {
+    if (!line.startsWith('#EXT-X-STREAM-INF')) return;
+    const bandwidth = parseInt((line.match(/[:,]BANDWIDTH=(\d+)/) || [])[1], 10) || 0;
+    const uri = lines.slice(index + 1).find((next) => next && !next.startsWith('#'));
+    if (uri && (!best || bandwidth > best.bandwidth)) best = { uri, bandwidth };
+  });
+
+  return best && best.uri;
+};
+
+/**
+ * Download an HLS stream (best variant) into workDir
+ * @returns {Promise<string>} Path of the local playlist
+ */
+const downloadHLS = async (playlistUrl, workDir) => {
+  let playlistPath = path.join(workDir, 'entry.m3u8');
+  await downloadFile(playlistUrl, playlistPath);
+  let playlist = await fs.promises.readFile(playlistPath, 'utf8');
+  let base = parentOf(playlistUrl);
+
+  if (playlist.includes('#EXT-X-STREAM-INF')) {
+    const variant = highestVariant(playlist);
+    if (!variant) throw new Error('Master playlist has no variants');
+
+    const variantUrl = `${base}/${variant}`;
+    base = parentOf(variantUrl);
+    playlistPath = path.join(workDir, 'variant.m3u8');
+    await downloadFile(variantUrl, playlistPath);
+    playlist = await fs.promises.readFile(playlistPath, 'utf8');
+  }
+
+  if (playlist.includes('#EXT-X-KEY')) {
+    throw new Error('HLS stream is encrypted and no source audio is stored');
+  }
+
+  // Segments sit next to the playlist so its relative URIs resolve locally
+  for (const segment of uriLines(playlist)) {
+    await downloadFile(`${base}/${segment}`, path.join(workDir, path.basename(segment)));
+  }
+
+  return playlistPath;
+};
+
+/**
+ * Fetch a song's audio into workDir
+ * @param {Object} song - Song with sourceUrl (select '+sourceUrl') and hlsUrl
+ * @param {string} workDir - Existing temp directory
+ * @returns {Promise<string>} Local path to analyze
+ */
+export const fetchSongAudio = async (song, workDir) => {
+  if (song.sourceUrl) {
+    const sourcePath = path.join(workDir, `source${path.extname(song.sourceUrl) || '.mp3'}`);
+    return downloadFile(song.sourceUrl, sourcePath);
+  }
+
+  if (!song.hlsUrl) throw new Error('Song has no stored audio');
+  return downloadHLS(song.hlsUrl, workDir);
+};
+
+/**
+ * Fetch an episode's original audio into workDir
+ * @param {Object} episode - PodcastEpisode with audioPath
+ * @param {string} workDir - Existing temp directory
+ * @returns {Promise<string>} Local path to analyze
+ */
+export const fetchEpisodeAudio = async (episode, workDir) => {
+  if (!episode.audioPath) throw new Error('Episode has no stored audio');
+
+  const audioPath = path.join(workDir, `episode${path.extname(episode.audioPath) || '.mp3'}`);
+  return downloadFile(episode.audioPath, audioPath);
+};
+
+export default {
+  fetchSongAudio,
+  fetchEpisodeAudio,
+};
@@ -0,0 +1,137 @@
+import sharp from 'sharp';
+import { uploadFile } from '../utils/storage.js';
+import { AppError } from '../utils/errors.js';
+import config from '../config/index.js';
+
+/**
+ * Cover Image Service
+ * Song/album/podcast covers and artist profile images are stored as square
+ * WebP and JPEG variants at the configured sizes (never the raw upload),
+ * with dominant and accent colors for UI theming.
+ *
+ * Stored shape: covers = { '64': { webp, jpeg }, '300': { ... }, ... },
+ * colors = { dominant: '#rrggbb', accent: '#rrggbb' }
+ */
+
+const FORMATS = {
+  webp: {
+    ext: '.webp',
+    mimetype: 'image/webp',
+    encode: (image) => image.webp({ quality: config.covers.webpQuality }),
+  },
+  jpeg: {
+    ext: '.jpg',
+    mimetype: 'image/jpeg',
+    encode: (image) => image.jpeg({ quality: config.covers.jpegQuality, mozjpeg: true }),
+  },
+};
+
+const toHex = ({ r, g, b }) => `#${[r, g, b].map((c) => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+
+// HSV saturation (0..1)
+const saturation = ({ r, g, b }) => {
+  const max = Math.max(r, g, b);
+  return max === 0 ? 0 : (max - Math.min(r, g, b)) / max;
+};
+
+const distance = (a, b) => Math.sqrt((a.r - b.r) ** 2 + (a.g - b.g) ** 2 + (a.b - b.b) ** 2);
+
+/**
+ * Dominant and accent colors of an image
+ * Pixels of a 64×64 thumbnail are grouped into 4-bit-per-channel buckets;
+ * the largest bucket is the dominant color, the accent is the bucket with
+ * the best count × saturation that is clearly different from it.
+ * @param {string|Buffer} input - Image file path or buffer
+ * @returns {Promise<Object>} { dominant, accent } as '#rrggbb'
+ */
+export const extractColors = async (input) => {
+  const { data, info } = await sharp(input)
+    .rotate()
+    .resize(64, 64, { fit: 'cover' })
+    .removeAlpha()
+    .toColourspace('srgb')
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const buckets = new Map();
+  for (let i = 0; i < data.length; i += info.channels) {
+    const [r, g, b] = [data[i], data[i + 1], data[i + 2]];
+    const key = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+    const bucket = buckets.get(key) || { r: 0, g: 0, b: 0, count: 0 };
+    bucket.r += r;
+    bucket.g += g;
+    bucket.b += b;
+    bucket.count += 1;
+    buckets.set(key, bucket);
+  }
+
+  const colors = [...buckets.values()]
+    .map((bucket) => ({
+      r: bucket.r / bucket.count,
+      g: bucket.g / bucket.count,
+      b: bucket.b / bucket.count,
+      count: bucket.count,
+    }))
+    .sort((a, b) => b.count - a.count);
+
+  const dominant = colors[0];
+  const accent = colors
+    .filter((color) => saturation(color) > 0.25 && distance(color, dominant) > 60)
+    .sort((a, b) => b.count * saturation(b) - a.count * saturation(a))[0];
+
+  return { dominant: toHex(dominant), accent: toHex(accent || dominant) };
+};
+
+/**
+ * Resize an uploaded image into the cover variants and store them
+ * @param {string} inputPath - Local image file
+ * @param {string} keyPrefix - Storage prefix, e.g. 'songs/<id>' or 'albums/<id>'
+ * @param {string} name - Base file name ('cover', 'profile')
+ * @returns {Promise<Object>} { url, covers, colors } (url: largest JPEG, for the legacy single-URL fields)
+ * @throws {AppError} 422 when the file is not a readable image
+ */
+export const processCoverImage = async (inputPath, keyPrefix, name = 'cover') => {
+  let metadata;
+  try {
+    metadata = await sharp(inputPath).metadata();
+  } catch (error) {
+    throw new AppError(`Unreadable image file: ${error.message}`, 422);
+  }
+  const shortSide = Math.min(metadata.width, metadata.height);
+
+  // Auto-orient from EXIF; metadata is dropped from the outputs
+  const source = sharp(inputPath).rotate();
+  const covers = {};
+
+  for (const size of config.covers.sizes) {
+    covers[size] = {};
+    for (const [format, { ext, mimetype, encode }] of Object.entries(FORMATS)) {
+      // Small sources are cropped square but not upscaled
+      const side = Math.min(size, shortSide);
+      const buffer = await encode(source.clone().resize(side, side, { fit: 'cover' })).toBuffer();
+      covers[size][format] = await uploadFile(buffer, `${keyPrefix}/${name}-${size}${ext}`, mimetype, true);
+    }
+  }
+
+  const largest = config.covers.sizes[config.covers.sizes.length - 1];
+
+  return {
+    url: covers[largest].jpeg,
+    covers,
+    colors: await extractColors(inputPath),
+  };
+};
+
+/**
+ * Smallest stored variant (thumbnails, autocomplete), if the image was processed
+ */
+export const thumbnailUrl = (covers) => {
+  const sizes = Object.keys(covers || {}).map(Number).sort((a, b) => a - b);
+  return sizes.length ? covers[sizes[0]].jpeg : undefined;
+};
+
+export default {
+  extractColors,
+  processCoverImage,
+  thumbnailUrl,
+};
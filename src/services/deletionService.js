@@ -0,0 +1,319 @@
+import Song from '../models/Song.js';
+import Album from '../models/Album.js';
+import Podcast from '../models/Podcast.js';
+import PodcastEpisode from '../models/PodcastEpisode.js';
+import SongVersion from '../models/SongVersion.js';
+import DuplicateFlag from '../models/DuplicateFlag.js';
+import Favorite from '../models/Favorite.js';
+import History from '../models/History.js';
+import Playlist from '../models/Playlist.js';
+import Analytics from '../models/Analytics.js';
+import { deletePrefix, deleteFile, storageKeyFromUrl } from '../utils/storage.js';
+import { AppError } from '../utils/errors.js';
+import config from '../config/index.js';
+
+/**
+ * Deletion Service
+ * Deleting a song, album, podcast or episode is a soft delete (see
+ * utils/softDelete.js): it disappears at once but can be restored for
+ * config.deletion.graceDays. Albums take their songs along and podcasts their
+ * episodes. Once the grace period is over the purge removes the stored files
+ * (HLS of every audio version, masters, previews, covers, waveforms) and the
+ * documents pointing at them.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const graceMs = () => config.deletion.graceDays * DAY_MS;
+
+/**
+ * Until when a deletion can be undone
+ */
+export const restorableUntil = (deletedAt) => new Date(new Date(deletedAt).getTime() + graceMs());
+
+const deletionFields = (userId, parentId) => ({
+  deletedAt: new Date(),
+  deletedBy: userId,
+  ...(parentId && { deletedWith: parentId }),
+});
+
+const RESTORE_UPDATE = { $unset: { deletedAt: 1, deletedBy: 1, deletedWith: 1 } };
+
+/**
+ * Load a deleted document that may still be restored
+ * @throws {AppError} 404 when it isn't deleted, 410 once the grace period is over
+ */
+const findRestorable = async (model, id, label) => {
+  const doc = await model.findOne({ _id: id, deletedAt: { $ne: null } });
+  if (!doc) {
+    throw new AppError(`Deleted ${label} not found`, 404);
+  }
+  if (restorableUntil(doc.deletedAt) < new Date()) {
+    throw new AppError(`The ${label} can no longer be restored`, 410);
+  }
+  return doc;
+};
+
+// =========================================================
+// Soft delete / restore
+// =========================================================
+
+/**
+ * @param {Object} song - Song document
+ * @param {ObjectId} userId - Who deleted it
+ * @returns {Promise<Date>} Restorable until
+ */
+export const deleteSong = async (song, userId) => {
+  const fields = deletionFields(userId);
+  await Song.updateOne({ _id: song._id }, { $set: fields });
+  return restorableUntil(fields.deletedAt);
+};
+
+export const restoreSong = async (songId) => {
+  const song = await findRestorable(Song, songId, 'song');
+  await Song.updateOne({ _id: song._id, deletedAt: song.deletedAt }, RESTORE_UPDATE);
+  return Song.findById(song._id);
+};
+
+/**
+ * Delete an album and the songs on it. Songs owned by someone else stay live
+ * (and on the album, for a restore); the purge clears their album reference.
+ * @param {Object} album - Album document
+ * @param {Object} user - Deleting user (owner or admin)
+ * @returns {Promise<Date>} Restorable until
+ */
+export const deleteAlbum = async (album, user) => {
+  const fields = deletionFields(user._id);
+  const songFilter = { _id: { $in: album.songs } };
+  if (user.role !== 'admin') songFilter.createdBy = user._id;
+
+  await Song.updateMany(songFilter, { $set: { ...fields, deletedWith: album._id } });
+  await Album.updateOne({ _id: album._id }, { $set: fields });
+  return restorableUntil(fields.deletedAt);
+};
+
+export const restoreAlbum = async (albumId) => {
+  const album = await findRestorable(Album, albumId, 'album');
+  await Song.updateMany({ deletedWith: album._id, deletedAt: { $ne: null } }, RESTORE_UPDATE);
+  await Album.updateOne({ _id: album._id, deletedAt: album.deletedAt }, RESTORE_UPDATE);
+  return Album.findById(album._id);
+};
+
+/**
+ * Delete a podcast and its episodes
+ * @returns {Promise<Date>} Restorable until
+ */
+export const deletePodcast = async (podcast, userId) => {
+  const fields = deletionFields(userId);
+  await PodcastEpisode.updateMany({ podcastId: podcast._id }, { $set: { ...fields, deletedWith: podcast._id } });
+  await Podcast.updateOne({ _id: podcast._id }, { $set: fields });
+  return restorableUntil(fields.deletedAt);
+};
+
+export const restorePodcast = async (podcastId) => {
+  const podcast = await findRestorable(Podcast, podcastId, 'podcast');
+  await PodcastEpisode.updateMany({ deletedWith: podcast._id, deletedAt: { $ne: null } }, RESTORE_UPDATE);
+  await Podcast.updateOne({ _id: podcast._id, deletedAt: podcast.deletedAt }, RESTORE_UPDATE);
+  return Podcast.findById(podcast._id);
+};
+
+/**
+ * Delete one episode (the podcast's episodeCount follows)
+ * @returns {Promise<Date>} Restorable until
+ */
+export const deleteEpisode = async (episode, userId) => {
+  const fields = deletionFields(userId);
+  await PodcastEpisode.updateOne({ _id: episode._id }, { $set: fields });
+  await Podcast.updateOne({ _id: episode.podcastId }, { $inc: { episodeCount: -1 } });
+  return restorableUntil(fields.deletedAt);
+};
+
+export const restoreEpisode = async (episodeId) => {
+  const episode = await findRestorable(PodcastEpisode, episodeId, 'episode');
+  if (!(await Podcast.exists({ _id: episode.podcastId }))) {
+    throw new AppError('The podcast of this episode is deleted; restore the podcast instead', 409);
+  }
+
+  await PodcastEpisode.updateOne({ _id: episode._id, deletedAt: episode.deletedAt }, RESTORE_UPDATE);
+  await Podcast.updateOne({ _id: episode.podcastId }, { $inc: { episodeCount: 1 } });
+  return PodcastEpisode.findById(episode._id);
+};
+
+// =========================================================
+// Purge (permanent)
+// =========================================================
+
+// Cover fields of the models that may point at a legacy cover
+const COVER_REFERENCES = [
+  { model: Song, field: 'coverImageUrl' },
+  { model: Album, field: 'coverImageUrl' },
+  { model: Podcast, field: 'coverImage' },
+];
+
+/**
+ * Delete a purged document's legacy cover: one stored outside its own folder
+ * (older uploads), unless another song, album or podcast still shows it.
+ * Non-fatal: the document is gone by now, a leftover cover only takes space.
+ * @param {string} coverUrl - Cover URL/key of the purged document
+ * @param {string} prefix - The document's own folder (already deleted), e.g. songs/<id>/
+ */
+const purgeLegacyCover = async (coverUrl, prefix) => {
+  const key = coverUrl && storageKeyFromUrl(coverUrl);
+  if (!key || key.startsWith(prefix)) return;
+
+  try {
+    const references = await Promise.all(
+      COVER_REFERENCES.map(({ model, field }) => model.exists({ [field]: coverUrl }).setOptions({ withDeleted: true }))
+    );
+    if (!references.some(Boolean)) {
+      await deleteFile(key);
+    }
+  } catch (error) {
+    console.error(`❌ Failed to delete legacy cover ${key}:`, error.message);
+  }
+};
+
+/**
+ * Remove a deleted song for good: stored files of every audio version (and a
+ * legacy cover), versions, duplicate flags, favorites, history, album and
+ * playlist entries (analytics per config.deletion.analytics)
+ */
+export const purgeSong = async (songId) => {
+  const song = await Song.findById(songId).withDeleted().select('coverImageUrl').lean();
+  await deletePrefix(`songs/${songId}/`);
+
+  await Promise.all([
+    SongVersion.deleteMany({ song: songId }),
+    DuplicateFlag.deleteMany({ $or: [{ song: songId }, { matchedSong: songId }] }),
+    Favorite.deleteMany({ song: songId }),
+    History.deleteMany({ song: songId }),
+    Album.updateMany({ songs: songId }, { $pull: { songs: songId } }).withDeleted(),
+    Playlist.updateMany({ 'tracks.song': songId }, { $pull: { tracks: { song: songId } } }),
+    config.deletion.analytics === 'delete' && Analytics.deleteMany({ song: songId }),
+  ]);
+
+  await Song.deleteOne({ _id: songId });
+  await purgeLegacyCover(song?.coverImageUrl, `songs/${songId}/`);
+};
+
+/**
+ * Remove a deleted album (its cover files; its songs are purged on their own,
+ * songs of other artists it listed stay and no longer name it)
+ */
+export const purgeAlbum = async (albumId) => {
+  const album = await Album.findById(albumId).withDeleted().select('title songs coverImageUrl').lean();
+  await deletePrefix(`albums/${albumId}/`);
+  if (album) {
+    await Song.updateMany({ _id: { $in: album.songs }, album: album.title }, { $unset: { album: 1 } }).withDeleted();
+  }
+  await Album.deleteOne({ _id: albumId });
+  await purgeLegacyCover(album?.coverImageUrl, `albums/${albumId}/`);
+};
+
+/**
+ * Remove a deleted episode (HLS, master, waveform)
+ */
+export const purgeEpisode = async (episode) => {
+  await deletePrefix(`podcasts/${episode.podcastId}/episodes/${episode._id}/`);
+  await PodcastEpisode.deleteOne({ _id: episode._id });
+};
+
+/**
+ * Remove a deleted podcast with all of its episodes and covers
+ */
+export const purgePodcast = async (podcastId) => {
+  const podcast = await Podcast.findById(podcastId).withDeleted().select('coverImage').lean();
+  await deletePrefix(`podcasts/${podcastId}/`);
+  await PodcastEpisode.deleteMany({ podcastId });
+  await Podcast.deleteOne({ _id: podcastId });
+  await purgeLegacyCover(podcast?.coverImage, `podcasts/${podcastId}/`);
+};
+
+// Children before parents, so a parent is only gone once nothing it took along is left
+const PURGES = [
+  { name: 'songs', model: Song, select: '_id', purge: (doc) => purgeSong(doc._id) },
+  { name: 'episodes', model: PodcastEpisode, select: '_id podcastId', purge: purgeEpisode },
+  { name: 'albums', model: Album, select: '_id', purge: (doc) => purgeAlbum(doc._id) },
+  { name: 'podcasts', model: Podcast, select: '_id', purge: (doc) => purgePodcast(doc._id) },
+];
+
+/**
+ * Purge everything deleted longer ago than the grace period
+ * @param {Object} options - { olderThan } (defaults to now - graceDays)
+ * @returns {Promise<Object>} Purged counts per type, plus failures
+ */
+export const purgeExpired = async ({ olderThan = new Date(Date.now() - graceMs()) } = {}) => {
+  const counts = { failed: 0 };
+
+  for (const { name, model, select, purge } of PURGES) {
+    counts[name] = 0;
+    const expired = await model.find({ deletedAt: { $lte: olderThan } }).select(select).lean();
+
+    for (const doc of expired) {
+      try {
+        await purge(doc);
+        counts[name] += 1;
+      } catch (error) {
+        // Left deleted; the next sweep tries again
+        counts.failed += 1;
+        console.error(`❌ Failed to purge ${name} ${doc._id}:`, error.message);
+      }
+    }
+  }
+
+  return counts;
+};
+
+let sweepTimer = null;
+let sweeping = false;
+
+const sweep = async () => {
+  if (sweeping) return;
+  sweeping = true;
+
+  try {
+    const counts = await purgeExpired();
+    const purged = PURGES.filter(({ name }) => counts[name] > 0).map(({ name }) => `${counts[name]} ${name}`);
+    if (purged.length > 0) {
+      console.log(`🗑️ Purged deleted ${purged.join(', ')}`);
+    }
+  } catch (error) {
+    console.error('❌ Deletion sweep error:', error.message);
+  } finally {
+    sweeping = false;
+  }
+};
+
+/**
+ * Purge expired deletions now and every config.deletion.sweepIntervalMinutes
+ */
+export const startDeletionSweeper = () => {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(sweep, config.deletion.sweepIntervalMinutes * 60 * 1000);
+  sweepTimer.unref();
+  sweep();
+};
+
+export const stopDeletionSweeper = () => {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+};
+
+export default {
+  restorableUntil,
+  deleteSong,
+  restoreSong,
+  deleteAlbum,
+  restoreAlbum,
+  deletePodcast,
+  restorePodcast,
+  deleteEpisode,
+  restoreEpisode,
+  purgeSong,
+  purgeAlbum,
+  purgeEpisode,
+  purgePodcast,
+  purgeExpired,
+  startDeletionSweeper,
+  stopDeletionSweeper,
+};
@@ -0,0 +1,146 @@
+import path from 'path';
+import os from 'os';
+import Podcast from '../models/Podcast.js';
+import PodcastEpisode from '../models/PodcastEpisode.js';
+import { convertToHLS, cleanupFiles, getAudioMetadata } from './ffmpegService.js';
+import { uploadHLSFiles, uploadPrivateFile } from '../utils/storage.js';
+import { generateContentKey, episodeKeyUri } from './playbackSecurityService.js';
+import { measureLoudness } from './loudnessService.js';
+import { buildWaveform, storeEpisodeWaveform } from './waveformService.js';
+import { sniffAudioFormat } from './audioFormatService.js';
+import { AppError } from '../utils/errors.js';
+import config from '../config/index.js';
+
+/**
+ * Episode Upload Service
+ * The podcast episode pipeline (HLS → storage → analysis → save), shared by the
+ * direct admin upload and queued (resumable) uploads
+ */
+
+// Overall progress (%) at which each stage starts; transcoding fills up to 'uploading'
+const STAGE_PROGRESS = {
+  validating: 0,
+  transcoding: 5,
+  uploading: 60,
+  analyzing: 80,
+  saving: 95,
+};
+
+const toList = (value) => (value ? (Array.isArray(value) ? value : [value]) : []);
+
+/**
+ * Episode fields from the upload form
+ */
+const episodePayload = (podcastId, fields, originalName, createdByArtist) => ({
+  podcastId,
+  title: fields.title || originalName,
+  description: fields.description || '',
+  duration: fields.duration || 0,
+  episodeNumber: fields.episodeNumber || 0,
+  season: fields.season,
+  releaseDate: fields.releaseDate || Date.now(),
+  createdByArtist,
+  category: toList(fields.category),
+  keywords: toList(fields.keywords),
+  language: fields.language || 'en',
+  explicit: fields.explicit === 'true' || fields.explicit === true,
+});
+
+/**
+ * Process an episode upload from a local file
+ * @param {Object} params
+ * @param {string} params.podcastId - Podcast the episode belongs to
+ * @param {Object} params.fields - Form fields (title, description, season, ...)
+ * @param {Object} params.audio - { path, originalName }
+ * @param {string} params.episodeId - Id for the new episode (keeps storage keys stable across retries)
+ * @param {string} params.createdByArtist - Uploader's artist profile (optional)
+ * @param {Function} params.onProgress - Called with (stage, percent)
+ * @returns {Promise<Object>} { episode, metadata }
+ */
+export const processEpisodeUpload = async ({ podcastId, fields, audio, episodeId, createdByArtist, onProgress = () => {} }) => {
+  const tempFiles = [];
+  const report = (stage, percent = STAGE_PROGRESS[stage]) => onProgress(stage, Math.round(percent));
+
+  try {
+    report('validating');
+    const podcast = await Podcast.findById(podcastId);
+    if (!podcast) throw new AppError('Podcast not found', 404);
+
+    // Trust ffprobe, not the extension or mimetype the client sent
+    const audioFormat = await sniffAudioFormat(audio.path);
+
+    const episode = new PodcastEpisode({
+      _id: episodeId,
+      ...episodePayload(podcastId, fields, audio.originalName, createdByArtist),
+      audioFormat,
+    });
+
+    const tmpOutputDir = path.join(os.tmpdir(), 'podcasts', String(podcastId), String(episode._id), 'hls');
+
+    // Convert to HLS (encrypted with a per-episode key kept in the database)
+    report('transcoding');
+    const hlsKey = config.hls.encrypt ? generateContentKey() : undefined;
+    const transcodeSpan = STAGE_PROGRESS.uploading - STAGE_PROGRESS.transcoding;
+    const hlsResult = await convertToHLS(audio.path, tmpOutputDir, {
+      encryption: hlsKey && { key: hlsKey, keyUri: episodeKeyUri(episode._id) },
+      onProgress: (percent) => report('transcoding', STAGE_PROGRESS.transcoding + (percent / 100) * transcodeSpan),
+    });
+    tempFiles.push(hlsResult.outputDir);
+
+    // Upload HLS files and the original audio (the master) to storage
+    report('uploading');
+    const episodePrefix = `podcasts/${podcastId}/episodes/${episode._id}`;
+    const playlistKey = await uploadHLSFiles(hlsResult.files, `${episodePrefix}/hls`);
+    const audioKey = await uploadPrivateFile(audio.path, `${episodePrefix}/audio/original${audioFormat.ext}`, audioFormat.mimetype);
+
+    report('analyzing');
+
+    // Get metadata (duration) if possible
+    let metadata = {};
+    try {
+      metadata = await getAudioMetadata(audio.path);
+    } catch (e) {
+      // non-fatal
+    }
+
+    // Loudness for playback normalization (non-fatal, the backfill can retry)
+    try {
+      episode.loudness = await measureLoudness(audio.path);
+    } catch (e) {
+      console.warn('⚠️ Loudness analysis failed:', e.message);
+    }
+
+    // Waveform peaks (non-fatal)
+    try {
+      episode.waveformPath = await storeEpisodeWaveform(await buildWaveform(audio.path), podcastId, episode._id);
+    } catch (e) {
+      console.warn('⚠️ Waveform generation failed:', e.message);
+    }
+
+    report('saving');
+    episode.hlsPath = playlistKey;
+    episode.hlsKey = hlsKey;
+    episode.audioPath = audioKey;
+    if (metadata.duration) episode.duration = metadata.duration;
+    await episode.save();
+
+    // Increment podcast episodeCount
+    await Podcast.updateOne({ _id: podcastId }, { $inc: { episodeCount: 1 } });
+
+    return {
+      episode,
+      metadata: {
+        duration: metadata.duration,
+        bitrate: metadata.bitrate,
+        sampleRate: metadata.sampleRate,
+        channels: metadata.channels,
+      },
+    };
+  } finally {
+    await cleanupFiles(tempFiles);
+  }
+};
+
+export default {
+  processEpisodeUpload,
+};
@@ -1,9 +1,11 @@
 import ffmpeg from 'fluent-ffmpeg';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { promisify } from 'util';
 import ffmpegPath from "ffmpeg-static";
 import ffprobePath from "ffprobe-static";
+import config from '../config/index.js';
 
 const mkdir = promisify(fs.mkdir);
 const readdir = promisify(fs.readdir);
@@ -55,88 +57,462 @@ export const checkFFmpegAvailability = async () => {
 // Check on module load
 checkFFmpegAvailability();
 
+export const FFMPEG_MISSING_MESSAGE =
+  'FFmpeg is not installed or not found in PATH. ' +
+  'Please install FFmpeg: ' +
+  'Windows: https://ffmpeg.org/download.html or "choco install ffmpeg", ' +
+  'macOS: "brew install ffmpeg", ' +
+  'Linux: "sudo apt install ffmpeg"';
+
+export const MASTER_PLAYLIST = 'master.m3u8';
+export const VARIANT_PLAYLIST = 'playlist.m3u8';
+const SEGMENT_PATTERN = 'segment%03d.ts';
+
+// Rough MPEG-TS/ADTS container overhead on top of the AAC bitrate
+const CONTAINER_OVERHEAD = 1.1;
+
+/**
+ * List files under a directory recursively, with names relative to it
+ * ("128k/segment000.ts") so storage keys keep the rendition folders
+ */
+const listFilesRecursive = async (rootDir, subDir = '') => {
+  const entries = await readdir(path.join(rootDir, subDir), { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    const name = subDir ? `${subDir}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...(await listFilesRecursive(rootDir, name)));
+    } else {
+      files.push({ name, path: path.join(rootDir, name) });
+    }
+  }
+
+  return files;
+};
+
+/**
+ * Build the HLS master playlist for the audio renditions.
+ * The default bitrate is listed first since players start on the first variant.
+ */
+const buildMasterPlaylist = (renditions, defaultBitrate) => {
+  const ordered = [...renditions].sort((a, b) => {
+    if (a.bitrate === defaultBitrate) return -1;
+    if (b.bitrate === defaultBitrate) return 1;
+    return a.bitrate - b.bitrate;
+  });
+
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+  ordered.forEach((rendition) => {
+    const average = rendition.bitrate * 1000;
+    lines.push(
+      `#EXT-X-STREAM-INF:BANDWIDTH=${Math.round(average * CONTAINER_OVERHEAD)},` +
+        `AVERAGE-BANDWIDTH=${average},CODECS="mp4a.40.2"`
+    );
+    lines.push(rendition.playlist);
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
 /**
- * Convert MP3 to HLS format
- * @param {string} inputPath - Path to input MP3 file
+ * Write the key file and ffmpeg key info file for AES-128 encryption into a
+ * private temp directory (never next to the output, which may be served or uploaded).
+ * @returns {Promise<{ keyInfoPath: string, keyDir: string }>} keyDir is removed after the transcode
+ */
+const writeKeyInfo = async ({ key, keyUri }) => {
+  const keyDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'hls-key-'));
+  const keyPath = path.join(keyDir, 'content.key');
+  const keyInfoPath = path.join(keyDir, 'content.keyinfo');
+
+  await fs.promises.writeFile(keyPath, Buffer.from(key, 'hex'), { mode: 0o600 });
+  // Line 1: URI written to #EXT-X-KEY, line 2: local key file
+  await fs.promises.writeFile(keyInfoPath, `${keyUri}\n${keyPath}\n`, { mode: 0o600 });
+
+  return { keyInfoPath, keyDir };
+};
+
+/**
+ * Encode a single AAC rendition into its own HLS playlist
+ */
+const encodeRendition = (inputPath, outputDir, bitrate, keyInfoPath, onProgress) => {
+  const encryptionOptions = keyInfoPath ? [`-hls_key_info_file ${keyInfoPath}`] : [];
+
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      // Audio codec settings
+      .noVideo()                            // Drop embedded cover art
+      .audioCodec('aac')
+      .audioBitrate(`${bitrate}k`)
+      .audioChannels(2)
+      .audioFrequency(44100)
+
+      // HLS settings for compatibility with HLS.js
+      .outputOptions([
+        '-f hls',                           // HLS format
+        `-hls_time ${config.hls.segmentSeconds}`, // Segment length
+        '-hls_list_size 0',                 // Include all segments in playlist
+        '-hls_segment_type mpegts',         // MPEG-TS segments
+        `-hls_segment_filename ${path.join(outputDir, SEGMENT_PATTERN)}`,
+        '-start_number 0',                  // Start segment numbering at 0
+        '-hls_allow_cache 1',               // Allow caching
+        ...encryptionOptions,               // AES-128 segment encryption
+      ])
+      .output(path.join(outputDir, VARIANT_PLAYLIST))
+      .on('start', (commandLine) => {
+        console.log('FFmpeg command:', commandLine);
+      })
+      .on('progress', (progress) => {
+        if (onProgress) onProgress(progress.percent || 0);
+      })
+      .on('end', () => resolve())
+      .on('error', (err) => {
+        console.error('FFmpeg error:', err);
+        reject(new Error(`FFmpeg conversion failed: ${err.message}`));
+      })
+      .run();
+  });
+};
+
+/**
+ * Convert audio to a multi-bitrate HLS ladder
+ * Layout: master.m3u8 + one folder per rendition (64k/playlist.m3u8, 64k/segment000.ts, ...)
+ * @param {string} inputPath - Path to input audio file
  * @param {string} outputDir - Directory for HLS output
+ * @param {Object} options - Optional settings
+ * @param {Array<number>} options.bitrates - Rendition bitrates in kbps (defaults to config.hls.bitrates)
+ * @param {Object} options.encryption - { key, keyUri } to encrypt segments with AES-128 (hex key)
+ * @param {Function} options.onProgress - Called with overall percentage (0-100) across renditions
  * @returns {Promise<Object>} - HLS files information
  */
-export const convertToHLS = (inputPath, outputDir) => {
-  return new Promise(async (resolve, reject) => {
-    try {
-      // Check if FFmpeg is available
-      if (!ffmpegAvailable) {
-        return reject(new Error(
-          'FFmpeg is not installed or not found in PATH. ' +
-          'Please install FFmpeg: ' +
-          'Windows: https://ffmpeg.org/download.html or "choco install ffmpeg", ' +
-          'macOS: "brew install ffmpeg", ' +
-          'Linux: "sudo apt install ffmpeg"'
-        ));
+export const convertToHLS = async (inputPath, outputDir, options = {}) => {
+  // Check if FFmpeg is available
+  if (!ffmpegAvailable) {
+    throw new Error(FFMPEG_MISSING_MESSAGE);
+  }
+
+  const bitrates = options.bitrates || config.hls.bitrates;
+
+  // Create output directory
+  await mkdir(outputDir, { recursive: true });
+
+  const keyFiles = options.encryption ? await writeKeyInfo(options.encryption) : null;
+
+  const renditions = [];
+  try {
+    for (const [index, bitrate] of bitrates.entries()) {
+      const name = `${bitrate}k`;
+      const renditionDir = path.join(outputDir, name);
+      await mkdir(renditionDir, { recursive: true });
+
+      await encodeRendition(inputPath, renditionDir, bitrate, keyFiles?.keyInfoPath, (percent) => {
+        const overall = ((index + percent / 100) / bitrates.length) * 100;
+        console.log(`Processing: ${overall.toFixed(1)}% done`);
+        if (options.onProgress) options.onProgress(overall);
+      });
+
+      renditions.push({ name, bitrate, playlist: `${name}/${VARIANT_PLAYLIST}` });
+    }
+  } finally {
+    if (keyFiles) await cleanupFiles([keyFiles.keyDir]);
+  }
+
+  await fs.promises.writeFile(
+    path.join(outputDir, MASTER_PLAYLIST),
+    buildMasterPlaylist(renditions, config.hls.defaultBitrate)
+  );
+
+  // Get all generated files
+  const files = await listFilesRecursive(outputDir);
+
+  console.log('HLS conversion completed');
+  return {
+    playlistFile: MASTER_PLAYLIST,
+    segmentPattern: SEGMENT_PATTERN,
+    renditions,
+    encrypted: Boolean(options.encryption),
+    files,
+    outputDir,
+  };
+};
+
+/**
+ * Merge container and stream tags (ID3, Vorbis comments, MP4 atoms) into one
+ * object with lowercase keys; Ogg files keep their Vorbis comments on the stream
+ */
+const normalizeTags = (...tagSets) =>
+  tagSets.reduce((merged, tags) => {
+    Object.entries(tags || {}).forEach(([key, value]) => {
+      const name = key.toLowerCase();
+      if (merged[name] === undefined && String(value).trim()) merged[name] = String(value).trim();
+    });
+    return merged;
+  }, {});
+
+const COVER_EXTENSIONS = { mjpeg: '.jpg', png: '.png', bmp: '.bmp', webp: '.webp' };
+const COVER_MIMETYPES = { '.jpg': 'image/jpeg', '.png': 'image/png', '.bmp': 'image/bmp', '.webp': 'image/webp' };
+
+/**
+ * Copy the embedded cover picture out of an audio file (no re-encode)
+ * @param {string} inputPath - Path to input audio file
+ * @param {Object} embeddedCover - { streamIndex, codec } from getAudioMetadata
+ * @param {string} outputBase - Output path without extension
+ * @returns {Promise<Object>} - { path, mimetype }
+ */
+export const extractEmbeddedCover = (inputPath, embeddedCover, outputBase) => {
+  return new Promise((resolve, reject) => {
+    if (!ffmpegAvailable) {
+      return reject(new Error(FFMPEG_MISSING_MESSAGE));
+    }
+
+    const ext = COVER_EXTENSIONS[embeddedCover.codec] || '.jpg';
+    const outputPath = `${outputBase}${ext}`;
+
+    ffmpeg(inputPath)
+      .outputOptions([`-map 0:${embeddedCover.streamIndex}`, '-c copy', '-frames:v 1'])
+      .output(outputPath)
+      .on('end', () => resolve({ path: outputPath, mimetype: COVER_MIMETYPES[ext] }))
+      .on('error', (err) => {
+        console.error('FFmpeg cover extraction error:', err);
+        reject(new Error(`Cover extraction failed: ${err.message}`));
+      })
+      .run();
+  });
+};
+
+/**
+ * Cut a preview clip (MP3) with short fades at both ends
+ * @param {string} inputPath - Path to input audio file
+ * @param {string} outputPath - Path of the MP3 to write
+ * @param {Object} options - { start, duration } in seconds
+ * @returns {Promise<Object>} - { path, start, duration }
+ */
+export const createPreviewClip = (inputPath, outputPath, { start = 0, duration }) => {
+  return new Promise((resolve, reject) => {
+    if (!ffmpegAvailable) {
+      return reject(new Error(FFMPEG_MISSING_MESSAGE));
+    }
+
+    const fade = Math.min(2, duration / 4);
+
+    ffmpeg(inputPath)
+      .seekInput(start)                     // Input seek: clip timestamps start at 0
+      .duration(duration)
+      .noVideo()                            // Drop embedded cover art
+      .audioCodec('libmp3lame')
+      .audioBitrate(`${config.preview.bitrate}k`)
+      .audioChannels(2)
+      .audioFrequency(44100)
+      .audioFilters([
+        `afade=t=in:st=0:d=${fade}`,
+        `afade=t=out:st=${Math.max(duration - fade, 0)}:d=${fade}`,
+      ])
+      .output(outputPath)
+      .on('end', () => resolve({ path: outputPath, start, duration }))
+      .on('error', (err) => {
+        console.error('FFmpeg preview error:', err);
+        reject(new Error(`Preview generation failed: ${err.message}`));
+      })
+      .run();
+  });
+};
+
+/**
+ * Pull the loudnorm JSON summary out of ffmpeg's stderr
+ * ("-inf" for silent input becomes null)
+ */
+const parseLoudnormOutput = (stderr = '') => {
+  const start = stderr.lastIndexOf('{');
+  const end = stderr.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('Loudness analysis produced no measurement');
+  }
+
+  const data = JSON.parse(stderr.slice(start, end + 1));
+  const toNumber = (value) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+  };
+
+  return {
+    integrated: toNumber(data.input_i),
+    truePeak: toNumber(data.input_tp),
+    range: toNumber(data.input_lra),
+  };
+};
+
+/**
+ * Measure EBU R128 loudness (loudnorm analysis pass, nothing is written)
+ * @param {string} inputPath - Path to audio file or local HLS playlist
+ * @returns {Promise<Object>} - { integrated (LUFS), truePeak (dBTP), range (LU) }
+ */
+export const analyzeLoudness = (inputPath) => {
+  return new Promise((resolve, reject) => {
+    if (!ffmpegAvailable) {
+      return reject(new Error(FFMPEG_MISSING_MESSAGE));
+    }
+
+    ffmpeg(inputPath)
+      .noVideo()
+      .audioFilters('loudnorm=print_format=json')
+      .format('null')
+      .output('-')
+      .on('end', (stdout, stderr) => {
+        try {
+          resolve(parseLoudnormOutput(stderr));
+        } catch (error) {
+          reject(error);
+        }
+      })
+      .on('error', (err) => {
+        console.error('FFmpeg loudness error:', err);
+        reject(new Error(`Loudness analysis failed: ${err.message}`));
+      })
+      .run();
+  });
+};
+
+// Waveform decoding: mono PCM at a low rate, one peak per 10ms block
+const WAVEFORM_SAMPLE_RATE = 8000;
+const WAVEFORM_BLOCK_SIZE = 80;
+
+/**
+ * Reduce block peaks to exactly `bars` values (max per bar, 0..1)
+ */
+const downsamplePeaks = (blockPeaks, bars) => {
+  const peaks = new Array(bars).fill(0);
+  if (blockPeaks.length === 0) return peaks;
+
+  for (let i = 0; i < bars; i += 1) {
+    const start = Math.floor((i * blockPeaks.length) / bars);
+    const end = Math.max(start + 1, Math.floor(((i + 1) * blockPeaks.length) / bars));
+    let max = 0;
+    for (let j = start; j < end && j < blockPeaks.length; j += 1) {
+      if (blockPeaks[j] > max) max = blockPeaks[j];
+    }
+    peaks[i] = Number((max / 32768).toFixed(3));
+  }
+
+  return peaks;
+};
+
+/**
+ * Decode audio and compute downsampled peak arrays
+ * @param {string} inputPath - Path to audio file
+ * @param {Array<number>} resolutions - Bars per array (e.g. [256, 1024])
+ * @returns {Promise<Object>} - { duration, peaks: { 256: [...], 1024: [...] } }
+ */
+export const computeWaveformPeaks = (inputPath, resolutions) => {
+  return new Promise((resolve, reject) => {
+    if (!ffmpegAvailable) {
+      return reject(new Error(FFMPEG_MISSING_MESSAGE));
+    }
+
+    const blockPeaks = [];
+    let blockMax = 0;
+    let blockCount = 0;
+    let totalSamples = 0;
+    let leftover = null;
+    let pending = 2; // PCM stream end + ffmpeg exit
+
+    const finish = () => {
+      pending -= 1;
+      if (pending > 0) return;
+      if (blockCount > 0) blockPeaks.push(blockMax);
+
+      const peaks = {};
+      resolutions.forEach((bars) => {
+        peaks[bars] = downsamplePeaks(blockPeaks, bars);
+      });
+
+      resolve({ duration: Number((totalSamples / WAVEFORM_SAMPLE_RATE).toFixed(2)), peaks });
+    };
+
+    const pcm = ffmpeg(inputPath)
+      .noVideo()
+      .audioChannels(1)
+      .audioFrequency(WAVEFORM_SAMPLE_RATE)
+      .format('s16le')
+      .on('end', finish)
+      .on('error', (err) => {
+        console.error('FFmpeg waveform error:', err);
+        reject(new Error(`Waveform generation failed: ${err.message}`));
+      })
+      .pipe();
+
+    // Peaks are folded in as PCM arrives, so long episodes never sit in memory
+    pcm.on('data', (chunk) => {
+      const buffer = leftover ? Buffer.concat([leftover, chunk]) : chunk;
+      const usable = buffer.length - (buffer.length % 2);
+
+      for (let offset = 0; offset < usable; offset += 2) {
+        const sample = Math.abs(buffer.readInt16LE(offset));
+        if (sample > blockMax) blockMax = sample;
+        blockCount += 1;
+        if (blockCount === WAVEFORM_BLOCK_SIZE) {
+          blockPeaks.push(blockMax);
+          blockMax = 0;
+          blockCount = 0;
+        }
       }
 
-      // Create output directory
-      await mkdir(outputDir, { recursive: true });
-
-      const playlistName = 'playlist.m3u8';
-      const segmentPattern = 'segment%03d.ts';
-      const outputPath = path.join(outputDir, playlistName);
-
-      ffmpeg(inputPath)
-        // Audio codec settings
-        .audioCodec('aac')
-        .audioBitrate('128k')
-        .audioChannels(2)
-        .audioFrequency(44100)
-        
-        // HLS settings for compatibility with HLS.js
-        .outputOptions([
-          '-f hls',                           // HLS format
-          '-hls_time 10',                     // 10 second segments
-          '-hls_list_size 0',                 // Include all segments in playlist
-          '-hls_segment_type mpegts',         // MPEG-TS segments
-          `-hls_segment_filename ${path.join(outputDir, segmentPattern)}`,
-          '-start_number 0',                  // Start segment numbering at 0
-          '-sc_threshold 0',                  // Disable scene change detection
-          '-g 48',                            // GOP size
-          '-keyint_min 48',                   // Minimum keyframe interval
-          '-hls_allow_cache 1',               // Allow caching
-        ])
-        .output(outputPath)
-        .on('start', (commandLine) => {
-          console.log('FFmpeg command:', commandLine);
-        })
-        .on('progress', (progress) => {
-          console.log(`Processing: ${progress.percent}% done`);
-        })
-        .on('end', async () => {
-          try {
-            // Get all generated files
-            const files = await readdir(outputDir);
-            const hlsFiles = files.map(file => ({
-              name: file,
-              path: path.join(outputDir, file),
-            }));
-
-            console.log('HLS conversion completed');
-            resolve({
-              playlistFile: playlistName,
-              segmentPattern,
-              files: hlsFiles,
-              outputDir,
-            });
-          } catch (error) {
-            reject(error);
-          }
-        })
-        .on('error', (err) => {
-          console.error('FFmpeg error:', err);
-          reject(new Error(`FFmpeg conversion failed: ${err.message}`));
-        })
-        .run();
-    } catch (error) {
-      reject(error);
+      totalSamples += usable / 2;
+      leftover = usable < buffer.length ? buffer.subarray(usable) : null;
+    });
+
+    pcm.on('end', finish);
+  });
+};
+
+/**
+ * Decode the start of an input to mono float samples (-1..1)
+ * @param {string} inputPath - Local audio file
+ * @param {Object} options - { sampleRate, maxSeconds }
+ * @returns {Promise<Float32Array>}
+ */
+export const decodeMonoSamples = (inputPath, { sampleRate, maxSeconds }) => {
+  return new Promise((resolve, reject) => {
+    if (!ffmpegAvailable) {
+      return reject(new Error(FFMPEG_MISSING_MESSAGE));
     }
+
+    // Bounded by maxSeconds, so the whole clip can be kept in memory
+    const samples = new Float32Array(Math.ceil(sampleRate * maxSeconds));
+    let length = 0;
+    let leftover = null;
+    let pending = 2; // PCM stream end + ffmpeg exit
+
+    const finish = () => {
+      pending -= 1;
+      if (pending === 0) resolve(samples.subarray(0, length));
+    };
+
+    const pcm = ffmpeg(inputPath)
+      .noVideo()
+      .duration(maxSeconds)
+      .audioChannels(1)
+      .audioFrequency(sampleRate)
+      .format('s16le')
+      .on('end', finish)
+      .on('error', (err) => {
+        console.error('FFmpeg decode error:', err);
+        reject(new Error(`Audio decoding failed: ${err.message}`));
+      })
+      .pipe();
+
+    pcm.on('data', (chunk) => {
+      const buffer = leftover ? Buffer.concat([leftover, chunk]) : chunk;
+      const usable = buffer.length - (buffer.length % 2);
+
+      for (let offset = 0; offset < usable && length < samples.length; offset += 2) {
+        samples[length] = buffer.readInt16LE(offset) / 32768;
+        length += 1;
+      }
+
+      leftover = usable < buffer.length ? buffer.subarray(usable) : null;
+    });
+
+    pcm.on('end', finish);
   });
 };
 
@@ -147,13 +523,7 @@ export const getAudioMetadata = (filePath) => {
   return new Promise((resolve, reject) => {
     // Check if FFmpeg is available
     if (!ffmpegAvailable) {
-      return reject(new Error(
-        'FFmpeg/FFprobe is not installed or not found in PATH. ' +
-        'Please install FFmpeg: ' +
-        'Windows: https://ffmpeg.org/download.html or "choco install ffmpeg", ' +
-        'macOS: "brew install ffmpeg", ' +
-        'Linux: "sudo apt install ffmpeg"'
-      ));
+      return reject(new Error(FFMPEG_MISSING_MESSAGE));
     }
 
     ffmpeg.ffprobe(filePath, (err, metadata) => {
@@ -167,13 +537,21 @@ export const getAudioMetadata = (filePath) => {
         return reject(new Error('No audio stream found'));
       }
 
+      // Embedded artwork shows up as a video stream flagged as an attached picture
+      const coverStream = metadata.streams.find(
+        s => s.codec_type === 'video' && s.disposition && s.disposition.attached_pic === 1
+      );
+
       resolve({
         duration: Math.floor(metadata.format.duration),
         bitrate: metadata.format.bit_rate,
         sampleRate: audioStream.sample_rate,
+        bitDepth: parseInt(audioStream.bits_per_raw_sample || audioStream.bits_per_sample, 10) || undefined,
         channels: audioStream.channels,
         codec: audioStream.codec_name,
         format: metadata.format.format_name,
+        tags: normalizeTags(metadata.format.tags, audioStream.tags),
+        embeddedCover: coverStream ? { streamIndex: coverStream.index, codec: coverStream.codec_name } : null,
       });
     });
   });
@@ -188,13 +566,8 @@ export const cleanupFiles = async (paths) => {
       const stats = await stat(filePath);
       
       if (stats.isDirectory()) {
-        // Delete all files in directory first
-        const files = await readdir(filePath);
-        await Promise.all(
-          files.map(file => unlink(path.join(filePath, file)))
-        );
-        // Remove directory
-        await fs.promises.rmdir(filePath);
+        // Remove directory with its contents (HLS output has one folder per rendition)
+        await fs.promises.rm(filePath, { recursive: true, force: true });
       } else {
         // Delete file
         await unlink(filePath);
@@ -229,6 +602,11 @@ export const validateAudioFile = async (filePath) => {
 
 export default {
   convertToHLS,
+  createPreviewClip,
+  extractEmbeddedCover,
+  analyzeLoudness,
+  computeWaveformPeaks,
+  decodeMonoSamples,
   getAudioMetadata,
   cleanupFiles,
   validateAudioFile,
@@ -0,0 +1,271 @@
+import Song from '../models/Song.js';
+import DuplicateFlag from '../models/DuplicateFlag.js';
+import { decodeMonoSamples } from './ffmpegService.js';
+import { chromaFrames } from '../utils/audioDsp.js';
+import config from '../config/index.js';
+
+/**
+ * Fingerprint Service
+ * Chromaprint-style acoustic fingerprints, computed locally: the decoded
+ * audio (mono, 11025 Hz) is cut into overlapping frames, each frame becomes
+ * a 12-bin chroma vector, and each chroma frame is reduced to a 32-bit
+ * sub-fingerprint of pitch-class and temporal comparisons. Re-encodes,
+ * trims and level changes flip few bits; different recordings differ in
+ * about half of them.
+ *
+ * Matching: songs sharing the most lookup keys (the encoding-stable bits of
+ * each sub-fingerprint) are compared in full at their best time offset.
+ */
+
+export const FINGERPRINT_VERSION = 1;
+
+const SAMPLE_RATE = 11025;
+const FRAME_SIZE = 4096;
+const HOP_SIZE = 1365; // 2/3 overlap, ~8 frames per second
+const MIN_FREQ = 28;
+const MAX_FREQ = 3520;
+
+// Bits that survive re-encoding best (pitch-class comparisons); used for lookups
+const KEY_MASK = 0xff000fff;
+
+// --- Signal processing -----------------------------------------------------
+
+/**
+ * Average each frame with its neighbours (steadier against encoder noise)
+ */
+const smoothFrames = (frames) =>
+  frames.map((frame, index) => {
+    if (!frame) return null;
+    const smoothed = new Float64Array(12);
+    let count = 0;
+    for (let j = Math.max(0, index - 1); j <= Math.min(frames.length - 1, index + 1); j += 1) {
+      if (!frames[j]) continue;
+      for (let k = 0; k < 12; k += 1) smoothed[k] += frames[j][k];
+      count += 1;
+    }
+    return smoothed.map((value) => value / count);
+  });
+
+/**
+ * 32-bit sub-fingerprint of one chroma frame
+ *   bits 0-11   pitch class i stronger than i+1
+ *   bits 12-23  pitch class i stronger than two frames earlier
+ *   bits 24-29  pitch class i stronger than its tritone (i+6)
+ *   bits 30-31  augmented-triad sums compared
+ */
+const subFingerprint = (chroma, earlier) => {
+  let code = 0;
+  const set = (bit, condition) => {
+    if (condition) code |= 1 << bit;
+  };
+
+  for (let i = 0; i < 12; i += 1) {
+    set(i, chroma[i] > chroma[(i + 1) % 12]);
+    set(12 + i, earlier ? chroma[i] > earlier[i] : false);
+  }
+  for (let i = 0; i < 6; i += 1) set(24 + i, chroma[i] > chroma[i + 6]);
+
+  const triad = (offset) => chroma[offset] + chroma[offset + 4] + chroma[offset + 8];
+  set(30, triad(0) > triad(1));
+  set(31, triad(2) > triad(3));
+
+  return code >>> 0;
+};
+
+/**
+ * Fingerprint decoded samples (mono, 11025 Hz)
+ * @param {Float32Array} samples
+ * @returns {Object} { codes: Uint32Array, keys: [Number], duration }
+ */
+export const fingerprintSamples = (samples) => {
+  const frames = smoothFrames(
+    chromaFrames(samples, { sampleRate: SAMPLE_RATE, frameSize: FRAME_SIZE, hopSize: HOP_SIZE, minFreq: MIN_FREQ, maxFreq: MAX_FREQ })
+  );
+  const codes = new Uint32Array(frames.length);
+  const keys = new Set();
+
+  frames.forEach((frame, index) => {
+    if (!frame) return; // Silence stays 0 and never becomes a key
+    codes[index] = subFingerprint(frame, frames[index - 2]);
+    const key = (codes[index] & KEY_MASK) >>> 0;
+    if (key !== 0) keys.add(key);
+  });
+
+  return { codes, keys: [...keys], duration: Number((samples.length / SAMPLE_RATE).toFixed(2)) };
+};
+
+/**
+ * Fingerprint the start of a local audio file
+ * @param {string} inputPath
+ * @returns {Promise<Object>} Song.fingerprint value { data, keys, duration, version, computedAt }
+ */
+export const computeFingerprint = async (inputPath) => {
+  const samples = await decodeMonoSamples(inputPath, { sampleRate: SAMPLE_RATE, maxSeconds: config.fingerprint.maxSeconds });
+  const { codes, keys, duration } = fingerprintSamples(samples);
+
+  if (keys.length === 0) {
+    throw new Error('Audio is silent or too short to fingerprint');
+  }
+
+  return {
+    data: Buffer.from(codes.buffer, codes.byteOffset, codes.byteLength),
+    keys,
+    duration,
+    version: FINGERPRINT_VERSION,
+    computedAt: new Date(),
+  };
+};
+
+// --- Matching --------------------------------------------------------------
+
+/**
+ * Stored fingerprint data (Buffer, or BSON Binary from lean queries) → codes
+ */
+const toCodes = (data) => {
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data.buffer);
+  return new Uint32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length));
+};
+
+const popcount = (value) => {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return Math.imul((v + (v >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+};
+
+/**
+ * Offsets (frames of a relative to b) where the most lookup keys line up
+ */
+const candidateOffsets = (a, b, limit = 3) => {
+  const positions = new Map();
+  b.forEach((code, j) => {
+    const key = (code & KEY_MASK) >>> 0;
+    if (key === 0) return;
+    if (!positions.has(key)) positions.set(key, []);
+    positions.get(key).push(j);
+  });
+
+  const votes = new Map();
+  a.forEach((code, i) => {
+    (positions.get((code & KEY_MASK) >>> 0) || []).forEach((j) => votes.set(i - j, (votes.get(i - j) || 0) + 1));
+  });
+
+  const offsets = [...votes.entries()].sort((x, y) => y[1] - x[1]).slice(0, limit).map(([offset]) => offset);
+  return offsets.includes(0) ? offsets : [...offsets, 0];
+};
+
+/**
+ * Compare two fingerprints
+ * Similarity is 1 - 2 × bit error rate over the aligned, non-silent frames:
+ * ~1 for the same recording, ~0 for unrelated audio.
+ * @returns {Object} { similarity, offsetSeconds }
+ */
+export const compareFingerprints = (a, b) => {
+  const minOverlap = Math.min(a.length, b.length) / 2;
+  let best = { similarity: 0, offsetSeconds: 0 };
+
+  candidateOffsets(a, b).forEach((offset) => {
+    let bits = 0;
+    let frames = 0;
+
+    for (let i = Math.max(0, offset); i < a.length && i - offset < b.length; i += 1) {
+      const x = a[i];
+      const y = b[i - offset];
+      if (x === 0 || y === 0) continue;
+      bits += popcount((x ^ y) >>> 0);
+      frames += 1;
+    }
+
+    if (frames === 0 || frames < minOverlap) return;
+    const similarity = Math.max(0, 1 - (2 * bits) / (32 * frames));
+    if (similarity > best.similarity) {
+      best = { similarity: Number(similarity.toFixed(3)), offsetSeconds: Number(((offset * HOP_SIZE) / SAMPLE_RATE).toFixed(2)) };
+    }
+  });
+
+  return best;
+};
+
+export const matchKind = (similarity) => {
+  if (similarity >= config.fingerprint.exactThreshold) return 'exact';
+  if (similarity >= config.fingerprint.nearThreshold) return 'near';
+  return null;
+};
+
+/**
+ * Catalog songs that sound like the given fingerprint
+ * @param {Object} fingerprint - { data, keys }
+ * @param {ObjectId} excludeId - The song itself (aggregations don't cast ids)
+ * @returns {Promise<Array>} [{ song, similarity, kind, offsetSeconds }], best first
+ */
+export const findFingerprintMatches = async (fingerprint, excludeId) => {
+  if (!fingerprint || !fingerprint.keys || fingerprint.keys.length === 0) return [];
+
+  // Shortlist by shared lookup keys, then compare in full
+  const candidates = await Song.aggregate([
+    { $match: { _id: { $ne: excludeId }, 'fingerprint.keys': { $in: fingerprint.keys } } },
+    { $project: { shared: { $size: { $setIntersection: ['$fingerprint.keys', fingerprint.keys] } } } },
+    { $sort: { shared: -1 } },
+    { $limit: config.fingerprint.candidates },
+  ]);
+  if (candidates.length === 0) return [];
+
+  const songs = await Song.find({ _id: { $in: candidates.map((c) => c._id) } })
+    .select('title artist createdByArtist createdAt +fingerprint.data')
+    .lean();
+
+  const codes = toCodes(fingerprint.data);
+  return songs
+    .filter((song) => song.fingerprint && song.fingerprint.data)
+    .map((song) => ({ song, ...compareFingerprints(codes, toCodes(song.fingerprint.data)) }))
+    .map((match) => ({ ...match, kind: matchKind(match.similarity) }))
+    .filter((match) => match.kind)
+    .sort((x, y) => y.similarity - x.similarity);
+};
+
+/**
+ * Flag a fingerprinted song's matches for review (idempotent per pair)
+ * The newer song of each pair is the one flagged as the possible duplicate.
+ * @param {Object} song - Song with fingerprint.data/keys, createdAt and createdByArtist
+ * @returns {Promise<Array>} DuplicateFlag documents
+ */
+export const flagDuplicates = async (song) => {
+  const matches = await findFingerprintMatches(song.fingerprint, song._id);
+  const flags = [];
+
+  for (const match of matches) {
+    const [newer, older] = new Date(song.createdAt || Date.now()) >= new Date(match.song.createdAt) ? [song, match.song] : [match.song, song];
+    const sameArtist = Boolean(
+      newer.createdByArtist && older.createdByArtist && String(newer.createdByArtist) === String(older.createdByArtist)
+    );
+
+    flags.push(
+      await DuplicateFlag.findOneAndUpdate(
+        { song: newer._id, matchedSong: older._id },
+        {
+          $set: {
+            similarity: match.similarity,
+            kind: match.kind,
+            offsetSeconds: match.offsetSeconds,
+            sameArtist,
+            artistProfile: newer.createdByArtist,
+            matchedArtistProfile: older.createdByArtist,
+          },
+          $setOnInsert: { status: 'open' },
+        },
+        { upsert: true, new: true }
+      )
+    );
+  }
+
+  return flags;
+};
+
+export default {
+  FINGERPRINT_VERSION,
+  fingerprintSamples,
+  computeFingerprint,
+  compareFingerprints,
+  matchKind,
+  findFingerprintMatches,
+  flagDuplicates,
+};
@@ -0,0 +1,43 @@
+import config from '../config/index.js';
+import { analyzeLoudness } from './ffmpegService.js';
+
+/**
+ * Loudness Service
+ * EBU R128 measurements turned into ReplayGain-style track gain/peak so
+ * players can normalize songs and episodes to the same level
+ */
+
+const round = (value, digits) => (value === null ? null : Number(value.toFixed(digits)));
+
+/**
+ * Build the stored loudness record from a measurement
+ * @param {Object} measurement - { integrated, truePeak, range } from analyzeLoudness
+ * @returns {Object} Loudness record (Song.loudness / PodcastEpisode.loudness)
+ */
+export const toLoudnessRecord = ({ integrated, truePeak, range }) => {
+  const reference = config.loudness.referenceLufs;
+
+  return {
+    integrated: round(integrated, 2),
+    truePeak: round(truePeak, 2),
+    range: round(range, 2),
+    // dB to apply to reach the reference level
+    trackGain: integrated === null ? null : round(reference - integrated, 2),
+    // Linear sample peak (1.0 = full scale), lets players avoid clipping when boosting
+    trackPeak: truePeak === null ? null : round(10 ** (truePeak / 20), 6),
+    reference,
+    analyzedAt: new Date(),
+  };
+};
+
+/**
+ * Measure a local audio file (or local HLS playlist)
+ * @param {string} inputPath - Local path
+ * @returns {Promise<Object>} Loudness record
+ */
+export const measureLoudness = async (inputPath) => toLoudnessRecord(await analyzeLoudness(inputPath));
+
+export default {
+  toLoudnessRecord,
+  measureLoudness,
+};
@@ -0,0 +1,120 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import config from '../config/index.js';
+
+/**
+ * Playback Security Service
+ * Per-item AES-128 keys for encrypted HLS and the short-lived playback
+ * tokens that gate key delivery and the HLS proxy
+ */
+
+export const MEDIA_TYPES = {
+  SONG: 'song',
+  EPISODE: 'episode',
+};
+
+export const PLAYBACK_TOKEN_HEADER = 'x-playback-token';
+
+// Song variant playlists live in hls/<rendition>/, and are always served
+// through the /songs/:id/hls/* proxy, so the key sits one level up
+export const SONG_KEY_URI = '../key';
+
+/**
+ * Absolute key URL for an episode (episode playlists are served from the CDN)
+ */
+export const episodeKeyUri = (episodeId) =>
+  `${config.storage.baseUrl}/api/${config.apiVersion}/podcast-episodes/${episodeId}/hls/key`;
+
+/**
+ * Generate a random AES-128 content key
+ * @returns {string} Hex encoded 16 byte key
+ */
+export const generateContentKey = () => crypto.randomBytes(16).toString('hex');
+
+/**
+ * Issue a playback token scoped to one song or episode
+ * @param {Object} params - { mediaType, mediaId, userId, ttlSeconds }
+ * @returns {Object} { token, expiresIn }
+ */
+export const issuePlaybackToken = ({ mediaType, mediaId, userId, ttlSeconds }) => {
+  const expiresIn = Math.round(ttlSeconds || config.playback.tokenTtlSeconds);
+  const token = jwt.sign(
+    {
+      typ: 'playback',
+      media: mediaType,
+      mid: String(mediaId),
+      ...(userId && { uid: String(userId) }),
+    },
+    config.playback.tokenSecret,
+    { expiresIn }
+  );
+
+  return { token, expiresIn };
+};
+
+/**
+ * Verify a playback token against the requested item
+ * @returns {Object|null} Token payload, or null if missing/invalid/expired/for another item
+ */
+export const verifyPlaybackToken = (token, mediaType, mediaId) => {
+  if (!token) return null;
+
+  try {
+    const payload = jwt.verify(token, config.playback.tokenSecret);
+    if (payload.typ !== 'playback' || payload.media !== mediaType || payload.mid !== String(mediaId)) {
+      return null;
+    }
+    return payload;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Read the playback token from the request (header or ?token=)
+ */
+export const readPlaybackToken = (req) => req.get(PLAYBACK_TOKEN_HEADER) || req.query.token;
+
+const withToken = (uri, token) =>
+  `${uri}${uri.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+
+/**
+ * Rewrite an HLS playlist so every URI (variants, segments, #EXT-X-KEY) carries the token
+ * @param {string} playlist - Playlist contents
+ * @param {string} token - Playback token
+ * @returns {string} Rewritten playlist
+ */
+export const signPlaylist = (playlist, token) =>
+  playlist
+    .split('\n')
+    .map((line) => {
+      const trimmed = line.trim();
+      if (!trimmed) return line;
+      if (trimmed.startsWith('#')) {
+        return line.replace(/URI="([^"]+)"/g, (match, uri) => `URI="${withToken(uri, token)}"`);
+      }
+      return withToken(trimmed, token);
+    })
+    .join('\n');
+
+/**
+ * Send a raw content key (never cached by browsers or proxies)
+ */
+export const sendContentKey = (res, hexKey) => {
+  res.set('Content-Type', 'application/octet-stream');
+  res.set('Cache-Control', 'no-store, private');
+  return res.send(Buffer.from(hexKey, 'hex'));
+};
+
+export default {
+  MEDIA_TYPES,
+  PLAYBACK_TOKEN_HEADER,
+  SONG_KEY_URI,
+  episodeKeyUri,
+  generateContentKey,
+  issuePlaybackToken,
+  verifyPlaybackToken,
+  readPlaybackToken,
+  sendContentKey,
+  signPlaylist,
+};
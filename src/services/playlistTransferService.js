@@ -0,0 +1,339 @@
+import Song from '../models/Song.js';
+import config from '../config/index.js';
+import { normalizeText as normalize, escapeRegex } from '../utils/searchTokens.js';
+
+/**
+ * Playlist Transfer Service
+ * Export playlists as M3U8 / XSPF / JSON and import them back by matching
+ * entries against the Song catalog
+ */
+
+export const EXPORT_FORMATS = {
+  m3u8: { contentType: 'application/vnd.apple.mpegurl', extension: 'm3u8' },
+  xspf: { contentType: 'application/xspf+xml', extension: 'xspf' },
+  json: { contentType: 'application/json', extension: 'json' },
+};
+
+// Seconds of difference still treated as the same recording
+const DURATION_TOLERANCE = 5;
+
+// Max candidates looked at per imported entry
+const CANDIDATE_LIMIT = 20;
+
+/**
+ * Public stream URL for a song (resolved by GET /songs/:id/stream)
+ */
+export const songStreamUrl = (songId) =>
+  `${config.storage.baseUrl}/api/${config.apiVersion}/songs/${songId}/stream`;
+
+const STREAM_URL_PATTERN = /\/songs\/([a-f0-9]{24})\/stream/i;
+
+const escapeXml = (value = '') =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const unescapeXml = (value = '') =>
+  String(value)
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+/**
+ * Serialize songs to a playlist file
+ * @param {string} format - m3u8 | xspf | json
+ * @param {Object} meta - { name, description }
+ * @param {Array} songs - Song documents (title, artist, album, duration)
+ * @returns {string} File contents
+ */
+export const serializePlaylist = (format, meta, songs) => {
+  const name = meta.name || 'Playlist';
+
+  if (format === 'm3u8') {
+    const lines = ['#EXTM3U', `#PLAYLIST:${name.replace(/[\r\n]+/g, ' ')}`];
+    songs.forEach((song) => {
+      const label = `${song.artist} - ${song.title}`.replace(/[\r\n]+/g, ' ');
+      lines.push(`#EXTINF:${Math.round(song.duration || -1)},${label}`);
+      lines.push(songStreamUrl(song._id));
+    });
+    return `${lines.join('\n')}\n`;
+  }
+
+  if (format === 'xspf') {
+    const tracks = songs
+      .map((song) => [
+        '    <track>',
+        `      <location>${escapeXml(songStreamUrl(song._id))}</location>`,
+        `      <identifier>${escapeXml(String(song._id))}</identifier>`,
+        `      <title>${escapeXml(song.title)}</title>`,
+        `      <creator>${escapeXml(song.artist)}</creator>`,
+        song.album ? `      <album>${escapeXml(song.album)}</album>` : null,
+        song.duration ? `      <duration>${Math.round(song.duration * 1000)}</duration>` : null,
+        '    </track>',
+      ].filter(Boolean).join('\n'))
+      .join('\n');
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+      `  <title>${escapeXml(name)}</title>`,
+      meta.description ? `  <annotation>${escapeXml(meta.description)}</annotation>` : null,
+      '  <trackList>',
+      tracks,
+      '  </trackList>',
+      '</playlist>',
+      '',
+    ].filter((line) => line !== null).join('\n');
+  }
+
+  return JSON.stringify(
+    {
+      name,
+      description: meta.description || '',
+      exportedAt: new Date().toISOString(),
+      tracks: songs.map((song) => ({
+        id: song._id,
+        title: song.title,
+        artist: song.artist,
+        album: song.album,
+        duration: song.duration,
+        url: songStreamUrl(song._id),
+      })),
+    },
+    null,
+    2
+  );
+};
+
+/**
+ * Build a downloadable export
+ * @returns {Object} { body, contentType, filename }
+ */
+export const buildExport = (format, meta, songs) => {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const baseName = (meta.name || 'playlist').replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-') || 'playlist';
+
+  return {
+    body: serializePlaylist(format, meta, songs),
+    contentType,
+    filename: `${baseName}.${extension}`,
+  };
+};
+
+/**
+ * Guess the format of an uploaded playlist file
+ */
+export const detectFormat = (content = '') => {
+  const head = content.trimStart().slice(0, 200);
+  if (head.startsWith('#EXTM3U') || head.startsWith('#EXTINF')) return 'm3u8';
+  if (head.startsWith('<?xml') || head.startsWith('<playlist')) return 'xspf';
+  if (head.startsWith('{') || head.startsWith('[')) return 'json';
+  // Plain M3U: one path/URL per line
+  return 'm3u8';
+};
+
+const parseM3U8 = (content) => {
+  const entries = [];
+  let pending = null;
+
+  content.split(/\r?\n/).forEach((raw) => {
+    const line = raw.trim();
+    if (!line) return;
+
+    if (line.startsWith('#EXTINF:')) {
+      const [durationPart, ...labelParts] = line.slice(8).split(',');
+      const label = labelParts.join(',').trim();
+      const separator = label.indexOf(' - ');
+      pending = {
+        artist: separator === -1 ? undefined : label.slice(0, separator).trim(),
+        title: separator === -1 ? label : label.slice(separator + 3).trim(),
+        duration: parseFloat(durationPart) > 0 ? parseFloat(durationPart) : undefined,
+      };
+      return;
+    }
+
+    if (line.startsWith('#')) return;
+
+    const entry = pending || {};
+    entry.location = line;
+    if (!entry.title) {
+      // No EXTINF: fall back to the file name without extension
+      let file = line.split(/[\\/]/).pop() || '';
+      try {
+        file = decodeURIComponent(file);
+      } catch (e) {
+        // Keep the raw name if it is not valid URI encoding
+      }
+      entry.title = file.replace(/\.[a-z0-9]+$/i, '');
+    }
+    entries.push(entry);
+    pending = null;
+  });
+
+  return entries;
+};
+
+const parseXSPF = (content) => {
+  const pick = (block, tag) => {
+    const match = block.match(new RegExp(`<${tag}[^>]*>([\\s\\S]*?)</${tag}>`, 'i'));
+    return match ? unescapeXml(match[1].trim()) : undefined;
+  };
+
+  const blocks = content.match(/<track\b[^>]*>[\s\S]*?<\/track>/gi) || [];
+  return blocks.map((block) => {
+    const duration = parseInt(pick(block, 'duration'), 10);
+    return {
+      title: pick(block, 'title'),
+      artist: pick(block, 'creator'),
+      album: pick(block, 'album'),
+      duration: duration > 0 ? duration / 1000 : undefined,
+      location: pick(block, 'location') || pick(block, 'identifier'),
+    };
+  });
+};
+
+const JSON_TEXT_FIELDS = ['id', '_id', 'title', 'artist', 'album', 'url', 'location'];
+
+/**
+ * Check the value types of one JSON track (the file is user supplied)
+ * @returns {string|null} What is wrong with it
+ */
+const jsonTrackError = (t) => {
+  if (!t || typeof t !== 'object' || Array.isArray(t)) return 'must be an object';
+
+  const field = JSON_TEXT_FIELDS.find((name) => t[name] != null && typeof t[name] !== 'string');
+  if (field) return `${field} must be a string`;
+
+  if (t.duration != null && t.duration !== '' && !Number.isFinite(Number(t.duration))) {
+    return 'duration must be a number';
+  }
+  return null;
+};
+
+const parseJSON = (content) => {
+  const parsed = JSON.parse(content);
+  const tracks = Array.isArray(parsed) ? parsed : parsed && parsed.tracks;
+  if (!Array.isArray(tracks)) {
+    throw new Error('expected an array of tracks or an object with a "tracks" array');
+  }
+
+  return tracks.map((t, index) => {
+    const error = jsonTrackError(t);
+    if (error) {
+      throw new Error(`track ${index + 1}: ${error}`);
+    }
+
+    return {
+      id: t.id || t._id,
+      title: t.title,
+      artist: t.artist,
+      album: t.album,
+      duration: t.duration ? Number(t.duration) : undefined,
+      location: t.url || t.location,
+    };
+  });
+};
+
+/**
+ * Parse playlist file contents into entries { title, artist, duration, location }
+ * @param {string} format - m3u8 | xspf | json
+ * @param {string} content - Raw file contents
+ */
+export const parsePlaylist = (format, content) => {
+  let entries;
+  if (format === 'xspf') entries = parseXSPF(content);
+  else if (format === 'json') entries = parseJSON(content);
+  else entries = parseM3U8(content);
+
+  return entries.filter((e) => e.title || e.id || e.location);
+};
+
+/**
+ * Find catalog candidates for a single imported entry
+ */
+const findCandidates = async (entry) => {
+  // Our own exports carry the song id in the URL
+  const idFromUrl = entry.location && entry.location.match(STREAM_URL_PATTERN);
+  const songId = entry.id || (idFromUrl && idFromUrl[1]);
+  if (songId && /^[a-f0-9]{24}$/i.test(String(songId))) {
+    const song = await Song.findOne({ _id: songId, status: 'published' }).select('title artist duration').lean();
+    if (song) return [song];
+  }
+
+  if (!entry.title) return [];
+
+  const title = normalize(entry.title);
+  let candidates = await Song.find({
+    status: 'published',
+    title: new RegExp(`^\\s*${escapeRegex(entry.title.trim())}\\s*$`, 'i'),
+  })
+    .select('title artist duration')
+    .limit(CANDIDATE_LIMIT)
+    .lean();
+
+  // Fall back to full-text search for punctuation/case differences
+  if (candidates.length === 0) {
+    const search = [entry.title, entry.artist].filter(Boolean).join(' ');
+    candidates = await Song.find({ status: 'published', $text: { $search: search } })
+      .select('title artist duration')
+      .limit(CANDIDATE_LIMIT)
+      .lean();
+    candidates = candidates.filter((song) => normalize(song.title) === title);
+  }
+
+  const artist = normalize(entry.artist);
+  if (artist) {
+    // Songs without an artist can't confirm the entry's artist
+    candidates = candidates.filter((song) => {
+      const songArtist = normalize(song.artist);
+      return songArtist !== '' && (songArtist.includes(artist) || artist.includes(songArtist));
+    });
+  }
+
+  if (entry.duration && candidates.length > 1) {
+    const close = candidates.filter((song) => Math.abs(song.duration - entry.duration) <= DURATION_TOLERANCE);
+    if (close.length > 0) candidates = close;
+  }
+
+  return candidates;
+};
+
+/**
+ * Match imported entries against the Song catalog
+ * @param {Array} entries - Parsed playlist entries
+ * @returns {Promise<Object>} { matched, ambiguous, missing }
+ */
+export const matchEntries = async (entries) => {
+  const report = { matched: [], ambiguous: [], missing: [] };
+
+  for (const [index, entry] of entries.entries()) {
+    const candidates = await findCandidates(entry);
+    const item = { index, entry: { title: entry.title, artist: entry.artist, duration: entry.duration } };
+
+    if (candidates.length === 1) {
+      report.matched.push({ ...item, song: candidates[0] });
+    } else if (candidates.length > 1) {
+      report.ambiguous.push({ ...item, candidates });
+    } else {
+      report.missing.push(item);
+    }
+  }
+
+  return report;
+};
+
+export default {
+  EXPORT_FORMATS,
+  songStreamUrl,
+  serializePlaylist,
+  buildExport,
+  detectFormat,
+  parsePlaylist,
+  matchEntries,
+};
@@ -0,0 +1,85 @@
+import os from 'os';
+import path from 'path';
+import config from '../config/index.js';
+import { createPreviewClip, cleanupFiles } from './ffmpegService.js';
+import { uploadFile, downloadFile, deleteFile, songAudioPrefix } from '../utils/storage.js';
+
+/**
+ * Preview Service
+ * Short MP3 clips (config.preview.durationSeconds from a per-song start
+ * offset) cut at upload time and re-cut when the artist moves the start
+ */
+
+/**
+ * Clamp the requested start so the whole clip fits inside the song
+ * @param {number} songDuration - Song length in seconds
+ * @param {number} requestedStart - Desired start offset in seconds
+ * @returns {Object} { start, duration }
+ */
+export const previewWindow = (songDuration, requestedStart = 0) => {
+  const duration = Math.min(config.preview.durationSeconds, songDuration);
+  const latestStart = Math.max(songDuration - duration, 0);
+  const start = Math.min(Math.max(Number(requestedStart) || 0, 0), latestStart);
+
+  return { start: Math.floor(start), duration };
+};
+
+/**
+ * Cut the preview from a local audio file and upload it
+ * @param {string} inputPath - Local source audio
+ * @param {string} songId - Song ID (storage prefix)
+ * @param {Object} options - { start, songDuration, version } (version: audio version the clip belongs to)
+ * @returns {Promise<Object>} { previewUrl, previewStart }
+ */
+export const buildPreview = async (inputPath, songId, { start, songDuration, version = 1 }) => {
+  const window = previewWindow(songDuration, start);
+  const outputPath = path.join(os.tmpdir(), `preview-${songId}-${Date.now()}.mp3`);
+
+  try {
+    await createPreviewClip(inputPath, outputPath, window);
+
+    // Start offset in the name so CDNs never serve a stale cut
+    const key = `${songAudioPrefix(songId, version)}/preview/preview-${window.start}s.mp3`;
+    const previewUrl = await uploadFile(outputPath, key, 'audio/mpeg', false);
+
+    return { previewUrl, previewStart: window.start };
+  } finally {
+    await cleanupFiles([outputPath]);
+  }
+};
+
+/**
+ * Re-cut a song's preview from its stored source audio
+ * @param {Object} song - Song document (needs sourceUrl, duration, previewUrl, audioVersion)
+ * @param {number} start - New start offset in seconds
+ * @returns {Promise<Object>} { previewUrl, previewStart }
+ */
+export const regeneratePreview = async (song, start) => {
+  if (!song.sourceUrl) {
+    throw new Error('Source audio is not stored for this song');
+  }
+
+  const songId = song._id.toString();
+  const ext = path.extname(song.sourceUrl) || '.mp3';
+  const sourcePath = path.join(os.tmpdir(), `source-${songId}-${Date.now()}${ext}`);
+
+  try {
+    await downloadFile(song.sourceUrl, sourcePath);
+    const preview = await buildPreview(sourcePath, songId, { start, songDuration: song.duration, version: song.audioVersion });
+
+    // Remove the previous cut once the new one is in place
+    if (song.previewUrl && song.previewUrl !== preview.previewUrl) {
+      await deleteFile(song.previewUrl);
+    }
+
+    return preview;
+  } finally {
+    await cleanupFiles([sourcePath]);
+  }
+};
+
+export default {
+  previewWindow,
+  buildPreview,
+  regeneratePreview,
+};
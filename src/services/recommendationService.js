@@ -1,6 +1,7 @@
 import Song from '../models/Song.js';
 import History from '../models/History.js';
 import Favorite from '../models/Favorite.js';
+import { PLAYABLE_SONG_FILTER } from './songQueryService.js';
 
 /**
  * Smart recommendation engine based on user preferences and listening history
@@ -49,8 +50,8 @@ class RecommendationService {
         moodCount[song.metadata.mood] = (moodCount[song.metadata.mood] || 0) + 1;
       }
 
-      if (song.metadata?.bpm) {
-        bpmSum.total += song.metadata.bpm;
+      if (song.bpm) {
+        bpmSum.total += song.bpm;
         bpmSum.count += 1;
       }
     });
@@ -67,8 +68,8 @@ class RecommendationService {
         moodCount[song.metadata.mood] = (moodCount[song.metadata.mood] || 0) + 3;
       }
 
-      if (song.metadata?.bpm) {
-        bpmSum.total += song.metadata.bpm * 3;
+      if (song.bpm) {
+        bpmSum.total += song.bpm * 3;
         bpmSum.count += 3;
       }
     });
@@ -115,6 +116,7 @@ class RecommendationService {
     const query = {
       _id: { $nin: excludeSongIds },
       isPublished: true,
+      ...PLAYABLE_SONG_FILTER,
     };
 
     // Match genres
@@ -147,8 +149,8 @@ class RecommendationService {
       }
 
       // BPM proximity (10 points)
-      if (preferences.avgBpm && song.metadata?.bpm) {
-        const bpmDiff = Math.abs(song.metadata.bpm - preferences.avgBpm);
+      if (preferences.avgBpm && song.bpm) {
+        const bpmDiff = Math.abs(song.bpm - preferences.avgBpm);
         if (bpmDiff <= 10) score += 10;
         else if (bpmDiff <= 20) score += 7;
         else if (bpmDiff <= 30) score += 4;
@@ -174,6 +176,7 @@ class RecommendationService {
 
     return await Song.find({
       isPublished: true,
+      ...PLAYABLE_SONG_FILTER,
       createdAt: { $gte: sevenDaysAgo },
     })
       .sort({ 'statistics.playCount': -1 })
@@ -190,6 +193,7 @@ class RecommendationService {
     const similar = await Song.find({
       _id: { $ne: songId },
       isPublished: true,
+      ...PLAYABLE_SONG_FILTER,
       $or: [
         { genre: song.genre },
         { artist: song.artist },
@@ -204,8 +208,8 @@ class RecommendationService {
       if (s.artist === song.artist) score += 30;
       if (s.metadata?.mood === song.metadata?.mood) score += 20;
 
-      if (song.metadata?.bpm && s.metadata?.bpm) {
-        const bpmDiff = Math.abs(s.metadata.bpm - song.metadata.bpm);
+      if (song.bpm && s.bpm) {
+        const bpmDiff = Math.abs(s.bpm - song.bpm);
         if (bpmDiff <= 10) score += 10;
         else if (bpmDiff <= 20) score += 5;
       }
@@ -247,6 +251,7 @@ class RecommendationService {
     // Find candidate songs (exclude recently played)
     const candidates = await Song.find({
       _id: { $nin: recentlyPlayedIds },
+      ...PLAYABLE_SONG_FILTER,
     })
       .select('title artist genre mood bpm language popularity')
       .limit(100) // Limit for performance
@@ -256,6 +261,7 @@ class RecommendationService {
       // Fallback to popular songs if no candidates
       return await Song.findOne({
         _id: { $ne: currentSongId },
+        ...PLAYABLE_SONG_FILTER,
       })
         .sort({ popularity: -1 })
         .lean();
@@ -0,0 +1,323 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import UploadSession from '../models/UploadSession.js';
+import UploadJob from '../models/UploadJob.js';
+import Podcast from '../models/Podcast.js';
+import { enqueueSessionUpload } from './uploadJobService.js';
+import { uploadFile, deleteFile, listFiles, deletePrefix } from '../utils/storage.js';
+import { isAllowedAudioFile } from '../middleware/upload.js';
+import { SUPPORTED_FORMATS_LABEL } from './audioFormatService.js';
+import { AppError } from '../utils/errors.js';
+import config from '../config/index.js';
+
+/**
+ * Resumable Upload Service
+ * init → chunks (PATCH at the current offset, with a checksum) → complete.
+ * Chunks are kept in storage under incoming/sessions/<id>/ so any API
+ * instance can accept the next one; completion hands them to a song/episode
+ * upload job, which assembles the file. Chunks of sessions that expired
+ * without completing are removed by the chunk sweeper.
+ */
+
+// Accepted Upload-Checksum algorithms (tus checksum extension: "<algorithm> <base64 digest>")
+const CHECKSUM_ALGORITHMS = { sha1: 'sha1', sha256: 'sha256', md5: 'md5' };
+
+// tus "Checksum Mismatch" status
+const CHECKSUM_MISMATCH = 460;
+
+const sessionExpiry = () => new Date(Date.now() + config.resumableUploads.sessionTtlHours * 60 * 60 * 1000);
+
+/**
+ * Parse an Upload-Checksum header
+ * @returns {Object} { algorithm, digest } (digest as base64)
+ */
+export const parseChecksumHeader = (header) => {
+  const [name, digest] = String(header || '').trim().split(/\s+/);
+  const algorithm = CHECKSUM_ALGORITHMS[(name || '').toLowerCase()];
+
+  if (!algorithm || !digest) {
+    throw new AppError('Upload-Checksum header required: "<sha1|sha256|md5> <base64 digest>"', 400);
+  }
+  return { algorithm, digest };
+};
+
+/**
+ * Load a session owned by the user
+ */
+export const findSession = async (sessionId, user) => {
+  const session = await UploadSession.findById(sessionId);
+  if (!session || !session.user.equals(user._id)) {
+    throw new AppError('Upload session not found', 404);
+  }
+  return session;
+};
+
+const assertWritable = (session) => {
+  if (session.status === 'aborted' || session.expiresAt < new Date()) {
+    throw new AppError('Upload session has expired or was aborted', 410);
+  }
+  if (session.status !== 'uploading') {
+    throw new AppError('Upload session is already complete', 409);
+  }
+};
+
+/**
+ * Start an upload session
+ * @param {Object} user - Authenticated user
+ * @param {Object} params - { target, podcastId, fileName, mimetype, size, sha256, fields }
+ * @returns {Promise<Object>} UploadSession
+ */
+export const createSession = async (user, { target = 'song', podcastId, fileName, mimetype, size, sha256, fields = {} }) => {
+  const totalSize = parseInt(size, 10);
+
+  if (!['song', 'episode'].includes(target)) {
+    throw new AppError('target must be "song" or "episode"', 400);
+  }
+  if (!fileName || !isAllowedAudioFile(fileName, mimetype)) {
+    throw new AppError(`Only audio files (${SUPPORTED_FORMATS_LABEL}) are allowed`, 400);
+  }
+  if (!Number.isFinite(totalSize) || totalSize < 1) {
+    throw new AppError('size (bytes) is required', 400);
+  }
+  if (totalSize > config.resumableUploads.maxFileBytes) {
+    throw new AppError(`File too large. Max size is ${Math.floor(config.resumableUploads.maxFileBytes / (1024 * 1024))}MB`, 413);
+  }
+  if (sha256 && !/^[a-f0-9]{64}$/i.test(sha256)) {
+    throw new AppError('sha256 must be a hex SHA-256 digest', 400);
+  }
+
+  // Song fields may come from the file's tags, so they are checked on completion
+  if (target === 'episode') {
+    if (user.role !== 'admin') {
+      throw new AppError('Only admins can upload podcast episodes', 403);
+    }
+    if (!podcastId || !(await Podcast.exists({ _id: podcastId }))) {
+      throw new AppError('Podcast not found', 404);
+    }
+  }
+
+  return UploadSession.create({
+    user: user._id,
+    target,
+    podcast: target === 'episode' ? podcastId : undefined,
+    fileName,
+    mimetype,
+    size: totalSize,
+    chunkSize: config.resumableUploads.chunkSizeBytes,
+    sha256,
+    fields,
+    expiresAt: sessionExpiry(),
+  });
+};
+
+/**
+ * Store one chunk at the session's current offset
+ * @param {Object} session - UploadSession (owned by the caller)
+ * @param {number} offset - Upload-Offset the client claims to write at
+ * @param {Buffer} data - Chunk bytes
+ * @param {string} checksumHeader - Upload-Checksum header
+ * @returns {Promise<Object>} Updated UploadSession
+ */
+export const appendChunk = async (session, offset, data, checksumHeader) => {
+  assertWritable(session);
+
+  const { algorithm, digest } = parseChecksumHeader(checksumHeader);
+
+  if (parseInt(offset, 10) !== session.offset) {
+    throw new AppError(`Upload-Offset mismatch: expected ${session.offset}`, 409);
+  }
+  if (!Buffer.isBuffer(data) || data.length === 0) {
+    throw new AppError('Empty chunk', 400);
+  }
+  if (session.offset + data.length > session.size) {
+    throw new AppError('Chunk exceeds the declared upload size', 413);
+  }
+  if (crypto.createHash(algorithm).update(data).digest('base64') !== digest) {
+    throw new AppError('Chunk checksum mismatch', CHECKSUM_MISMATCH);
+  }
+
+  const key = `incoming/sessions/${session._id}/${String(session.offset).padStart(12, '0')}.part`;
+  const url = await uploadFile(data, key, 'application/octet-stream', false);
+
+  // Only advance if no other request wrote this offset in the meantime
+  const updated = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'uploading', offset: session.offset },
+    {
+      $inc: { offset: data.length },
+      $push: { chunks: { offset: session.offset, size: data.length, url } },
+      $set: { expiresAt: sessionExpiry() },
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new AppError('Upload-Offset mismatch: chunk was written concurrently', 409);
+  }
+  return updated;
+};
+
+const removeChunks = async (session) => {
+  for (const chunk of session.chunks) {
+    try {
+      await deleteFile(chunk.url);
+    } catch (error) {
+      console.warn(`⚠️ Failed to remove upload chunk ${chunk.url}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Check the chunks cover the file without gaps (their contents are verified by the job)
+ */
+const assertContiguous = (session) => {
+  let expected = 0;
+  for (const chunk of [...session.chunks].sort((a, b) => a.offset - b.offset)) {
+    if (chunk.offset !== expected) {
+      throw new AppError(`Upload is missing data at byte ${expected}`, 409);
+    }
+    expected += chunk.size;
+  }
+
+  if (expected !== session.size) {
+    throw new AppError(`Upload incomplete: ${expected} of ${session.size} bytes received`, 409);
+  }
+};
+
+/**
+ * Queue the processing job of a fully uploaded session; the job takes over
+ * the stored chunks, assembles them and checks the file's digest
+ * (repeated calls return the job queued by the first one)
+ * @param {Object} session - UploadSession (owned by the caller)
+ * @param {Object} user - Authenticated user
+ * @param {Object} fields - Extra/corrected fields (e.g. ones the file tags didn't provide)
+ * @returns {Promise<Object>} { session, jobId }
+ */
+export const completeSession = async (session, user, fields = {}) => {
+  if (session.status === 'completed') {
+    return { session, jobId: session.job };
+  }
+  assertWritable(session);
+  assertContiguous(session);
+
+  const claimed = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'uploading' },
+    { $set: { status: 'assembling' } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new AppError('Upload session is already being completed', 409);
+  }
+
+  try {
+    const job = await enqueueSessionUpload({ user, session: claimed, fields: { ...claimed.fields, ...fields } });
+
+    claimed.status = 'completed';
+    claimed.job = job._id;
+    await claimed.save();
+
+    return { session: claimed, jobId: job._id };
+  } catch (error) {
+    // Chunks are kept so the client can fix the problem and retry completion
+    await UploadSession.updateOne({ _id: claimed._id }, { $set: { status: 'uploading' } });
+    throw error;
+  }
+};
+
+/**
+ * Abort a session and delete its chunks
+ */
+export const abortSession = async (session) => {
+  if (session.status === 'completed') {
+    throw new AppError('Upload session is already complete', 409);
+  }
+
+  session.status = 'aborted';
+  await session.save();
+  await removeChunks(session);
+};
+
+// Chunk folders this recent may belong to a request still in flight
+const SWEEP_MIN_AGE_MS = 60 * 60 * 1000;
+
+/**
+ * Delete incoming/sessions/<id>/ folders no live session or pending job owns
+ * (the TTL index drops abandoned sessions, not their chunks)
+ * @returns {Promise<number>} Folders removed
+ */
+export const sweepAbandonedChunks = async () => {
+  const newest = new Map();
+  for await (const file of listFiles('incoming/sessions/')) {
+    const sessionId = file.key.split('/')[2];
+    const modified = new Date(file.lastModified || 0).getTime();
+    newest.set(sessionId, Math.max(newest.get(sessionId) || 0, modified));
+  }
+
+  const cutoff = Date.now() - SWEEP_MIN_AGE_MS;
+  const candidates = [...newest].filter(([, modified]) => modified < cutoff).map(([sessionId]) => sessionId);
+  const ids = candidates.filter((sessionId) => mongoose.Types.ObjectId.isValid(sessionId));
+
+  const [sessions, jobs] = await Promise.all([
+    UploadSession.find({ _id: { $in: ids }, status: { $ne: 'aborted' } }).select('_id').lean(),
+    UploadJob.find({ 'input.audio.session': { $in: ids }, status: { $in: ['queued', 'processing'] } })
+      .select('input.audio.session')
+      .lean(),
+  ]);
+  const owned = new Set([
+    ...sessions.map((session) => String(session._id)),
+    ...jobs.map((job) => String(job.input.audio.session)),
+  ]);
+
+  let removed = 0;
+  for (const sessionId of candidates) {
+    if (owned.has(sessionId)) continue;
+    await deletePrefix(`incoming/sessions/${sessionId}/`);
+    removed += 1;
+  }
+  return removed;
+};
+
+let sweepTimer = null;
+let sweeping = false;
+
+const sweep = async () => {
+  if (sweeping) return;
+  sweeping = true;
+
+  try {
+    const removed = await sweepAbandonedChunks();
+    if (removed > 0) {
+      console.log(`🗑️ Removed chunks of ${removed} abandoned upload sessions`);
+    }
+  } catch (error) {
+    console.error('❌ Upload chunk sweep error:', error.message);
+  } finally {
+    sweeping = false;
+  }
+};
+
+/**
+ * Remove abandoned chunks now and every config.resumableUploads.sweepIntervalMinutes
+ */
+export const startChunkSweeper = () => {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(sweep, config.resumableUploads.sweepIntervalMinutes * 60 * 1000);
+  sweepTimer.unref();
+  sweep();
+};
+
+export const stopChunkSweeper = () => {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+};
+
+export default {
+  parseChecksumHeader,
+  findSession,
+  createSession,
+  appendChunk,
+  completeSession,
+  abortSession,
+  sweepAbandonedChunks,
+  startChunkSweeper,
+  stopChunkSweeper,
+};
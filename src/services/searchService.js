@@ -0,0 +1,266 @@
+import Song from '../models/Song.js';
+import Album from '../models/Album.js';
+import ArtistProfile from '../models/ArtistProfile.js';
+import Podcast from '../models/Podcast.js';
+import PodcastEpisode from '../models/PodcastEpisode.js';
+import { tokenize, trigrams, wordSimilarity, MAX_PREFIX_LENGTH } from '../utils/searchTokens.js';
+import { PLAYABLE_SONG_FILTER, computeSongFacets } from './songQueryService.js';
+import { thumbnailUrl } from './coverImageService.js';
+
+/**
+ * Search Service
+ * Unified full-text search across songs, albums, artists, podcasts and episodes
+ */
+
+/**
+ * Searchable entity types
+ * - filter: visibility restrictions (published-only where the model has a status,
+ *   playable songs only)
+ * - fields: projection returned to clients
+ * - name: display name used for exact/prefix match boosting
+ * - plays: popularity signal used as a tie breaker
+ * - suggest: { text, subtitle, image, sort } for types with prefix/trigram tokens
+ *   (autocomplete and fuzzy fallback)
+ */
+export const SEARCH_TYPES = {
+  songs: {
+    model: Song,
+    filter: { status: 'published', ...PLAYABLE_SONG_FILTER },
+    fields: 'title artist genre mood duration coverImageUrl covers colors popularity totalPlays',
+    name: (doc) => doc.title,
+    plays: (doc) => doc.totalPlays,
+    suggest: {
+      text: (doc) => `${doc.title} ${doc.artist}`,
+      subtitle: (doc) => doc.artist,
+      image: (doc) => thumbnailUrl(doc.covers) || doc.coverImageUrl,
+      sort: { totalPlays: -1 },
+    },
+  },
+  albums: {
+    model: Album,
+    filter: { status: 'published' },
+    fields: 'title artist genre coverImageUrl covers colors releaseDate artistProfile',
+    name: (doc) => doc.title,
+    plays: () => 0,
+    suggest: {
+      text: (doc) => `${doc.title} ${doc.artist}`,
+      subtitle: (doc) => doc.artist,
+      image: (doc) => thumbnailUrl(doc.covers) || doc.coverImageUrl,
+      sort: { releaseDate: -1 },
+    },
+  },
+  artists: {
+    model: ArtistProfile,
+    filter: {},
+    fields: 'artistName profileImage covers colors verified totalFollowers',
+    name: (doc) => doc.artistName,
+    plays: (doc) => doc.totalFollowers,
+    suggest: {
+      text: (doc) => doc.artistName,
+      subtitle: () => null,
+      image: (doc) => thumbnailUrl(doc.covers) || doc.profileImage,
+      sort: { totalFollowers: -1 },
+    },
+  },
+  podcasts: {
+    model: Podcast,
+    filter: {},
+    fields: 'title host coverImage covers colors categories episodeCount plays',
+    name: (doc) => doc.title,
+    plays: (doc) => doc.plays,
+  },
+  episodes: {
+    model: PodcastEpisode,
+    filter: { status: 'published' },
+    fields: 'podcastId title duration episodeNumber season releaseDate totalPlays',
+    name: (doc) => doc.title,
+    plays: (doc) => doc.totalPlays,
+  },
+};
+
+export const SUGGEST_TYPES = Object.keys(SEARCH_TYPES).filter((type) => SEARCH_TYPES[type].suggest);
+
+// Minimum combined similarity for a fuzzy match
+const FUZZY_THRESHOLD = 0.55;
+
+// Candidates fetched per type before fuzzy re-ranking
+const FUZZY_CANDIDATES = 50;
+
+/**
+ * Combine Mongo's text score with exact/prefix match and popularity so that
+ * results from different collections can be compared for the top result
+ */
+const rankResult = (doc, type, query) => {
+  const name = String(SEARCH_TYPES[type].name(doc) || '').toLowerCase().trim();
+  const q = query.toLowerCase().trim();
+
+  let rank = doc.score || 0;
+  if (name === q) rank += 5;
+  else if (name.startsWith(q)) rank += 2;
+
+  rank += Math.log10(1 + (SEARCH_TYPES[type].plays(doc) || 0)) * 0.5;
+
+  return Math.round(rank * 1000) / 1000;
+};
+
+/**
+ * Search a single entity type
+ */
+const searchType = async (type, query, limit) => {
+  const { model, filter, fields } = SEARCH_TYPES[type];
+  const mongoQuery = { ...filter, $text: { $search: query } };
+
+  const [docs, total] = await Promise.all([
+    model
+      .find(mongoQuery, { score: { $meta: 'textScore' } })
+      .select(fields)
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit)
+      .lean(),
+    model.countDocuments(mongoQuery),
+  ]);
+
+  const items = docs
+    .map((doc) => ({ ...doc, rank: rankResult(doc, type, query) }))
+    .sort((a, b) => b.rank - a.rank);
+
+  return { items, total };
+};
+
+/**
+ * Typo-tolerant search of a single type using stored trigrams,
+ * re-ranked by word-level edit distance
+ */
+const fuzzySearchType = async (type, query, limit) => {
+  const { model, filter, fields, suggest } = SEARCH_TYPES[type];
+  const grams = trigrams(query);
+  if (grams.length === 0) return { items: [], total: 0 };
+
+  const projection = Object.fromEntries(fields.split(' ').map((field) => [field, 1]));
+
+  const candidates = await model.aggregate([
+    { $match: { ...filter, searchGrams: { $in: grams } } },
+    { $project: { ...projection, matches: { $size: { $setIntersection: ['$searchGrams', grams] } } } },
+    { $sort: { matches: -1 } },
+    { $limit: FUZZY_CANDIDATES },
+  ]);
+
+  const items = candidates
+    .map(({ matches, ...doc }) => {
+      const gramScore = matches / grams.length;
+      const wordScore = wordSimilarity(query, suggest.text(doc));
+      return { ...doc, rank: Math.round((0.4 * gramScore + 0.6 * wordScore) * 1000) / 1000 };
+    })
+    .filter((doc) => doc.rank >= FUZZY_THRESHOLD)
+    .sort((a, b) => b.rank - a.rank)
+    .slice(0, limit);
+
+  return { items, total: items.length };
+};
+
+/**
+ * Search across entity types
+ * Falls back to typo-tolerant matching when the full-text search finds nothing
+ * @param {string} query - Search text
+ * @param {Object} options - { types: [...], limit: per-type result count }
+ * @returns {Promise<Object>} { topResult, results: { songs, albums, ... }, fuzzy }
+ */
+export const searchAll = async (query, { types = Object.keys(SEARCH_TYPES), limit = 5 } = {}) => {
+  let groups = await Promise.all(types.map((type) => searchType(type, query, limit)));
+  let fuzzy = false;
+
+  if (groups.every((group) => group.items.length === 0)) {
+    fuzzy = true;
+    groups = await Promise.all(
+      types.map((type) =>
+        SEARCH_TYPES[type].suggest ? fuzzySearchType(type, query, limit) : { items: [], total: 0 }
+      )
+    );
+  }
+
+  const results = {};
+  let topResult = null;
+
+  // Facet counts for the song results of a full-text search
+  if (!fuzzy && types.includes('songs')) {
+    const songs = groups[types.indexOf('songs')];
+    songs.facets = await computeSongFacets({ search: query }, SEARCH_TYPES.songs.filter);
+  }
+
+  types.forEach((type, i) => {
+    results[type] = groups[i];
+    const best = groups[i].items[0];
+    if (best && (!topResult || best.rank > topResult.item.rank)) {
+      topResult = { type, item: best };
+    }
+  });
+
+  return { topResult, results, fuzzy };
+};
+
+/**
+ * Flatten a document into an autocomplete suggestion
+ */
+const toSuggestion = (type, doc) => {
+  const { name, suggest } = SEARCH_TYPES[type];
+  return {
+    type,
+    _id: doc._id,
+    label: name(doc),
+    subtitle: suggest.subtitle(doc),
+    image: suggest.image(doc) || null,
+    rank: doc.rank,
+  };
+};
+
+/**
+ * Autocomplete suggestions across songs, albums and artists
+ * Every query word must prefix-match a word of the document; when nothing
+ * matches, trigram matching is used so that typos still return results
+ * @param {string} query - Partial search text (2+ characters)
+ * @param {Object} options - { types: [...], limit: total suggestions }
+ * @returns {Promise<Object>} { suggestions, fuzzy }
+ */
+export const suggest = async (query, { types = SUGGEST_TYPES, limit = 8 } = {}) => {
+  const prefixes = tokenize(query).map((word) => word.slice(0, MAX_PREFIX_LENGTH));
+  if (prefixes.length === 0) return { suggestions: [], fuzzy: false };
+
+  const groups = await Promise.all(
+    types.map(async (type) => {
+      const { model, filter, fields, suggest: options } = SEARCH_TYPES[type];
+      const docs = await model
+        .find({ ...filter, searchPrefixes: { $all: prefixes } })
+        .select(fields)
+        .sort(options.sort)
+        .limit(limit)
+        .lean();
+
+      return docs.map((doc) => {
+        const name = String(SEARCH_TYPES[type].name(doc) || '').toLowerCase();
+        // Names starting with the query rank first, then popularity order
+        const rank = (name.startsWith(query.toLowerCase()) ? 2 : 1) + wordSimilarity(query, name);
+        return toSuggestion(type, { ...doc, rank: Math.round(rank * 1000) / 1000 });
+      });
+    })
+  );
+
+  let suggestions = groups.flat();
+  let fuzzy = false;
+
+  if (suggestions.length === 0) {
+    fuzzy = true;
+    const fuzzyGroups = await Promise.all(types.map((type) => fuzzySearchType(type, query, limit)));
+    suggestions = fuzzyGroups.flatMap((group, i) => group.items.map((doc) => toSuggestion(types[i], doc)));
+  }
+
+  suggestions.sort((a, b) => b.rank - a.rank);
+
+  return { suggestions: suggestions.slice(0, limit), fuzzy };
+};
+
+export default {
+  SEARCH_TYPES,
+  SUGGEST_TYPES,
+  searchAll,
+  suggest,
+};
@@ -0,0 +1,89 @@
+import Song from '../models/Song.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { buildSongFilter } from './songQueryService.js';
+
+/**
+ * Smart Playlist Service
+ * Evaluates stored playlist rules against the Song catalog
+ */
+
+const PREVIEW_FIELDS = 'title artist genre mood bpm language popularity totalPlays duration coverImageUrl covers colors createdAt publishedAt';
+
+/**
+ * Build the Mongo query for a set of smart playlist rules
+ * Smart playlists only ever contain published songs
+ */
+export const buildRuleQuery = (rules = {}) => {
+  const query = buildSongFilter({
+    genre: rules.genre,
+    mood: rules.mood,
+    language: rules.language,
+    artist: rules.artist,
+    minBpm: rules.minBpm,
+    maxBpm: rules.maxBpm,
+  });
+
+  query.status = 'published';
+
+  // Songs published before publishedAt was recorded fall back to their upload time
+  if (rules.publishedWithinDays) {
+    const since = new Date(Date.now() - rules.publishedWithinDays * 24 * 60 * 60 * 1000);
+    query.$or = [
+      { publishedAt: { $gte: since } },
+      { publishedAt: { $exists: false }, createdAt: { $gte: since } },
+    ];
+  }
+
+  return query;
+};
+
+/**
+ * Evaluate rules and return matching songs
+ * @param {Object} rules - Smart playlist rules
+ * @returns {Promise<Array>} Songs in playlist order
+ */
+export const evaluateRules = async (rules = {}) => {
+  return Song.find(buildRuleQuery(rules))
+    .select(PREVIEW_FIELDS)
+    .sort(rules.sort || '-totalPlays')
+    .limit(rules.limit || 50)
+    .lean();
+};
+
+/**
+ * Check whether a smart playlist's generated tracks are older than the refresh interval
+ */
+export const isStale = (playlist) => {
+  if (!playlist.lastEvaluatedAt) return true;
+  const maxAge = config.smartPlaylists.refreshIntervalMinutes * 60 * 1000;
+  return Date.now() - playlist.lastEvaluatedAt.getTime() > maxAge;
+};
+
+/**
+ * Regenerate the tracks of a smart playlist from its rules
+ * @param {Document} playlist - Playlist document (type 'smart')
+ * @param {Object} options - { force: re-evaluate even if not stale }
+ * @returns {Promise<Document>} The (possibly updated) playlist
+ */
+export const refreshSmartPlaylist = async (playlist, { force = false } = {}) => {
+  if (playlist.type !== 'smart') return playlist;
+  if (!force && !isStale(playlist)) return playlist;
+
+  const songs = await evaluateRules(playlist.rules);
+
+  playlist.tracks = songs.map((song) => ({ song: song._id }));
+  playlist.lastEvaluatedAt = new Date();
+  await playlist.save();
+
+  logger.info('Smart playlist evaluated', { playlistId: playlist._id, tracks: songs.length });
+
+  return playlist;
+};
+
+export default {
+  buildRuleQuery,
+  evaluateRules,
+  isStale,
+  refreshSmartPlaylist,
+};
@@ -0,0 +1,146 @@
+import Song from '../models/Song.js';
+import { escapeRegex } from '../utils/searchTokens.js';
+
+/**
+ * Song Query Service
+ * Shared filter building for song listings, smart playlists and search
+ */
+
+/**
+ * Sort keys accepted from clients (prefix with "-" for descending)
+ */
+export const SONG_SORT_FIELDS = ['createdAt', 'totalPlays', 'popularity', 'title', 'bpm', 'duration', 'lastPlayedAt'];
+
+/**
+ * Excludes songs whose stored audio is missing (see storageIntegrityService);
+ * every listing, search and recommendation query should include it
+ */
+export const PLAYABLE_SONG_FILTER = { unplayable: { $exists: false } };
+
+/**
+ * Normalize a query value that may be a single string or an array
+ */
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+/**
+ * Build a Mongo filter from the filters supported by GET /songs
+ * @param {Object} filters - genre, mood, language, artist, search, minBpm, maxBpm
+ * @returns {Object} Mongo query
+ */
+export const buildSongFilter = (filters = {}) => {
+  const { genre, mood, language, artist, search, minBpm, maxBpm } = filters;
+  const query = { ...PLAYABLE_SONG_FILTER };
+
+  if (genre && genre.length !== 0) {
+    query.genre = { $in: toList(genre) };
+  }
+  if (mood && mood.length !== 0) {
+    query.mood = { $in: toList(mood) };
+  }
+  if (language) {
+    query.language = language;
+  }
+  // Substring match on the literal name ("AC/DC (Live)" is not a pattern)
+  if (artist) {
+    query.artist = new RegExp(escapeRegex(artist), 'i');
+  }
+
+  // BPM range filter
+  if (minBpm || maxBpm) {
+    query.bpm = {};
+    if (minBpm) query.bpm.$gte = parseInt(minBpm);
+    if (maxBpm) query.bpm.$lte = parseInt(maxBpm);
+  }
+
+  // Text search
+  if (search) {
+    query.$text = { $search: search };
+  }
+
+  return query;
+};
+
+/**
+ * BPM ranges reported in facets ([min, max) except the last bucket)
+ */
+export const BPM_BUCKETS = [0, 60, 80, 100, 120, 140, 160, 301];
+
+// Max values returned per facet
+const FACET_LIMIT = 50;
+
+const countBy = (field, unwind = false) => [
+  ...(unwind ? [{ $unwind: `$${field}` }] : []),
+  { $match: { [field]: { $nin: [null, ''] } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: FACET_LIMIT },
+  { $project: { _id: 0, value: '$_id', count: 1 } },
+];
+
+/**
+ * Count songs per genre, mood, language and BPM range for a listing.
+ * Each facet ignores its own filter (but applies all others), so the client
+ * can show alternatives for a facet the listener already narrowed down.
+ * @param {Object} filters - Same filters as buildSongFilter
+ * @param {Object} base - Extra conditions applied to every facet (e.g. status)
+ * @returns {Promise<Object>} { genre, mood, language, bpm }
+ */
+export const computeSongFacets = async (filters = {}, base = {}) => {
+  const { genre, mood, language, minBpm, maxBpm, ...rest } = filters;
+
+  const facetFilters = {
+    genre: buildSongFilter({ genre }),
+    mood: buildSongFilter({ mood }),
+    language: buildSongFilter({ language }),
+    bpm: buildSongFilter({ minBpm, maxBpm }),
+  };
+
+  const exceptFacet = (name) =>
+    Object.assign({}, ...Object.entries(facetFilters).filter(([key]) => key !== name).map(([, value]) => value));
+
+  const [result] = await Song.aggregate([
+    // $text (from search) must be part of the first stage
+    { $match: { ...base, ...buildSongFilter(rest) } },
+    {
+      $facet: {
+        genre: [{ $match: exceptFacet('genre') }, ...countBy('genre', true)],
+        mood: [{ $match: exceptFacet('mood') }, ...countBy('mood', true)],
+        language: [{ $match: exceptFacet('language') }, ...countBy('language')],
+        bpm: [
+          { $match: { ...exceptFacet('bpm'), bpm: { $type: 'number' } } },
+          {
+            $bucket: {
+              groupBy: '$bpm',
+              boundaries: BPM_BUCKETS,
+              default: 'other',
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const bpm = result.bpm
+    .filter((bucket) => bucket._id !== 'other')
+    .map((bucket) => {
+      const index = BPM_BUCKETS.indexOf(bucket._id);
+      const max = BPM_BUCKETS[index + 1] - 1;
+      return { min: bucket._id, max, label: `${bucket._id}-${max}`, count: bucket.count };
+    });
+
+  return {
+    genre: result.genre,
+    mood: result.mood,
+    language: result.language,
+    bpm,
+  };
+};
+
+export default {
+  PLAYABLE_SONG_FILTER,
+  buildSongFilter,
+  computeSongFacets,
+  SONG_SORT_FIELDS,
+  BPM_BUCKETS,
+};
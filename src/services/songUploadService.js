@@ -0,0 +1,393 @@
+import os from 'os';
+import path from 'path';
+import Song from '../models/Song.js';
+import {
+  convertToHLS,
+  getAudioMetadata,
+  validateAudioFile,
+  extractEmbeddedCover,
+  cleanupFiles,
+  FFMPEG_MISSING_MESSAGE,
+} from './ffmpegService.js';
+import { uploadHLSForSong, uploadSourceForSong } from '../utils/storage.js';
+import { buildPreview } from './previewService.js';
+import { measureLoudness } from './loudnessService.js';
+import { buildWaveform, storeSongWaveform } from './waveformService.js';
+import { generateContentKey, SONG_KEY_URI } from './playbackSecurityService.js';
+import { describeAudioFormat } from './audioFormatService.js';
+import { processCoverImage } from './coverImageService.js';
+import { computeFingerprint, flagDuplicates } from './fingerprintService.js';
+import { analyzeAudio, applyAnalysis } from './audioAnalysisService.js';
+import { LIVE_VERSION_SELECT, archiveLiveVersion, saveVersion, switchToVersion } from './songVersionService.js';
+import { AppError } from '../utils/errors.js';
+import config from '../config/index.js';
+
+/**
+ * Song Upload Service
+ * The song processing pipeline (validate → HLS → storage → preview →
+ * analysis → save), run by the upload job worker
+ */
+
+const PLACEHOLDER_COVER = 'https://placehold.co/300';
+
+// Overall progress (%) at which each stage starts; transcoding fills up to 'uploading'
+const STAGE_PROGRESS = {
+  validating: 0,
+  transcoding: 5,
+  uploading: 65,
+  preview: 80,
+  analyzing: 85,
+  saving: 95,
+};
+
+const toList = (value) =>
+  value ? (Array.isArray(value) ? value : String(value).split(',').map((v) => v.trim())) : [];
+
+// Song fields → tag names to read them from (first present wins, keys as normalized by getAudioMetadata)
+const TAG_FIELDS = {
+  title: ['title'],
+  artist: ['artist', 'album_artist'],
+  album: ['album'],
+  genre: ['genre'],
+  bpm: ['tbpm', 'bpm', 'tmpo'],
+  language: ['language', 'tlan'],
+};
+
+const tagValue = (field, value) => {
+  if (field === 'genre') {
+    // ID3 and Vorbis both allow several genres in one tag
+    return value.split(/\s*[;,/]\s*/).filter(Boolean).join(',');
+  }
+  if (field === 'bpm') {
+    const bpm = Math.round(parseFloat(value));
+    return bpm > 0 && bpm <= 300 ? String(bpm) : undefined;
+  }
+  return value;
+};
+
+/**
+ * Fill form fields the uploader left empty from the file's embedded tags
+ * @param {Object} fields - Form fields
+ * @param {Object} tags - Normalized tags from getAudioMetadata
+ * @returns {Object} { fields, fromTags } (fromTags: names of the fields taken from tags)
+ */
+export const applyTagFields = (fields, tags = {}) => {
+  const merged = { ...fields };
+  const fromTags = [];
+
+  Object.entries(TAG_FIELDS).forEach(([field, names]) => {
+    if (merged[field]) return;
+    const raw = names.map((name) => tags[name]).find(Boolean);
+    const value = raw && tagValue(field, raw);
+    if (value) {
+      merged[field] = value;
+      fromTags.push(field);
+    }
+  });
+
+  return { fields: merged, fromTags };
+};
+
+/**
+ * Check the fields a song needs (form fields, or tags merged with applyTagFields)
+ * @throws {AppError} 400 when a required field is missing
+ */
+export const assertSongFields = (fields) => {
+  const { title, artist, genre, language } = fields;
+  if (!title || !artist || !genre || !language) {
+    throw new AppError('Missing required fields: title, artist, genre, language (not in the form or the file tags)', 400);
+  }
+};
+
+/**
+ * Validate audio file (unreadable, corrupt or out-of-range audio is not worth retrying)
+ */
+const assertAudioFile = async (audioPath) => {
+  try {
+    await validateAudioFile(audioPath);
+  } catch (error) {
+    // ffprobe's own errors ("ffprobe exited with code 1") mean a bad file, not a missing binary
+    if (error.message.includes(FFMPEG_MISSING_MESSAGE)) {
+      throw new AppError(
+        'Server configuration error: FFmpeg is not installed. ' +
+        'Please contact the administrator to install FFmpeg for audio processing.',
+        500
+      );
+    }
+    throw new AppError(error.message, 422);
+  }
+};
+
+/**
+ * Turn a local master into one audio version of a song: HLS, stored source,
+ * preview, loudness, waveform, tempo/key analysis and fingerprint, all under
+ * the version's storage prefix (see storage.songAudioPrefix)
+ * @param {Object} params
+ * @param {Object} params.audio - { path, originalName, mimetype }
+ * @param {Object} params.metadata - getAudioMetadata result for the file
+ * @param {string} params.songId
+ * @param {number} params.version - Audio version (1 for a new upload)
+ * @param {number} params.previewStart - Requested preview start (seconds)
+ * @param {Function} params.report - Stage reporter
+ * @param {Array<string>} params.tempFiles - Local paths to clean up (appended to)
+ * @returns {Promise<Object>} Song audio fields (hlsUrl, hlsKey, sourceUrl, duration, ...)
+ */
+const processSongAudio = async ({ audio, metadata, songId, version, previewStart, report, tempFiles }) => {
+  // Trust ffprobe, not the extension or mimetype the client sent
+  const sourceFormat = describeAudioFormat(metadata);
+
+  // Convert to HLS
+  report('transcoding');
+  console.log('🎵 Converting to HLS format...');
+  const hlsOutputDir = path.join(os.tmpdir(), 'hls', `song-${songId}-v${version}-${Date.now()}`);
+  tempFiles.push(hlsOutputDir);
+
+  // Per-song AES-128 key (kept in the database, never uploaded with the segments)
+  const hlsKey = config.hls.encrypt ? generateContentKey() : undefined;
+  const transcodeSpan = STAGE_PROGRESS.uploading - STAGE_PROGRESS.transcoding;
+  const hlsResult = await convertToHLS(audio.path, hlsOutputDir, {
+    encryption: hlsKey && { key: hlsKey, keyUri: SONG_KEY_URI },
+    onProgress: (percent) => report('transcoding', STAGE_PROGRESS.transcoding + (percent / 100) * transcodeSpan),
+  });
+
+  report('uploading');
+  console.log('☁️ Uploading HLS files...');
+  const hlsUrl = await uploadHLSForSong(hlsResult.files, songId, version);
+  if (!hlsUrl) {
+    throw new AppError('Failed to get HLS playlist URL from storage', 500);
+  }
+
+  // Keep the source as the master and cut the preview clip
+  report('preview');
+  console.log('✂️ Generating preview clip...');
+  const sourceUrl = await uploadSourceForSong(audio.path, songId, sourceFormat, version);
+  const preview = await buildPreview(audio.path, songId, { start: previewStart, songDuration: metadata.duration, version });
+
+  const fields = {
+    hlsUrl,
+    hlsKey,
+    sourceUrl,
+    sourceFormat,
+    duration: metadata.duration,
+    previewUrl: preview.previewUrl,
+    previewStart: preview.previewStart,
+  };
+
+  report('analyzing');
+
+  // Loudness for playback normalization (non-fatal, the backfill can retry)
+  try {
+    fields.loudness = await measureLoudness(audio.path);
+  } catch (error) {
+    console.warn('⚠️ Loudness analysis failed:', error.message);
+  }
+
+  // Waveform peaks for the player and upload screen (non-fatal)
+  try {
+    fields.waveformUrl = await storeSongWaveform(await buildWaveform(audio.path), songId, version);
+  } catch (error) {
+    console.warn('⚠️ Waveform generation failed:', error.message);
+  }
+
+  // Tempo/key/energy estimates (non-fatal)
+  try {
+    fields.analysis = await analyzeAudio(audio.path);
+  } catch (error) {
+    console.warn('⚠️ Tempo/key analysis failed:', error.message);
+  }
+
+  // Acoustic fingerprint for duplicate detection (non-fatal, the backfill can retry)
+  try {
+    fields.fingerprint = await computeFingerprint(audio.path);
+  } catch (error) {
+    console.warn('⚠️ Fingerprinting failed:', error.message);
+  }
+
+  return fields;
+};
+
+/**
+ * Flag matches with catalog songs for the artist and admins (non-fatal)
+ */
+const checkDuplicates = async (song) => {
+  if (!song.fingerprint || !song.fingerprint.data) return;
+
+  try {
+    const flags = await flagDuplicates(song);
+    if (flags.length > 0) console.warn(`⚠️ Song ${song._id} sounds like ${flags.length} catalog song(s)`);
+  } catch (error) {
+    console.warn('⚠️ Duplicate check failed:', error.message);
+  }
+};
+
+/**
+ * Process a song upload from local files
+ * @param {Object} params
+ * @param {Object} params.fields - Form fields (title, artist, genre, mood, bpm, language, previewStart)
+ * @param {Object} params.audio - { path, originalName, mimetype }
+ * @param {Object} params.cover - { path, originalName, mimetype } (optional, defaults to the embedded artwork)
+ * @param {Object} params.sharedCover - Already processed { url, covers, colors } used when no cover is uploaded (album tracks)
+ * @param {string} params.songId - Id for the new song (keeps storage keys stable across retries)
+ * @param {Object} params.createdBy - { user, artistProfile }
+ * @param {Function} params.onProgress - Called with (stage, percent)
+ * @returns {Promise<Object>} { song, metadata, fromTags } (fromTags: 'coverImage' when the artwork was used)
+ */
+export const processSongUpload = async ({ fields, audio, cover, sharedCover, songId, createdBy = {}, onProgress = () => {} }) => {
+  const tempFiles = [];
+  const report = (stage, percent = STAGE_PROGRESS[stage]) => onProgress(stage, Math.round(percent));
+
+  try {
+    report('validating');
+    assertSongFields(fields);
+    await assertAudioFile(audio.path);
+
+    console.log('🔍 Extracting audio metadata...');
+    const metadata = await getAudioMetadata(audio.path);
+
+    const audioFields = await processSongAudio({
+      audio,
+      metadata,
+      songId,
+      version: 1,
+      previewStart: fields.previewStart,
+      report,
+      tempFiles,
+    });
+
+    const song = new Song({
+      _id: songId,
+      title: fields.title,
+      artist: fields.artist,
+      genre: toList(fields.genre),
+      mood: toList(fields.mood),
+      bpm: fields.bpm ? parseInt(fields.bpm) : undefined,
+      language: fields.language,
+      album: fields.album,
+      coverImageUrl: PLACEHOLDER_COVER,
+      ...audioFields,
+      createdBy: createdBy.user,
+      createdByArtist: createdBy.artistProfile,
+    });
+
+    // Tempo/key/mood estimates fill the fields the artist left empty
+    if (song.analysis && song.analysis.analyzedAt) {
+      const applied = applyAnalysis(song);
+      if (applied.length > 0) console.log(`🎼 Estimated ${applied.join(', ')}`);
+    }
+
+    // Cover variants from the uploaded image, a shared cover (the album's), otherwise the artwork embedded in the file
+    const fromTags = [];
+    const applyCover = ({ url, covers, colors }) => Object.assign(song, { coverImageUrl: url, covers, colors });
+
+    if (cover) {
+      console.log('🖼️ Processing cover image...');
+      applyCover(await processCoverImage(cover.path, `songs/${songId}`));
+    } else if (sharedCover) {
+      applyCover(sharedCover);
+    } else if (metadata.embeddedCover) {
+      // Broken artwork is not worth failing the upload for
+      try {
+        const extracted = await extractEmbeddedCover(audio.path, metadata.embeddedCover, path.join(path.dirname(audio.path), `cover-${songId}`));
+        tempFiles.push(extracted.path);
+        applyCover(await processCoverImage(extracted.path, `songs/${songId}`));
+        fromTags.push('coverImage');
+      } catch (error) {
+        console.warn('⚠️ Embedded cover extraction failed:', error.message);
+      }
+    }
+
+    report('saving');
+    await song.save();
+    await checkDuplicates(song);
+
+    console.log('✅ Song uploaded successfully:', songId);
+
+    return {
+      song,
+      metadata: {
+        duration: metadata.duration,
+        bitrate: metadata.bitrate,
+        sampleRate: metadata.sampleRate,
+        channels: metadata.channels,
+      },
+      fromTags,
+    };
+  } finally {
+    await cleanupFiles(tempFiles);
+  }
+};
+
+/**
+ * Replace a song's audio with a new master (the song keeps its id, stats,
+ * favorites and album links). The new version is processed under its own
+ * storage prefix, then the song switches to it in one update; earlier
+ * versions stay stored for rollback (see songVersionService).
+ * @param {Object} params
+ * @param {string} params.songId - Existing song
+ * @param {number} params.version - Version reserved for this replacement
+ * @param {Object} params.audio - { path, originalName, mimetype }
+ * @param {Object} params.fields - { previewStart, note }
+ * @param {string} params.uploadedBy - User id
+ * @param {Function} params.onProgress - Called with (stage, percent)
+ * @returns {Promise<Object>} { song, metadata }
+ */
+export const processAudioReplacement = async ({ songId, version, audio, fields = {}, uploadedBy, onProgress = () => {} }) => {
+  const tempFiles = [];
+  const report = (stage, percent = STAGE_PROGRESS[stage]) => onProgress(stage, Math.round(percent));
+
+  try {
+    report('validating');
+    const song = await Song.findById(songId).select(LIVE_VERSION_SELECT);
+    if (!song) {
+      throw new AppError('Song not found', 404);
+    }
+    await assertAudioFile(audio.path);
+
+    console.log('🔍 Extracting audio metadata...');
+    const metadata = await getAudioMetadata(audio.path);
+
+    // The live version must stay restorable once the song moves on
+    await archiveLiveVersion(song);
+
+    const audioFields = await processSongAudio({
+      audio,
+      metadata,
+      songId,
+      version,
+      previewStart: fields.previewStart !== undefined ? fields.previewStart : song.previewStart,
+      report,
+      tempFiles,
+    });
+
+    report('saving');
+    await saveVersion(songId, version, audioFields, { originalName: audio.originalName, note: fields.note, uploadedBy });
+    const updated = await switchToVersion(song, version, audioFields, { onlyForward: true });
+
+    if (updated) {
+      await checkDuplicates(await Song.findById(songId).select('title createdAt createdByArtist +fingerprint.data +fingerprint.keys'));
+      console.log(`✅ Song ${songId} now plays audio version ${version}`);
+    } else {
+      console.warn(`⚠️ Song ${songId} already moved past version ${version}; kept it for rollback only`);
+    }
+
+    return {
+      song: updated || song,
+      metadata: {
+        duration: metadata.duration,
+        bitrate: metadata.bitrate,
+        sampleRate: metadata.sampleRate,
+        channels: metadata.channels,
+        audioVersion: version,
+      },
+    };
+  } finally {
+    await cleanupFiles(tempFiles);
+  }
+};
+
+export default {
+  applyTagFields,
+  assertSongFields,
+  processSongUpload,
+  processAudioReplacement,
+};
@@ -0,0 +1,179 @@
+import Song from '../models/Song.js';
+import SongVersion from '../models/SongVersion.js';
+import { AppError } from '../utils/errors.js';
+
+/**
+ * Song Version Service
+ * A song's audio (HLS, stored source, preview, waveform and the measurements
+ * taken from it) is versioned. Replacing the audio adds a version under its
+ * own storage prefix and switches the song to it in one update; earlier
+ * versions stay stored so the artist or an admin can roll back.
+ */
+
+// Song fields that belong to an audio version
+export const VERSION_FIELDS = [
+  'hlsUrl',
+  'hlsKey',
+  'sourceUrl',
+  'sourceFormat',
+  'duration',
+  'previewUrl',
+  'previewStart',
+  'waveformUrl',
+  'loudness',
+  'analysis',
+  'fingerprint',
+];
+
+// Hidden version fields, for Song and SongVersion queries that copy versions around
+export const LIVE_VERSION_SELECT = '+hlsKey +sourceUrl +fingerprint.data +fingerprint.keys';
+
+const pickVersionFields = (source) =>
+  VERSION_FIELDS.reduce((picked, field) => (source[field] != null ? { ...picked, [field]: source[field] } : picked), {});
+
+const withoutEmpty = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value != null));
+
+/**
+ * Reserve the next version number for a replacement (atomic, so concurrent
+ * replacements never share a storage prefix)
+ * @returns {Promise<number|null>} null when the song does not exist
+ */
+export const reserveAudioVersion = async (songId) => {
+  const song = await Song.findByIdAndUpdate(
+    songId,
+    [{ $set: { latestAudioVersion: { $add: [{ $ifNull: ['$latestAudioVersion', 1] }, 1] } } }],
+    { new: true, projection: { latestAudioVersion: 1 } }
+  ).lean();
+
+  return song && song.latestAudioVersion;
+};
+
+/**
+ * Record the song's live audio as a version, if it isn't recorded yet
+ * (songs uploaded before versioning have no SongVersion for version 1)
+ * @param {Object} song - Song document loaded with LIVE_VERSION_SELECT
+ */
+export const archiveLiveVersion = async (song) => {
+  const live = song.toObject ? song.toObject() : song;
+
+  await SongVersion.updateOne(
+    { song: live._id, version: live.audioVersion || 1 },
+    { $setOnInsert: { ...pickVersionFields(live), uploadedBy: live.createdBy } },
+    { upsert: true }
+  );
+};
+
+/**
+ * Store a processed version (idempotent, retried jobs overwrite their own version)
+ * @param {Object} fields - Song audio fields of the version
+ * @param {Object} details - { originalName, note, uploadedBy }
+ */
+export const saveVersion = async (songId, version, fields, details = {}) => {
+  await SongVersion.updateOne(
+    { song: songId, version },
+    { $set: { ...pickVersionFields(fields), ...withoutEmpty(details) } },
+    { upsert: true }
+  );
+};
+
+/**
+ * Point the song at a version's audio in one update. Fields the version
+ * lacks are cleared so nothing of the previous audio is left behind; the
+ * song's own fields (bpm, key, mood, ...) and the record of which of them
+ * hold estimates are kept.
+ * @param {Object} song - Live song (for the current analysis.applied)
+ * @param {number} version
+ * @param {Object} fields - Song audio fields of the version
+ * @param {Object} options - { onlyForward } (skip when the song is already on a later version)
+ * @returns {Promise<Object|null>} Updated song, null when skipped
+ */
+export const switchToVersion = async (song, version, fields, { onlyForward = false } = {}) => {
+  const $set = { ...pickVersionFields(fields), audioVersion: version };
+  const cleared = VERSION_FIELDS.filter((field) => !(field in $set));
+
+  if ($set.analysis) {
+    const liveApplied = song.analysis && song.analysis.applied;
+    $set.analysis = { ...$set.analysis };
+    delete $set.analysis.applied;
+    if (liveApplied) $set.analysis.applied = [...liveApplied];
+  }
+
+  const filter = { _id: song._id };
+  if (onlyForward) {
+    filter.$or = [{ audioVersion: { $lt: version } }, { audioVersion: { $exists: false } }];
+  }
+
+  // New audio, so a missing-files flag of the previous one no longer applies
+  const update = { $set, $unset: { unplayable: 1 } };
+  for (const field of cleared) {
+    update.$unset[field] = 1;
+  }
+  return Song.findOneAndUpdate(filter, update, { new: true });
+};
+
+/**
+ * A song's audio versions, newest first (the live one flagged)
+ * @param {Object} song - Song (audioVersion, createdAt, ...)
+ * @returns {Promise<Array>}
+ */
+export const listVersions = async (song) => {
+  const live = song.audioVersion || 1;
+  const versions = await SongVersion.find({ song: song._id })
+    .select('-analysis -fingerprint')
+    .sort({ version: -1 })
+    .populate('uploadedBy', 'name username')
+    .lean();
+
+  // Songs never replaced have no stored version yet
+  if (!versions.some((version) => version.version === live)) {
+    versions.push({ song: song._id, version: live, hlsUrl: song.hlsUrl, duration: song.duration, createdAt: song.createdAt });
+    versions.sort((a, b) => b.version - a.version);
+  }
+
+  return versions.map((version) => ({ ...version, live: version.version === live }));
+};
+
+/**
+ * Roll a song back (or forward) to a stored version
+ * @param {Object} song - Song document loaded with LIVE_VERSION_SELECT
+ * @param {number} version
+ * @returns {Promise<Object>} Updated song
+ */
+export const restoreVersion = async (song, version) => {
+  if (version === (song.audioVersion || 1)) {
+    throw new AppError(`Version ${version} is already live`, 409);
+  }
+
+  const target = await SongVersion.findOne({ song: song._id, version }).select(LIVE_VERSION_SELECT).lean();
+  if (!target) {
+    throw new AppError('Audio version not found', 404);
+  }
+
+  await archiveLiveVersion(song);
+  return switchToVersion(song, version, target);
+};
+
+/**
+ * Keep the live version's record in step with changes made to the song
+ * (e.g. a re-cut preview)
+ * @param {Object} song - Song (_id, audioVersion)
+ * @param {Object} fields - Changed version fields
+ */
+export const syncLiveVersion = async (song, fields) => {
+  const changed = pickVersionFields(fields);
+  if (Object.keys(changed).length === 0) return;
+
+  await SongVersion.updateOne({ song: song._id, version: song.audioVersion || 1 }, { $set: changed });
+};
+
+export default {
+  VERSION_FIELDS,
+  LIVE_VERSION_SELECT,
+  reserveAudioVersion,
+  archiveLiveVersion,
+  saveVersion,
+  switchToVersion,
+  listVersions,
+  restoreVersion,
+  syncLiveVersion,
+};
@@ -0,0 +1,276 @@
+import path from 'path';
+import Song from '../models/Song.js';
+import SongVersion from '../models/SongVersion.js';
+import Podcast from '../models/Podcast.js';
+import PodcastEpisode from '../models/PodcastEpisode.js';
+import { listFiles, readFile, statFile, deleteFile, storageKeyFromUrl, getStorage } from '../utils/storage.js';
+import { uriLines } from './audioSourceService.js';
+
+/**
+ * Storage Integrity Service
+ * Cross-checks the stored songs/ and podcasts/ prefixes against MongoDB:
+ * - orphans: files no document owns (songs and episodes that were never
+ *   saved or were deleted outside the API, failed audio replacements)
+ * - broken songs/episodes: entry playlist, variant playlists or segments missing
+ * Orphans can be deleted and broken songs marked unplayable (Song.unplayable),
+ * which hides them from listings until the check passes again.
+ */
+
+// Files younger than this may belong to an upload that is still being processed
+const DEFAULT_MIN_AGE_HOURS = 24;
+
+// Example keys kept per report entry
+const MAX_EXAMPLES = 5;
+
+const toIdSet = (docs, field = '_id') => new Set(docs.map((doc) => String(doc[field])));
+
+/**
+ * Unit of storage a file belongs to, and whether a document owns it
+ * @returns {{ prefix: string, reason: string }|null} null when it is owned
+ */
+const orphanUnit = (key, owners) => {
+  const parts = key.split('/');
+
+  if (parts[0] === 'songs') {
+    const [, songId, folder] = parts;
+    const song = owners.songs.get(songId);
+    if (!song) return { prefix: `songs/${songId}/`, reason: 'song not found' };
+
+    // Replacement versions live under v<N>/; the live one and stored versions are owned
+    const version = /^v(\d+)$/.exec(folder || '');
+    if (version && parts.length > 3) {
+      const number = parseInt(version[1], 10);
+      if (number !== (song.audioVersion || 1) && !owners.versions.has(`${songId}:${number}`)) {
+        return { prefix: `songs/${songId}/${folder}/`, reason: `audio version ${number} not found` };
+      }
+    }
+    return null;
+  }
+
+  if (parts[0] === 'podcasts') {
+    const [, podcastId, folder, episodeId] = parts;
+    if (!owners.podcasts.has(podcastId)) return { prefix: `podcasts/${podcastId}/`, reason: 'podcast not found' };
+    if (folder === 'episodes' && episodeId && parts.length > 4 && !owners.episodes.has(episodeId)) {
+      return { prefix: `podcasts/${podcastId}/episodes/${episodeId}/`, reason: 'episode not found' };
+    }
+    return null;
+  }
+
+  return null;
+};
+
+/**
+ * Find files under songs/ and podcasts/ that no document owns
+ * @returns {Promise<{ orphans: Array, keys: Set<string>, scanned: Object }>}
+ *   orphans grouped by prefix; keys = every listed key (for the playlist checks)
+ */
+const findOrphans = async ({ minAgeHours }) => {
+  // Deleted documents still inside their grace period own their files
+  const [songs, versions, podcasts, episodes] = await Promise.all([
+    Song.find().withDeleted().select('_id audioVersion').lean(),
+    SongVersion.find().select('song version').lean(),
+    Podcast.find().withDeleted().select('_id').lean(),
+    PodcastEpisode.find().withDeleted().select('_id').lean(),
+  ]);
+
+  const owners = {
+    songs: new Map(songs.map((song) => [String(song._id), song])),
+    versions: new Set(versions.map((version) => `${version.song}:${version.version}`)),
+    podcasts: toIdSet(podcasts),
+    episodes: toIdSet(episodes),
+  };
+
+  const cutoff = Date.now() - minAgeHours * 60 * 60 * 1000;
+  const keys = new Set();
+  const units = new Map();
+  const scanned = { files: 0, bytes: 0 };
+
+  for (const prefix of ['songs/', 'podcasts/']) {
+    for await (const file of listFiles(prefix)) {
+      keys.add(file.key);
+      scanned.files += 1;
+      scanned.bytes += file.size || 0;
+
+      const unit = orphanUnit(file.key, owners);
+      if (!unit) continue;
+
+      const entry = units.get(unit.prefix) || { ...unit, files: [], bytes: 0, newest: 0 };
+      entry.files.push(file.key);
+      entry.bytes += file.size || 0;
+      entry.newest = Math.max(entry.newest, new Date(file.lastModified || 0).getTime());
+      units.set(unit.prefix, entry);
+    }
+  }
+
+  // Folders with recent files may be uploads in progress
+  const orphans = [...units.values()]
+    .filter((unit) => unit.newest < cutoff)
+    .map(({ prefix, reason, files, bytes, newest }) => ({
+      prefix,
+      reason,
+      files,
+      fileCount: files.length,
+      bytes,
+      lastModified: new Date(newest),
+    }));
+
+  return { orphans, keys, scanned };
+};
+
+/**
+ * Whether a stored key exists (listed keys answer for songs/ and podcasts/)
+ */
+const createExists = (keys) => async (key) => {
+  if (key.startsWith('songs/') || key.startsWith('podcasts/')) return keys.has(key);
+  return Boolean(await statFile(key));
+};
+
+/**
+ * Check an HLS stream: entry playlist, variant playlists and their segments
+ * @returns {Promise<Object|null>} Problem { reason, missing } or null when complete
+ */
+const checkStream = async (playlistUrl, exists, { checkSegments }) => {
+  const playlistKey = storageKeyFromUrl(playlistUrl);
+  if (!playlistKey) return null; // Hosted elsewhere, can't be checked
+
+  if (!(await exists(playlistKey))) {
+    return { reason: 'missing playlist', missing: [playlistKey] };
+  }
+  if (!checkSegments) return null;
+
+  const missing = [];
+  const pending = [playlistKey];
+  const seen = new Set();
+
+  while (pending.length > 0) {
+    const key = pending.shift();
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const playlist = (await readFile(key)).toString('utf8');
+    for (const uri of uriLines(playlist)) {
+      if (/^[a-z]+:\/\//i.test(uri)) continue;
+
+      const child = path.posix.normalize(path.posix.join(path.posix.dirname(key), uri.split('?')[0]));
+      if (!(await exists(child))) {
+        missing.push(child);
+      } else if (child.endsWith('.m3u8')) {
+        pending.push(child);
+      }
+    }
+  }
+
+  return missing.length > 0 ? { reason: 'missing segments', missing } : null;
+};
+
+const reportEntry = (doc, problem) => ({
+  id: doc._id,
+  title: doc.title,
+  reason: problem.reason,
+  missingCount: problem.missing.length,
+  missing: problem.missing.slice(0, MAX_EXAMPLES),
+});
+
+/**
+ * Check every live song's and episode's stream
+ */
+const findBroken = async (exists, options) => {
+  const brokenSongs = [];
+  const healthySongs = [];
+  const brokenEpisodes = [];
+
+  for await (const song of Song.find().select('title hlsUrl unplayable').lean().cursor()) {
+    try {
+      const problem = song.hlsUrl
+        ? await checkStream(song.hlsUrl, exists, options)
+        : { reason: 'no HLS URL', missing: [] };
+      if (problem) {
+        brokenSongs.push(reportEntry(song, problem));
+      } else if (song.unplayable) {
+        healthySongs.push(song._id);
+      }
+    } catch (error) {
+      brokenSongs.push(reportEntry(song, { reason: `unreadable playlist: ${error.message}`, missing: [] }));
+    }
+  }
+
+  for await (const episode of PodcastEpisode.find({ hlsPath: { $nin: [null, ''] } }).select('title hlsPath').lean().cursor()) {
+    try {
+      const problem = await checkStream(episode.hlsPath, exists, options);
+      if (problem) brokenEpisodes.push(reportEntry(episode, problem));
+    } catch (error) {
+      brokenEpisodes.push(reportEntry(episode, { reason: `unreadable playlist: ${error.message}`, missing: [] }));
+    }
+  }
+
+  return { brokenSongs, healthySongs, brokenEpisodes };
+};
+
+/**
+ * Run the integrity check, and the repairs asked for
+ * @param {Object} options
+ * @param {boolean} [options.deleteOrphans] - Delete orphaned files
+ * @param {boolean} [options.markUnplayable] - Flag broken songs (and clear the flag of repaired ones)
+ * @param {boolean} [options.checkSegments] - Read playlists and check every segment (default true)
+ * @param {number} [options.minAgeHours] - Leave orphans younger than this alone (uploads in progress)
+ * @returns {Promise<Object>} Report
+ */
+export const checkStorageIntegrity = async ({
+  deleteOrphans = false,
+  markUnplayable = false,
+  checkSegments = true,
+  minAgeHours = DEFAULT_MIN_AGE_HOURS,
+} = {}) => {
+  const startedAt = new Date();
+
+  const { orphans, keys, scanned } = await findOrphans({ minAgeHours });
+  const { brokenSongs, healthySongs, brokenEpisodes } = await findBroken(createExists(keys), { checkSegments });
+
+  const actions = { deletedFiles: 0, markedUnplayable: 0, clearedUnplayable: 0 };
+
+  if (deleteOrphans) {
+    for (const orphan of orphans) {
+      for (const key of orphan.files) {
+        await deleteFile(key);
+        actions.deletedFiles += 1;
+      }
+    }
+  }
+
+  if (markUnplayable) {
+    const detectedAt = new Date();
+    for (const song of brokenSongs) {
+      const result = await Song.updateOne(
+        { _id: song.id, unplayable: { $exists: false } },
+        { $set: { unplayable: { reason: song.reason, detectedAt } } }
+      );
+      actions.markedUnplayable += result.modifiedCount;
+    }
+
+    if (healthySongs.length > 0) {
+      const result = await Song.updateMany({ _id: { $in: healthySongs } }, { $unset: { unplayable: 1 } });
+      actions.clearedUnplayable = result.modifiedCount;
+    }
+  }
+
+  return {
+    startedAt,
+    finishedAt: new Date(),
+    storage: getStorage().name,
+    scanned,
+    orphans: orphans.map(({ files, ...orphan }) => ({ ...orphan, examples: files.slice(0, MAX_EXAMPLES) })),
+    brokenSongs,
+    brokenEpisodes,
+    summary: {
+      orphanedFiles: orphans.reduce((sum, orphan) => sum + orphan.fileCount, 0),
+      orphanedBytes: orphans.reduce((sum, orphan) => sum + orphan.bytes, 0),
+      brokenSongs: brokenSongs.length,
+      brokenEpisodes: brokenEpisodes.length,
+    },
+    actions,
+  };
+};
+
+export default {
+  checkStorageIntegrity,
+};
@@ -0,0 +1,301 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import Song from '../models/Song.js';
+import SongVersion from '../models/SongVersion.js';
+import Album from '../models/Album.js';
+import Podcast from '../models/Podcast.js';
+import PodcastEpisode from '../models/PodcastEpisode.js';
+import ArtistProfile from '../models/ArtistProfile.js';
+import Playlist from '../models/Playlist.js';
+import { createStorageDriver } from '../utils/storageDrivers/index.js';
+import config from '../config/index.js';
+
+/**
+ * Storage Migration Service
+ * Moves every stored file from one backend to another (local disk ⇄ S3/MinIO)
+ * and points the database at the copies:
+ * 1. copy: the asset folders (songs/, albums/, podcasts/, artists/) and any
+ *    other stored file a document points at (legacy and playlist covers) are
+ *    streamed across, read back and compared by SHA-256; verified keys go to a
+ *    state file, so an interrupted run resumes where it stopped. Upload staging
+ *    (incoming/) and transcode leftovers are not moved: let the upload queue drain first
+ * 2. rewrite: URLs of the source storage become URLs of the target one (keys
+ *    are the same on every backend and stay as they are)
+ * The source is left untouched; switch STORAGE_TYPE once the run is clean.
+ */
+
+// Stored URL/key fields per model (covers hold { size: { webp, jpeg } } URL maps)
+const URL_FIELDS = [
+  { name: 'songs', model: Song, fields: ['hlsUrl', 'sourceUrl', 'previewUrl', 'waveformUrl', 'coverImageUrl', 'covers'] },
+  { name: 'song versions', model: SongVersion, fields: ['hlsUrl', 'sourceUrl', 'previewUrl', 'waveformUrl'] },
+  { name: 'albums', model: Album, fields: ['coverImageUrl', 'covers'] },
+  { name: 'podcasts', model: Podcast, fields: ['coverImage', 'covers', 'audioUrl'] },
+  { name: 'episodes', model: PodcastEpisode, fields: ['audioPath', 'hlsPath', 'waveformPath'] },
+  { name: 'artist profiles', model: ArtistProfile, fields: ['profileImage', 'covers'] },
+  { name: 'playlists', model: Playlist, fields: ['coverImageUrl'] },
+];
+
+// Storage folders holding assets (everything else is staging or work files)
+const ASSET_PREFIXES = ['songs/', 'albums/', 'podcasts/', 'artists/'];
+
+// Local files carry no content type; S3 needs one to serve them right
+const CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/MP2T',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.wav': 'audio/wav',
+  '.flac': 'audio/flac',
+  '.ogg': 'audio/ogg',
+  '.json': 'application/json',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+};
+
+const MIGRATABLE_TYPES = ['local', 's3', 'minio'];
+
+/**
+ * Drivers for both sides of a migration. The environment describes one local
+ * directory and one bucket, so one side has to be local disk.
+ * @param {string} from - Storage type to copy from
+ * @param {string} to - Storage type to copy to
+ */
+export const createMigrationDrivers = (from, to) => {
+  for (const type of [from, to]) {
+    if (!MIGRATABLE_TYPES.includes(type)) {
+      throw new Error(`Unknown storage type "${type}" (expected one of: ${MIGRATABLE_TYPES.join(', ')})`);
+    }
+  }
+  if ((from === 'local') === (to === 'local')) {
+    throw new Error('Migrations run between local disk and a bucket (one side must be "local")');
+  }
+
+  return {
+    source: createStorageDriver({ ...config.storage, type: from }, config.aws),
+    target: createStorageDriver({ ...config.storage, type: to }, config.aws),
+  };
+};
+
+const sha256 = async (stream) => {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of stream) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+};
+
+/**
+ * Verified copies of earlier runs (one "key<TAB>sha256" line each)
+ */
+const loadState = async (stateFile) => {
+  try {
+    const lines = (await fs.promises.readFile(stateFile, 'utf8')).split('\n');
+    return new Map(lines.filter(Boolean).map((line) => line.split('\t')));
+  } catch (error) {
+    if (error.code === 'ENOENT') return new Map();
+    throw error;
+  }
+};
+
+/**
+ * Copy one object and check the target holds the same bytes
+ * @returns {Promise<string>} SHA-256 of the object
+ */
+const copyObject = async (source, target, file) => {
+  const { body, contentType } = await source.getStream(file.key);
+
+  const hash = crypto.createHash('sha256');
+  const hashing = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+
+  await Promise.all([
+    pipeline(body, hashing),
+    target.put(file.key, hashing, {
+      contentType: contentType || CONTENT_TYPES[path.extname(file.key).toLowerCase()] || 'application/octet-stream',
+    }),
+  ]);
+  const checksum = hash.digest('hex');
+
+  const copied = await target.getStream(file.key);
+  if ((await sha256(copied.body)) !== checksum) {
+    await target.delete(file.key);
+    throw new Error('checksum mismatch after copy');
+  }
+  return checksum;
+};
+
+// Every string inside a stored value (URLs, keys, cover maps)
+const valueStrings = (value) => {
+  if (typeof value === 'string') return value ? [value] : [];
+  if (value && typeof value === 'object' && !Array.isArray(value)) return Object.values(value).flatMap(valueStrings);
+  return [];
+};
+
+// Documents with any of the URL fields set (deleted ones included)
+const documentsWithUrls = ({ model, fields }) =>
+  model
+    .find({ $or: fields.map((field) => ({ [field]: { $nin: [null, ''] } })) })
+    .setOptions({ withDeleted: true })
+    .select(fields.join(' '))
+    .lean()
+    .cursor();
+
+/**
+ * Stored files documents point at outside the asset folders (legacy covers,
+ * playlist covers uploaded elsewhere in the bucket)
+ * @returns {Promise<Set<string>>} Keys
+ */
+const referencedKeys = async (source) => {
+  const keys = new Set();
+
+  for (const entry of URL_FIELDS) {
+    for await (const doc of documentsWithUrls(entry)) {
+      for (const value of entry.fields.flatMap((field) => valueStrings(doc[field]))) {
+        const key = /^https?:\/\//.test(value) ? source.keyFromUrl(value) : value;
+        if (key && !ASSET_PREFIXES.some((prefix) => key.startsWith(prefix))) keys.add(key);
+      }
+    }
+  }
+  return keys;
+};
+
+/**
+ * Objects to migrate: the asset folders, then referenced files outside them
+ * (references to missing files are counted in counts.missing)
+ */
+async function* migratedFiles(source, counts) {
+  for (const prefix of ASSET_PREFIXES) {
+    yield* source.list(prefix);
+  }
+
+  for (const key of await referencedKeys(source)) {
+    let file = null;
+    try {
+      file = await source.head(key);
+    } catch (error) {
+      // Not a storage key (e.g. a malformed value): nothing to copy
+    }
+    if (file) {
+      yield file;
+    } else {
+      counts.missing += 1;
+    }
+  }
+}
+
+/**
+ * Copy the stored assets of the source storage to the target
+ * @param {Object} drivers - { source, target } (see createMigrationDrivers)
+ * @param {Object} options
+ * @param {string} options.stateFile - Where verified keys are recorded (for resuming)
+ * @param {number} [options.concurrency] - Objects copied at a time
+ * @param {boolean} [options.dryRun] - Only count what would be copied
+ * @param {Function} [options.onProgress] - Called with the counts after each object
+ * @returns {Promise<Object>} { copied, skipped, failed, missing, bytes, errors }
+ */
+export const copyObjects = async ({ source, target }, { stateFile, concurrency = 4, dryRun = false, onProgress } = {}) => {
+  const done = await loadState(stateFile);
+  const counts = { copied: 0, skipped: 0, failed: 0, missing: 0, bytes: 0, errors: [] };
+  const state = dryRun ? null : fs.createWriteStream(stateFile, { flags: 'a' });
+
+  // Workers share one listing; async generators queue concurrent next() calls
+  const files = migratedFiles(source, counts);
+
+  const worker = async () => {
+    for (let next = await files.next(); !next.done; next = await files.next()) {
+      const file = next.value;
+
+      if (done.has(file.key)) {
+        counts.skipped += 1;
+      } else if (dryRun) {
+        counts.copied += 1;
+        counts.bytes += file.size || 0;
+      } else {
+        try {
+          const checksum = await copyObject(source, target, file);
+          state.write(`${file.key}\t${checksum}\n`);
+          counts.copied += 1;
+          counts.bytes += file.size || 0;
+        } catch (error) {
+          // Not recorded, so the next run tries it again
+          counts.failed += 1;
+          counts.errors.push({ key: file.key, error: error.message });
+        }
+      }
+
+      if (onProgress) onProgress(counts);
+    }
+  };
+
+  try {
+    await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+  } finally {
+    if (state) await new Promise((resolve) => state.end(resolve));
+  }
+
+  return counts;
+};
+
+/**
+ * Map a stored value (URL, key or cover map) from the source storage to the target
+ * @returns {*} New value (the same one when it isn't a source URL)
+ */
+const rewriteValue = (value, source, target) => {
+  if (typeof value === 'string') {
+    // Keys are the same everywhere; URLs of other hosts aren't ours to move
+    if (!/^https?:\/\//.test(value)) return value;
+    const key = source.keyFromUrl(value);
+    return key ? target.urlFor(key) : value;
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return Object.fromEntries(Object.entries(value).map(([name, inner]) => [name, rewriteValue(inner, source, target)]));
+  }
+  return value;
+};
+
+/**
+ * Point stored URLs of every model at the target storage (deleted documents
+ * included). Running it again changes nothing, so it can follow every copy run.
+ * @param {Object} drivers - { source, target }
+ * @param {Object} options - { dryRun }
+ * @returns {Promise<Object>} Updated document counts per model
+ */
+export const rewriteUrls = async ({ source, target }, { dryRun = false } = {}) => {
+  const counts = {};
+
+  for (const { name, model, fields } of URL_FIELDS) {
+    counts[name] = 0;
+
+    for await (const doc of documentsWithUrls({ model, fields })) {
+      const $set = {};
+      for (const field of fields) {
+        const value = rewriteValue(doc[field], source, target);
+        if (JSON.stringify(value) !== JSON.stringify(doc[field])) $set[field] = value;
+      }
+      if (Object.keys($set).length === 0) continue;
+
+      counts[name] += 1;
+      if (!dryRun) {
+        await model.updateOne({ _id: doc._id }, { $set }).setOptions({ withDeleted: true });
+      }
+    }
+  }
+
+  return counts;
+};
+
+export default {
+  createMigrationDrivers,
+  copyObjects,
+  rewriteUrls,
+};
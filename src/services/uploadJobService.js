@@ -0,0 +1,599 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import UploadJob from '../models/UploadJob.js';
+import Song from '../models/Song.js';
+import Album from '../models/Album.js';
+import PodcastEpisode from '../models/PodcastEpisode.js';
+import { processSongUpload, processAudioReplacement, applyTagFields, assertSongFields } from './songUploadService.js';
+import { reserveAudioVersion } from './songVersionService.js';
+import { processEpisodeUpload } from './episodeUploadService.js';
+import { getAudioMetadata } from './ffmpegService.js';
+import { uploadFile, downloadFile, readFile, deleteFile } from '../utils/storage.js';
+import { AppError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+import config from '../config/index.js';
+
+/**
+ * Upload Job Service
+ * Uploads are staged in storage and queued in MongoDB; a worker (embedded in
+ * the API process or `npm run worker:uploads`) claims and processes them,
+ * retrying transient failures with backoff.
+ */
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// Minimum time between progress writes to MongoDB (stage changes always write)
+const PROGRESS_WRITE_INTERVAL_MS = 2000;
+
+// Running jobs refresh their lock this many times per lock timeout, progress or not
+const HEARTBEATS_PER_LOCK_TIMEOUT = 3;
+
+// Form fields kept on the job for the worker
+const SONG_FIELDS = ['title', 'artist', 'album', 'genre', 'mood', 'bpm', 'language', 'previewStart'];
+const REPLACE_FIELDS = ['previewStart', 'note'];
+const EPISODE_FIELDS = [
+  'title',
+  'description',
+  'duration',
+  'episodeNumber',
+  'season',
+  'releaseDate',
+  'category',
+  'keywords',
+  'language',
+  'explicit',
+];
+
+const pick = (source, keys) =>
+  keys.reduce((picked, key) => (source[key] !== undefined ? { ...picked, [key]: source[key] } : picked), {});
+
+/**
+ * Copy a multer temp file into storage so any worker instance can read it
+ */
+const stageFile = async (file, jobId, name) => {
+  const ext = path.extname(file.originalname || '').toLowerCase();
+  const url = await uploadFile(file.path, `incoming/${jobId}/${name}${ext}`, file.mimetype || 'application/octet-stream', false);
+
+  return {
+    url,
+    originalName: file.originalname,
+    mimetype: file.mimetype,
+    size: file.size,
+  };
+};
+
+/**
+ * Stage the files and save the job
+ */
+const enqueue = async (job, audioFile, coverFile) => {
+  try {
+    job.input.audio = await stageFile(audioFile, job._id, 'audio');
+    if (coverFile) {
+      job.input.cover = await stageFile(coverFile, job._id, 'cover');
+    }
+    await job.save();
+  } catch (error) {
+    await removeStagedFiles(job);
+    throw error;
+  }
+
+  kickUploadWorker();
+  return job;
+};
+
+/**
+ * Embedded tags of a local file ({} when ffprobe can't read it; processing reports that)
+ */
+const readTags = async (filePath) => {
+  try {
+    return (await getAudioMetadata(filePath)).tags;
+  } catch (error) {
+    console.warn('⚠️ Could not read audio tags:', error.message);
+    return {};
+  }
+};
+
+/**
+ * Queue a song upload (the caller removes the multer temp files).
+ * Fields missing from the form are filled from the file's tags first.
+ * @param {Object} params
+ * @param {Object} params.user - Authenticated user (req.user)
+ * @param {Object} params.fields - Form fields (req.body)
+ * @param {Object} params.audioFile - Multer audio file (or { path, originalname, mimetype, size })
+ * @param {Object} params.coverFile - Multer cover file (optional)
+ * @param {Object} params.defaults - Fallbacks for fields neither the form nor the tags provide
+ * @param {Object} params.album - { id, track } to link the song into an album (bulk album uploads)
+ * @returns {Promise<Object>} Queued UploadJob
+ */
+export const enqueueSongUpload = async ({ user, fields, audioFile, coverFile, defaults = {}, album }) => {
+  const tagged = applyTagFields(pick(fields, SONG_FIELDS), await readTags(audioFile.path));
+  Object.entries(pick(defaults, SONG_FIELDS)).forEach(([field, value]) => {
+    if (!tagged.fields[field]) tagged.fields[field] = value;
+  });
+  assertSongFields(tagged.fields);
+
+  const job = new UploadJob({
+    type: 'song',
+    user: user._id,
+    artistProfile: user.role === 'artist' ? user.artistProfile : undefined,
+    songId: new mongoose.Types.ObjectId(),
+    maxAttempts: config.uploadJobs.maxAttempts,
+    input: { fields: tagged.fields },
+    fromTags: tagged.fromTags,
+    album: album && album.id,
+    albumTrack: album && album.track,
+  });
+
+  return enqueue(job, audioFile, coverFile);
+};
+
+/**
+ * Queue a podcast episode upload (the caller removes the temp file)
+ * @param {Object} params
+ * @param {Object} params.user - Authenticated user (req.user)
+ * @param {string} params.podcastId - Podcast the episode belongs to
+ * @param {Object} params.fields - Episode fields (title, description, ...)
+ * @param {Object} params.audioFile - { path, originalname, mimetype, size }
+ * @returns {Promise<Object>} Queued UploadJob
+ */
+export const enqueueEpisodeUpload = async ({ user, podcastId, fields, audioFile }) => {
+  const job = new UploadJob({
+    type: 'episode',
+    user: user._id,
+    artistProfile: user.artistProfile,
+    podcast: podcastId,
+    episodeId: new mongoose.Types.ObjectId(),
+    maxAttempts: config.uploadJobs.maxAttempts,
+    input: { fields: pick(fields, EPISODE_FIELDS) },
+  });
+
+  return enqueue(job, audioFile);
+};
+
+/**
+ * Queue new audio for an existing song (the caller checks ownership and removes the temp file)
+ * @param {Object} params
+ * @param {Object} params.user - Authenticated user (req.user)
+ * @param {string} params.songId - Song whose audio is replaced
+ * @param {Object} params.fields - { previewStart, note }
+ * @param {Object} params.audioFile - Multer audio file
+ * @returns {Promise<Object>} Queued UploadJob
+ */
+export const enqueueAudioReplacement = async ({ user, songId, fields, audioFile }) => {
+  const version = await reserveAudioVersion(songId);
+  if (!version) {
+    throw new AppError('Song not found', 404);
+  }
+
+  const job = new UploadJob({
+    type: 'replace',
+    user: user._id,
+    artistProfile: user.role === 'artist' ? user.artistProfile : undefined,
+    songId,
+    audioVersion: version,
+    maxAttempts: config.uploadJobs.maxAttempts,
+    input: { fields: pick(fields, REPLACE_FIELDS) },
+  });
+
+  return enqueue(job, audioFile);
+};
+
+/**
+ * Queue a completed resumable upload session. Its chunks become the job's
+ * input as they are (no copy); the worker assembles and verifies them and,
+ * for songs, fills missing fields from the file's tags.
+ * @param {Object} params
+ * @param {Object} params.user - Authenticated user (req.user)
+ * @param {Object} params.session - UploadSession with every chunk received (in order)
+ * @param {Object} params.fields - Session fields merged with the ones sent on completion
+ * @returns {Promise<Object>} Queued UploadJob
+ */
+export const enqueueSessionUpload = async ({ user, session, fields }) => {
+  const isEpisode = session.target === 'episode';
+  const job = new UploadJob({
+    type: session.target,
+    user: user._id,
+    artistProfile: isEpisode || user.role === 'artist' ? user.artistProfile : undefined,
+    ...(isEpisode
+      ? { podcast: session.podcast, episodeId: new mongoose.Types.ObjectId() }
+      : { songId: new mongoose.Types.ObjectId() }),
+    maxAttempts: config.uploadJobs.maxAttempts,
+    input: {
+      fields: pick(fields, isEpisode ? EPISODE_FIELDS : SONG_FIELDS),
+      audio: {
+        chunks: [...session.chunks].sort((a, b) => a.offset - b.offset).map((chunk) => chunk.url),
+        session: session._id,
+        sha256: session.sha256,
+        originalName: session.fileName,
+        mimetype: session.mimetype,
+        size: session.size,
+      },
+    },
+  });
+
+  await job.save();
+  kickUploadWorker();
+  return job;
+};
+
+const removeStagedFiles = async (job) => {
+  const urls = [job.input.audio, job.input.cover]
+    .filter(Boolean)
+    .flatMap((file) => (file.chunks && file.chunks.length > 0 ? file.chunks : [file.url]))
+    .filter(Boolean);
+
+  for (const url of urls) {
+    try {
+      await deleteFile(url);
+    } catch (error) {
+      console.warn(`⚠️ Failed to remove staged upload ${url}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Atomically claim the next runnable job. Jobs whose lock is older than the
+ * lock timeout belong to a dead worker and are claimed again. Every claim gets
+ * its own lock token (job.lockedBy), so a run whose job was claimed again,
+ * even by the same process, can no longer update it.
+ * @returns {Promise<Object|null>} Claimed job
+ */
+export const claimNextJob = async () => {
+  const now = new Date();
+  const lockedBy = `${WORKER_ID}:${crypto.randomBytes(4).toString('hex')}`;
+  const staleBefore = new Date(now.getTime() - config.uploadJobs.lockTimeoutMinutes * 60 * 1000);
+
+  return UploadJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', runAfter: { $lte: now } },
+        { status: 'processing', lockedAt: { $lt: staleBefore } },
+      ],
+    },
+    {
+      $set: { status: 'processing', lockedAt: now, lockedBy, startedAt: now },
+      $inc: { attempts: 1 },
+      $unset: { error: 1 },
+    },
+    { new: true, sort: { runAfter: 1 } }
+  );
+};
+
+/**
+ * Progress reporter for a job: stage changes are written immediately,
+ * percentage updates at most every PROGRESS_WRITE_INTERVAL_MS
+ */
+const progressReporter = (job) => {
+  let lastStage = job.stage;
+  let lastWrite = 0;
+  let pending = Promise.resolve();
+
+  const report = (stage, progress) => {
+    const now = Date.now();
+    if (stage === lastStage && now - lastWrite < PROGRESS_WRITE_INTERVAL_MS) return;
+
+    lastStage = stage;
+    lastWrite = now;
+    job.stage = stage;
+    job.progress = progress;
+    pending = pending
+      .then(() => UploadJob.updateOne({ _id: job._id, lockedBy: job.lockedBy }, { $set: { stage, progress, lockedAt: new Date() } }))
+      .catch((error) => console.warn('⚠️ Failed to record upload progress:', error.message));
+  };
+
+  report.flush = () => pending;
+  return report;
+};
+
+/**
+ * Keep a running job's lock fresh through stages that report no progress
+ * (storage uploads, analysis), so it isn't taken for a dead worker's job
+ * @returns {Function} Stops the heartbeat
+ */
+const lockHeartbeat = (job) => {
+  const intervalMs = (config.uploadJobs.lockTimeoutMinutes * 60 * 1000) / HEARTBEATS_PER_LOCK_TIMEOUT;
+  const timer = setInterval(() => {
+    UploadJob.updateOne({ _id: job._id, lockedBy: job.lockedBy }, { $set: { lockedAt: new Date() } })
+      .catch((error) => console.warn('⚠️ Failed to refresh upload job lock:', error.message));
+  }, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+// Client errors (bad input, invalid audio) fail immediately; anything else is retried
+const isRetryable = (error) => !(error.statusCode >= 400 && error.statusCode < 500);
+
+// Result field set on completion, per job type
+const RESULT_FIELDS = { song: 'song', episode: 'episode', replace: 'song' };
+
+// A worker whose lock went stale and was taken over leaves the job to the new owner
+const lockLost = (job, result) => {
+  if (result.matchedCount > 0) return false;
+  logger.warn('Upload job lock was taken over; leaving the job to its new worker', { jobId: job._id.toString() });
+  return true;
+};
+
+const completeJob = async (job, created, metadata, fromTags = []) => {
+  const result = await UploadJob.updateOne(
+    { _id: job._id, lockedBy: job.lockedBy },
+    {
+      $addToSet: { fromTags: { $each: fromTags } },
+      $set: {
+        status: 'completed',
+        stage: 'completed',
+        progress: 100,
+        [`result.${RESULT_FIELDS[job.type]}`]: created._id,
+        'result.metadata': metadata,
+        finishedAt: new Date(),
+      },
+      $unset: { lockedAt: 1, lockedBy: 1 },
+    }
+  );
+  if (lockLost(job, result)) return;
+
+  await removeStagedFiles(job);
+  if (job.album) await syncAlbumSongs(job.album);
+};
+
+/**
+ * Rebuild an album's song list from its upload jobs, in track order
+ * (jobs finish in any order); publish it once no track is still pending
+ */
+export const syncAlbumSongs = async (albumId) => {
+  const jobs = await UploadJob.find({ album: albumId }).select('status result.song albumTrack').sort({ albumTrack: 1 });
+  const songs = jobs.filter((job) => job.status === 'completed').map((job) => job.result.song);
+  const pending = jobs.some((job) => job.status === 'queued' || job.status === 'processing');
+
+  const update = { songs };
+  if (!pending && songs.length > 0) update.status = 'published';
+  await Album.updateOne({ _id: albumId }, { $set: update });
+};
+
+const failJob = async (job, error) => {
+  const retryable = isRetryable(error);
+  const willRetry = retryable && job.attempts < job.maxAttempts;
+  const update = {
+    $set: { error: { message: error.message, stage: job.stage, retryable } },
+    $push: { errorLog: { attempt: job.attempts, stage: job.stage, message: error.message } },
+    $unset: { lockedAt: 1, lockedBy: 1 },
+  };
+
+  if (willRetry) {
+    // Exponential backoff: retryDelay, 2×, 4×, ...
+    const delayMs = config.uploadJobs.retryDelaySeconds * 1000 * 2 ** (job.attempts - 1);
+    Object.assign(update.$set, { status: 'queued', stage: 'queued', progress: 0, runAfter: new Date(Date.now() + delayMs) });
+  } else {
+    Object.assign(update.$set, { status: 'failed', stage: 'failed', finishedAt: new Date() });
+  }
+
+  const result = await UploadJob.updateOne({ _id: job._id, lockedBy: job.lockedBy }, update);
+  if (lockLost(job, result)) return;
+
+  if (!willRetry) {
+    await removeStagedFiles(job);
+    if (job.album) await syncAlbumSongs(job.album);
+  }
+
+  logger.error('Upload job failed', {
+    jobId: job._id.toString(),
+    stage: job.stage,
+    attempt: job.attempts,
+    willRetry,
+    error: error.message,
+  });
+};
+
+// Album uploads: tracks use the album's processed cover (if it has one) instead of their own copies
+const albumCover = async (job) => {
+  if (!job.album) return undefined;
+  const album = await Album.findById(job.album).select('coverImageUrl covers colors').lean();
+  return album && album.covers ? { url: album.coverImageUrl, covers: album.covers, colors: album.colors } : undefined;
+};
+
+// Per job type: the already-created document (if a previous attempt saved it) and the pipeline
+const PROCESSORS = {
+  song: {
+    findExisting: (job) => Song.findById(job.songId),
+    process: async (job, { audio, cover }, onProgress) =>
+      processSongUpload({
+        fields: job.input.fields,
+        audio,
+        cover,
+        sharedCover: await albumCover(job),
+        songId: job.songId.toString(),
+        createdBy: { user: job.user, artistProfile: job.artistProfile },
+        onProgress,
+      }).then(({ song, metadata, fromTags }) => ({ created: song, metadata, fromTags })),
+  },
+  replace: {
+    // The song already switched to this version
+    findExisting: (job) => Song.findOne({ _id: job.songId, audioVersion: job.audioVersion }),
+    process: (job, { audio }, onProgress) =>
+      processAudioReplacement({
+        songId: job.songId.toString(),
+        version: job.audioVersion,
+        audio,
+        fields: job.input.fields,
+        uploadedBy: job.user,
+        onProgress,
+      }).then(({ song, metadata }) => ({ created: song, metadata })),
+  },
+  episode: {
+    findExisting: (job) => PodcastEpisode.findById(job.episodeId),
+    process: (job, { audio }, onProgress) =>
+      processEpisodeUpload({
+        podcastId: job.podcast,
+        fields: job.input.fields,
+        audio,
+        episodeId: job.episodeId,
+        createdByArtist: job.artistProfile,
+        onProgress,
+      }).then(({ episode, metadata }) => ({ created: episode, metadata })),
+  },
+};
+
+/**
+ * Concatenate a resumable upload's chunks into a local file, verifying size and digest
+ * @throws {AppError} 422 when the assembled file isn't the one declared (retrying won't help)
+ */
+const assembleChunks = async (file, destPath) => {
+  const hash = crypto.createHash('sha256');
+  let written = 0;
+
+  for (const url of file.chunks) {
+    const data = await readFile(url);
+    hash.update(data);
+    await fs.promises.appendFile(destPath, data);
+    written += data.length;
+  }
+
+  if (written !== file.size) {
+    throw new AppError(`Upload incomplete: ${written} of ${file.size} bytes stored`, 422);
+  }
+  if (file.sha256 && hash.digest('hex') !== file.sha256) {
+    throw new AppError('File checksum mismatch', 422);
+  }
+  return destPath;
+};
+
+/**
+ * Download a staged file (or assemble its chunks) into the job's work directory
+ */
+const fetchStagedFile = async (file, workDir, name) => {
+  if (!file) return file;
+  if (file.chunks && file.chunks.length > 0) {
+    const destPath = path.join(workDir, `${name}${path.extname(file.originalName || '').toLowerCase()}`);
+    return { ...file, path: await assembleChunks(file, destPath) };
+  }
+  return { ...file, path: await downloadFile(file.url, path.join(workDir, `${name}${path.extname(file.url)}`)) };
+};
+
+/**
+ * Process one claimed job
+ */
+export const runJob = async (job) => {
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'upload-job-'));
+  const report = progressReporter(job);
+  const stopHeartbeat = lockHeartbeat(job);
+  const processor = PROCESSORS[job.type];
+
+  try {
+    // Claimed again after its worker died on the last allowed attempt
+    if (job.attempts > job.maxAttempts) {
+      throw new Error('Upload processing was interrupted too many times');
+    }
+
+    // A previous attempt saved the song/episode but died before recording it
+    const existing = await processor.findExisting(job);
+    if (existing) {
+      await completeJob(job, existing, job.result && job.result.metadata);
+      return;
+    }
+
+    report('validating', 0);
+    const { audio, cover } = job.toObject().input;
+    const files = {
+      audio: await fetchStagedFile(audio, workDir, 'audio'),
+      cover: await fetchStagedFile(cover, workDir, 'cover'),
+    };
+
+    // Resumable uploads: the tags could only be read now that the file is assembled
+    let sessionFromTags = [];
+    if (job.type === 'song' && audio.chunks && audio.chunks.length > 0) {
+      const tagged = applyTagFields(job.input.fields, await readTags(files.audio.path));
+      job.input.fields = tagged.fields;
+      sessionFromTags = tagged.fromTags;
+    }
+
+    const { created, metadata, fromTags = [] } = await processor.process(job, files, report);
+
+    await report.flush();
+    await completeJob(job, created, metadata, [...sessionFromTags, ...fromTags]);
+  } catch (error) {
+    await report.flush();
+    await failJob(job, error);
+  } finally {
+    stopHeartbeat();
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+let pollTimer = null;
+let claiming = false;
+let active = 0;
+let stopped = true;
+
+/**
+ * Claim jobs until the queue is empty or `concurrency` jobs are running
+ * (transcoding is CPU-bound: raise it only with spare cores)
+ */
+const drainQueue = async () => {
+  if (claiming || stopped) return;
+  claiming = true;
+
+  try {
+    let job;
+    while (!stopped && active < config.uploadJobs.concurrency && (job = await claimNextJob())) {
+      console.log(`⚙️ Processing upload job ${job._id} (attempt ${job.attempts}/${job.maxAttempts})`);
+      active += 1;
+      runJob(job)
+        .catch((error) => console.error('❌ Upload job crashed:', error.message))
+        .finally(() => {
+          active -= 1;
+          drainQueue();
+        });
+    }
+  } catch (error) {
+    console.error('❌ Upload worker error:', error.message);
+  } finally {
+    claiming = false;
+  }
+};
+
+/**
+ * Start polling for upload jobs
+ */
+export const startUploadWorker = () => {
+  if (!stopped) return;
+  stopped = false;
+  pollTimer = setInterval(drainQueue, config.uploadJobs.pollIntervalMs);
+  console.log(`✅ Upload worker started (${WORKER_ID})`);
+  drainQueue();
+};
+
+/**
+ * Stop polling; resolves once the running jobs (if any) have finished
+ */
+export const stopUploadWorker = async () => {
+  stopped = true;
+  clearInterval(pollTimer);
+  pollTimer = null;
+
+  while (claiming || active > 0) {
+    await new Promise((resolve) => setTimeout(resolve, 500));
+  }
+};
+
+/**
+ * Wake the worker in this process right away (no-op when it isn't running here)
+ */
+export const kickUploadWorker = () => {
+  setImmediate(drainQueue);
+};
+
+export default {
+  enqueueSongUpload,
+  enqueueEpisodeUpload,
+  enqueueAudioReplacement,
+  enqueueSessionUpload,
+  syncAlbumSongs,
+  claimNextJob,
+  runJob,
+  startUploadWorker,
+  stopUploadWorker,
+  kickUploadWorker,
+};
@@ -0,0 +1,74 @@
+import config from '../config/index.js';
+import { computeWaveformPeaks } from './ffmpegService.js';
+import { uploadFile, uploadPrivateFile, readFile, songAudioPrefix } from '../utils/storage.js';
+
+/**
+ * Waveform Service
+ * Peak arrays (0..1 per bar) at the configured resolutions, stored as one
+ * waveform.json next to the HLS output
+ */
+
+const WAVEFORM_FILE = 'waveform.json';
+
+/**
+ * Decode a local audio file into the stored waveform document
+ * @param {string} inputPath - Local audio file
+ * @returns {Promise<Object>} { version, duration, resolutions, peaks }
+ */
+export const buildWaveform = async (inputPath) => {
+  const resolutions = config.waveform.resolutions;
+  const { duration, peaks } = await computeWaveformPeaks(inputPath, resolutions);
+
+  return { version: 1, duration, resolutions, peaks };
+};
+
+const toBuffer = (waveform) => Buffer.from(JSON.stringify(waveform));
+
+/**
+ * Store a song waveform next to the HLS output
+ * @returns {Promise<string>} URL
+ */
+export const storeSongWaveform = (waveform, songId, version = 1) =>
+  uploadFile(toBuffer(waveform), `${songAudioPrefix(songId, version)}/${WAVEFORM_FILE}`, 'application/json', false);
+
+/**
+ * Store an episode waveform
+ * @returns {Promise<string>} Storage key
+ */
+export const storeEpisodeWaveform = (waveform, podcastId, episodeId) =>
+  uploadPrivateFile(toBuffer(waveform), `podcasts/${podcastId}/episodes/${episodeId}/${WAVEFORM_FILE}`, 'application/json');
+
+export const loadSongWaveform = async (waveformUrl) => JSON.parse((await readFile(waveformUrl)).toString('utf8'));
+
+export const loadEpisodeWaveform = async (waveformPath) => JSON.parse((await readFile(waveformPath)).toString('utf8'));
+
+/**
+ * Pick one resolution for the response: the requested one if stored,
+ * otherwise the closest stored resolution (default: the smallest)
+ * @param {Object} waveform - Stored waveform document
+ * @param {number} requested - Requested bars (optional)
+ * @returns {Object} { duration, resolution, resolutions, peaks }
+ */
+export const selectResolution = (waveform, requested) => {
+  const available = waveform.resolutions;
+  const target = parseInt(requested, 10);
+  const resolution = Number.isFinite(target)
+    ? available.reduce((best, r) => (Math.abs(r - target) < Math.abs(best - target) ? r : best), available[0])
+    : available[0];
+
+  return {
+    duration: waveform.duration,
+    resolution,
+    resolutions: available,
+    peaks: waveform.peaks[resolution],
+  };
+};
+
+export default {
+  buildWaveform,
+  storeSongWaveform,
+  storeEpisodeWaveform,
+  loadSongWaveform,
+  loadEpisodeWaveform,
+  selectResolution,
+};
@@ -0,0 +1,125 @@
+/**
+ * Audio DSP helpers
+ * Short-time spectra and chroma (pitch-class energy) of decoded mono
+ * samples, shared by fingerprinting and tempo/key analysis.
+ */
+
+const SILENCE = 1e-6;
+
+const cache = new Map();
+
+/**
+ * Window, twiddle factors and bit-reversal table for one frame size (power of two)
+ */
+const plan = (size) => {
+  if (!cache.has(size)) {
+    cache.set(size, {
+      window: Float64Array.from({ length: size }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1))),
+      cos: Float64Array.from({ length: size / 2 }, (_, k) => Math.cos((-2 * Math.PI * k) / size)),
+      sin: Float64Array.from({ length: size / 2 }, (_, k) => Math.sin((-2 * Math.PI * k) / size)),
+    });
+  }
+  return cache.get(size);
+};
+
+/**
+ * In-place iterative radix-2 FFT
+ */
+const fft = (re, im, { cos, sin }) => {
+  const n = re.length;
+
+  for (let i = 1, j = 0; i < n; i += 1) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const stride = n / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k += 1) {
+        const wr = cos[k * stride];
+        const wi = sin[k * stride];
+        const a = start + k;
+        const b = a + size / 2;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+};
+
+/**
+ * Power spectrum (bins 0..frameSize/2-1) of each Hann-windowed frame
+ * @param {Float32Array} samples - Mono samples (-1..1)
+ * @param {Object} options - { frameSize, hopSize }
+ * @param {Function} onFrame - Called with (power: Float64Array, frameIndex); the array is reused
+ * @returns {number} Number of frames
+ */
+export const forEachSpectrum = (samples, { frameSize, hopSize }, onFrame) => {
+  const fftPlan = plan(frameSize);
+  const re = new Float64Array(frameSize);
+  const im = new Float64Array(frameSize);
+  const power = new Float64Array(frameSize / 2);
+  let index = 0;
+
+  for (let start = 0; start + frameSize <= samples.length; start += hopSize) {
+    for (let i = 0; i < frameSize; i += 1) {
+      re[i] = samples[start + i] * fftPlan.window[i];
+      im[i] = 0;
+    }
+    fft(re, im, fftPlan);
+
+    for (let bin = 0; bin < frameSize / 2; bin += 1) power[bin] = re[bin] * re[bin] + im[bin] * im[bin];
+    onFrame(power, index);
+    index += 1;
+  }
+
+  return index;
+};
+
+/**
+ * Pitch class of each FFT bin: 0 = A, 1 = A#, ... 11 = G# (-1 outside minFreq..maxFreq)
+ */
+const pitchClassBins = (frameSize, sampleRate, minFreq, maxFreq) =>
+  Int8Array.from({ length: frameSize / 2 }, (_, bin) => {
+    const freq = (bin * sampleRate) / frameSize;
+    if (freq < minFreq || freq > maxFreq) return -1;
+    return ((Math.round(12 * Math.log2(freq / 440)) % 12) + 12) % 12;
+  });
+
+/**
+ * Unit-length 12-bin chroma vector per frame (null for silent frames)
+ * @param {Float32Array} samples - Mono samples (-1..1)
+ * @param {Object} options - { sampleRate, frameSize, hopSize, minFreq, maxFreq }
+ * @returns {Array<Float64Array|null>} Pitch classes indexed from A (see pitchClassBins)
+ */
+export const chromaFrames = (samples, { sampleRate, frameSize, hopSize, minFreq, maxFreq }) => {
+  const bins = pitchClassBins(frameSize, sampleRate, minFreq, maxFreq);
+  const frames = [];
+
+  forEachSpectrum(samples, { frameSize, hopSize }, (power) => {
+    const chroma = new Float64Array(12);
+    for (let bin = 0; bin < bins.length; bin += 1) {
+      if (bins[bin] >= 0) chroma[bins[bin]] += power[bin];
+    }
+
+    const norm = Math.sqrt(chroma.reduce((sum, value) => sum + value * value, 0));
+    frames.push(norm > SILENCE ? chroma.map((value) => value / norm) : null);
+  });
+
+  return frames;
+};
+
+export default {
+  forEachSpectrum,
+  chromaFrames,
+};
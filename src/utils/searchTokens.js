@@ -0,0 +1,153 @@
+/**
+ * Search token helpers
+ * Prefix (edge n-gram) and trigram tokens stored on documents so that
+ * autocomplete and typo-tolerant search work without an external search service
+ */
+
+// Longest prefix stored per word (longer query words are truncated to this)
+export const MAX_PREFIX_LENGTH = 15;
+
+/**
+ * Lowercase, strip accents and punctuation ("Beyoncé – Halo!" → "beyonce halo")
+ */
+export const normalizeText = (value = '') =>
+  String(value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+/**
+ * Escape user text for use as a literal inside a RegExp
+ */
+export const escapeRegex = (value = '') => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split normalized text into words
+ */
+export const tokenize = (value) => normalizeText(value).split(' ').filter(Boolean);
+
+/**
+ * Edge n-grams of every word ("shape" → s, sh, sha, shap, shape)
+ */
+export const edgeNgrams = (value) => {
+  const grams = new Set();
+  tokenize(value).forEach((word) => {
+    const max = Math.min(word.length, MAX_PREFIX_LENGTH);
+    for (let i = 1; i <= max; i += 1) {
+      grams.add(word.slice(0, i));
+    }
+  });
+  return [...grams];
+};
+
+/**
+ * Character trigrams of the padded text ("abc" → " ab", "abc", "bc ")
+ */
+export const trigrams = (value) => {
+  const grams = new Set();
+  tokenize(value).forEach((word) => {
+    const padded = ` ${word} `;
+    for (let i = 0; i < padded.length - 2; i += 1) {
+      grams.add(padded.slice(i, i + 3));
+    }
+  });
+  return [...grams];
+};
+
+/**
+ * Levenshtein distance between two strings
+ */
+export const editDistance = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+};
+
+/**
+ * Similarity (0..1) of a query against a candidate text, word by word.
+ * Each query word is compared with its closest candidate word; the last
+ * query word may be incomplete, so it is also allowed to match as a prefix.
+ */
+export const wordSimilarity = (query, text) => {
+  const queryWords = tokenize(query);
+  const textWords = tokenize(text);
+  if (!queryWords.length || !textWords.length) return 0;
+
+  const total = queryWords.reduce((sum, word, index) => {
+    const isLast = index === queryWords.length - 1;
+    const best = textWords.reduce((max, candidate) => {
+      if (isLast && candidate.startsWith(word)) return 1;
+      const distance = editDistance(word, candidate);
+      return Math.max(max, 1 - distance / Math.max(word.length, candidate.length));
+    }, 0);
+    return sum + best;
+  }, 0);
+
+  return total / queryWords.length;
+};
+
+/**
+ * Mongoose plugin that maintains searchPrefixes / searchGrams for the given fields
+ * @param {Schema} schema - Mongoose schema
+ * @param {Object} options - { fields: ['title', 'artist'] }
+ */
+export const searchTokensPlugin = (schema, { fields }) => {
+  schema.add({
+    searchPrefixes: { type: [String], select: false },
+    searchGrams: { type: [String], select: false },
+  });
+
+  schema.index({ searchPrefixes: 1 });
+  schema.index({ searchGrams: 1 });
+
+  const computeTokens = (doc) => {
+    const text = fields.map((field) => doc[field] || '').join(' ');
+    return { searchPrefixes: edgeNgrams(text), searchGrams: trigrams(text) };
+  };
+
+  schema.statics.computeSearchTokens = computeTokens;
+
+  schema.pre('save', function (next) {
+    if (this.isNew || fields.some((field) => this.isModified(field))) {
+      Object.assign(this, computeTokens(this));
+    }
+    next();
+  });
+
+  // findByIdAndUpdate bypasses save hooks, so refresh the tokens afterwards
+  schema.post('findOneAndUpdate', async function (doc) {
+    const update = this.getUpdate() || {};
+    const touched = fields.some((field) => field in update || (update.$set && field in update.$set));
+    if (!doc || !touched) return;
+
+    const fresh = await this.model.findById(doc._id).select(fields.join(' ')).lean();
+    if (fresh) {
+      await this.model.updateOne({ _id: doc._id }, { $set: computeTokens(fresh) });
+    }
+  });
+};
+
+export default {
+  normalizeText,
+  escapeRegex,
+  tokenize,
+  edgeNgrams,
+  trigrams,
+  editDistance,
+  wordSimilarity,
+  searchTokensPlugin,
+};
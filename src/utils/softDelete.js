@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+// Query middleware that hides deleted documents (deletes are left alone: purging removes deleted documents)
+const FILTERED_QUERIES = [
+  'countDocuments',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne',
+];
+
+// Stages that must stay first in an aggregation pipeline
+const LEADING_STAGES = ['$geoNear', '$search', '$searchMeta', '$vectorSearch'];
+
+/**
+ * Mongoose plugin for soft deletes: deleted documents keep their data (and
+ * stored files) until they are purged, and are hidden from every query and
+ * aggregation unless it asks for them with .withDeleted() / { withDeleted: true }
+ * or filters on deletedAt itself.
+ * @param {Schema} schema - Mongoose schema
+ */
+export const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: { type: Date, default: undefined },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // Parent whose deletion took this document along (album → songs, podcast → episodes)
+    deletedWith: { type: mongoose.Schema.Types.ObjectId },
+  });
+
+  schema.index({ deletedAt: 1 }, { sparse: true });
+
+  schema.query.withDeleted = function () {
+    return this.setOptions({ withDeleted: true });
+  };
+
+  schema.pre(FILTERED_QUERIES, function (next) {
+    if (!this.getOptions().withDeleted && !('deletedAt' in this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+    next();
+  });
+
+  schema.pre('aggregate', function (next) {
+    if (this.options.withDeleted) return next();
+
+    const pipeline = this.pipeline();
+    const index = pipeline.findIndex((stage) => !LEADING_STAGES.some((name) => name in stage));
+    const stage = pipeline[index];
+
+    if (stage && stage.$match) {
+      // Merge into the first $match ($text has to stay in the first stage)
+      if (!('deletedAt' in stage.$match)) stage.$match.deletedAt = null;
+    } else {
+      pipeline.splice(index === -1 ? pipeline.length : index, 0, { $match: { deletedAt: null } });
+    }
+    next();
+  });
+};
+
+export default softDeletePlugin;
@@ -1,13 +1,29 @@
 import fs from 'fs';
 import path from 'path';
+import { pipeline } from 'stream/promises';
 import config from '../config/index.js';
-import * as s3Utils from './s3.js';
-import { promisify } from 'util';
+import cloudFrontService from '../services/cloudFrontService.js';
+import { createStorageDriver, isMissingFileError } from './storageDrivers/index.js';
 
-const mkdir = promisify(fs.mkdir);
-const copyFile = promisify(fs.copyFile);
-const unlink = promisify(fs.unlink);
-const exists = promisify(fs.exists);
+/**
+ * Storage façade used by controllers, services and scripts.
+ * Files are addressed by key ('songs/<id>/hls/master.m3u8') or by the URL
+ * returned when they were stored; the configured driver does the rest.
+ */
+
+let driver;
+
+/**
+ * The configured storage driver (created on first use)
+ */
+export const getStorage = () => {
+    if (!driver) {
+        driver = createStorageDriver(config.storage, config.aws);
+    }
+    return driver;
+};
+
+export { isMissingFileError };
 
 /**
  * Validate storage configuration
@@ -15,145 +31,227 @@ const exists = promisify(fs.exists);
 export const validateStorageConfig = async () => {
     console.log(`🔧 Storage Configuration: Type=${config.storage.type}`);
 
-    if (config.storage.type === 'local') {
-        const uploadDir = path.resolve(config.storage.localDir);
-        try {
-            if (!fs.existsSync(uploadDir)) {
-                await mkdir(uploadDir, { recursive: true });
-                console.log(`✅ Created local upload directory: ${uploadDir}`);
-            } else {
-                console.log(`✅ Local upload directory exists: ${uploadDir}`);
-            }
-            return true;
-        } catch (error) {
-            console.error(`❌ Failed to setup local storage: ${error.message}`);
-            return false;
-        }
-    } else {
-        // Fallback to S3 validation
-        return await s3Utils.validateS3Config();
+    try {
+        return await getStorage().validate();
+    } catch (error) {
+        console.error(`❌ Storage configuration error: ${error.message}`);
+        return false;
     }
 };
 
 /**
- * Upload file to storage (Local or S3)
- * Returns the absolute URL or S3 Key depending on implementation needing the ID
- * For consistency with existing code, we might return the full public URL.
+ * Storage key of a stored file's URL (keys are returned unchanged)
+ * @returns {string|null} null for URLs outside our storage (external covers, ...)
+ */
+export const storageKeyFromUrl = (urlOrKey) => {
+    return getStorage().keyFromUrl(urlOrKey);
+};
+
+const requireKey = (urlOrKey) => {
+    const key = storageKeyFromUrl(urlOrKey);
+    if (!key) {
+        throw new Error(`Not a stored file: ${urlOrKey}`);
+    }
+    return key;
+};
+
+/**
+ * Upload file to storage
+ * @param {Buffer|string} fileInput - Contents or a local file path
+ * @returns {Promise<string>} Public URL of the file
  */
 export const uploadFile = async (fileInput, key, contentType, isPublic = false) => {
-    if (config.storage.type === 'local') {
-        try {
-            const fullPath = path.join(config.storage.localDir, key);
-            const dir = path.dirname(fullPath);
-
-            await mkdir(dir, { recursive: true });
-
-            if (Buffer.isBuffer(fileInput)) {
-                await fs.promises.writeFile(fullPath, fileInput);
-            } else {
-                // Assume it's a file path
-                await copyFile(fileInput, fullPath);
-            }
-
-            // Return absolute URL
-            // Ensure strictly forward slashes for URLs
-            const urlPath = key.replace(/\\/g, '/');
-            return `${config.storage.baseUrl}/${config.storage.localDir}/${urlPath}`;
-        } catch (error) {
-            console.error('Local upload error:', error);
-            throw new Error(`Local upload failed: ${error.message}`);
-        }
-    } else {
-        // Delegate to S3
-        // Note: s3Utils.uploadToS3 expects buffer. 
-        // s3Utils.uploadStreamToS3 expects filePath.
-        // We need to handle both provided inputs.
-
-        if (Buffer.isBuffer(fileInput)) {
-            return await s3Utils.uploadToS3(fileInput, key, contentType, isPublic);
-        } else {
-            return await s3Utils.uploadStreamToS3(fileInput, key, contentType, isPublic);
-        }
+    try {
+        return await getStorage().put(key, fileInput, { contentType: contentType || undefined });
+    } catch (error) {
+        console.error('Storage upload error:', error);
+        throw new Error(`Upload failed: ${error.message}`);
     }
 };
 
 /**
- * Upload HLS files
- * Returns playlist URL (or Key if S3)
+ * Upload a private file (only read back by the API)
+ * @returns {Promise<string>} Storage key
  */
-export const uploadHLS = async (files, contextPath) => {
-    if (config.storage.type === 'local') {
-        try {
-            const uploadPromises = files.map(async (file) => {
-                const key = `${contextPath}/${file.name}`;
-                await uploadFile(file.path, key, null);
-                return key;
-            });
+export const uploadPrivateFile = async (fileInput, key, contentType) => {
+    await uploadFile(fileInput, key, contentType, false);
+    return key;
+};
 
-            const keys = await Promise.all(uploadPromises);
-            const playlistKey = keys.find(k => k.endsWith('.m3u8'));
+/**
+ * Pick the entry playlist from uploaded HLS keys: the master playlist of a
+ * multi-bitrate ladder, or the single playlist of older uploads
+ */
+export const findPlaylistKey = (keys) =>
+    keys.find(key => key.endsWith('/master.m3u8') || key === 'master.m3u8')
+    || keys.find(key => key.endsWith('.m3u8'));
 
-            // Return full URL for playlist
-            const urlPath = playlistKey.replace(/\\/g, '/');
-            return `${config.storage.baseUrl}/${config.storage.localDir}/${urlPath}`;
-        } catch (error) {
-            console.error('Local HLS upload error:', error);
-            throw new Error(`Local HLS upload failed: ${error.message}`);
-        }
-    } else {
-        // For S3, we need to parse the contextPath to match what existing s3Utils expect
-        // Or refactor usage.
-        // Existing s3Utils.uploadHLSToS3 takes (files, songId) and constructs key `songs/${songId}/hls/...`
-        // We should probably just expose a similar function or adapt parameters.
+/**
+ * Upload an HLS output folder (private, streamed through the API)
+ * @param {Array<{name, path}>} files - Playlists, segments and key info from the transcoder
+ * @param {string} hlsPrefix - Folder key, e.g. songs/<id>/hls
+ * @returns {Promise<string>} Key of the entry playlist (URLs are generated on demand)
+ */
+export const uploadHLSFiles = async (files, hlsPrefix) => {
+    try {
+        const keys = await Promise.all(files.map(async (file) => {
+            const key = `${hlsPrefix}/${file.name}`;
+            const contentType = file.name.endsWith('.m3u8')
+                ? 'application/vnd.apple.mpegurl'
+                : 'video/MP2T';
+
+            await getStorage().put(key, file.path, { contentType });
+            return key;
+        }));
 
-        // Let's assume contextPath is like "songs/123/hls"
-        // But s3Utils.uploadHLSToS3 takes just ID.
-        // To be safe and compatible, let's implement the specific logic here or call s3Utils if it matches pattern.
+        return findPlaylistKey(keys);
+    } catch (error) {
+        console.error('HLS upload error:', error);
+        throw new Error(`HLS upload failed: ${error.message}`);
+    }
+};
 
-        // Actually, the calling code passes songId. Let's make this function accept (files, songId, subDir='hls').
+/**
+ * Storage prefix of one audio version of a song (HLS, source, preview, waveform).
+ * Version 1 (the original upload) lives at the song root; replacements under v<N>/.
+ */
+export const songAudioPrefix = (songId, version = 1) => {
+    return version > 1 ? `songs/${songId}/v${version}` : `songs/${songId}`;
+};
 
-        // Wait, looking at current usage in uploadController:
-        // uploadHLSToS3(hlsResult.files, songId);
+export const uploadHLSForSong = async (files, songId, version = 1) => {
+    return uploadHLSFiles(files, `${songAudioPrefix(songId, version)}/hls`);
+};
 
-        // We will adapt this function to match that signature
-        throw new Error("Direct uploadHLS call not supported in mixed mode yet, use uploadHLSForSong");
-    }
+/**
+ * Keep the uploaded source audio (the master) next to the HLS output
+ * (used to re-cut previews, re-run analysis and re-transcode later)
+ * @param {Object} format - Sniffed format { ext, mimetype }
+ * @returns {Promise<string>} URL of the stored master
+ */
+export const uploadSourceForSong = async (filePath, songId, format, version = 1) => {
+    return uploadFile(filePath, `${songAudioPrefix(songId, version)}/source/original${format.ext}`, format.mimetype, false);
 };
 
-export const uploadHLSForSong = async (files, songId) => {
-    if (config.storage.type === 'local') {
-        return uploadHLS(files, `songs/${songId}/hls`);
-    } else {
-        return await s3Utils.uploadHLSToS3(files, songId);
+/**
+ * Open a stored file for reading
+ * @returns {Promise<{body, contentLength, contentType, lastModified}>}
+ */
+export const getFileStream = async (urlOrKey) => {
+    return getStorage().getStream(requireKey(urlOrKey));
+};
+
+/**
+ * Size and modification time of a stored file
+ * @returns {Promise<Object|null>} null when it does not exist
+ */
+export const statFile = async (urlOrKey) => {
+    return getStorage().head(requireKey(urlOrKey));
+};
+
+/**
+ * Stored files under a key prefix
+ * @returns {AsyncIterable<{key, size, lastModified}>}
+ */
+export const listFiles = (prefix) => {
+    return getStorage().list(prefix);
+};
+
+/**
+ * Download a stored file (URL or key) to a local path
+ */
+export const downloadFile = async (urlOrKey, destPath) => {
+    await fs.promises.mkdir(path.dirname(destPath), { recursive: true });
+
+    const { body } = await getFileStream(urlOrKey);
+    await pipeline(body, fs.createWriteStream(destPath));
+    return destPath;
+};
+
+/**
+ * Read a stored (small) file into memory
+ */
+export const readFile = async (urlOrKey) => {
+    const { body } = await getFileStream(urlOrKey);
+
+    const chunks = [];
+    for await (const chunk of body) {
+        chunks.push(chunk);
     }
+    return Buffer.concat(chunks);
 };
 
 export const deleteFile = async (urlOrKey) => {
-    if (config.storage.type === 'local') {
-        try {
-            // Extract key from URL if it's a URL
-            let key = urlOrKey;
-            if (urlOrKey.startsWith(config.storage.baseUrl)) {
-                key = urlOrKey.replace(`${config.storage.baseUrl}/${config.storage.localDir}/`, '');
-            }
-
-            const fullPath = path.join(config.storage.localDir, key);
-            if (await exists(fullPath)) {
-                await unlink(fullPath);
-            }
-            return true;
-        } catch (error) {
-            console.error('Local delete error:', error);
-            return false;
+    return getStorage().delete(requireKey(urlOrKey));
+};
+
+/**
+ * Delete every file under a key prefix (e.g. songs/<id>/)
+ * @returns {Promise<number>} Files deleted
+ */
+export const deletePrefix = async (prefix) => {
+    if (!prefix.endsWith('/')) {
+        throw new Error(`Refusing to delete prefix without a trailing slash: ${prefix}`);
+    }
+
+    const storage = getStorage();
+    let deleted = 0;
+    for await (const { key } of storage.list(prefix)) {
+        await storage.delete(key);
+        deleted += 1;
+    }
+    return deleted;
+};
+
+/**
+ * Time-limited URL of a stored file that clients can fetch directly
+ */
+export const getSignedFileUrl = async (urlOrKey, expiresIn = 3600) => {
+    return getStorage().signedUrl(requireKey(urlOrKey), { expiresIn });
+};
+
+/**
+ * Get secure streaming URL
+ * Priority order:
+ * 1. CloudFront signed URL (if fully configured with keys)
+ * 2. CloudFront public URL (if domain configured)
+ * 3. The driver's signed URL (S3/MinIO presigned, or the local static URL)
+ */
+export const getStreamingUrl = async (urlOrKey, expiresIn = 3600) => {
+    const key = requireKey(urlOrKey);
+
+    // CloudFront only fronts the AWS bucket
+    if (config.storage.type === 's3' && !config.storage.endpoint) {
+        if (cloudFrontService.isConfigured()) {
+            return await cloudFrontService.getSignedHLSUrl(key, expiresIn);
+        }
+        if (cloudFrontService.isDomainConfigured()) {
+            return cloudFrontService.getPublicUrl(key);
         }
-    } else {
-        return await s3Utils.deleteFromS3(urlOrKey);
     }
+
+    return getSignedFileUrl(key, expiresIn);
 };
 
 export default {
+    getStorage,
     validateStorageConfig,
+    storageKeyFromUrl,
     uploadFile,
+    uploadPrivateFile,
+    findPlaylistKey,
+    uploadHLSFiles,
+    songAudioPrefix,
     uploadHLSForSong,
-    deleteFile
+    uploadSourceForSong,
+    getFileStream,
+    statFile,
+    listFiles,
+    downloadFile,
+    readFile,
+    deleteFile,
+    deletePrefix,
+    getSignedFileUrl,
+    getStreamingUrl,
+    isMissingFileError
 };
@@ -0,0 +1,59 @@
+import { createLocalDriver } from './localDriver.js';
+import { createS3Driver } from './s3Driver.js';
+
+/**
+ * Storage drivers
+ * Every backend implements the same interface (keys are '/'-separated paths):
+ *   validate()                       → Promise<boolean> (startup connectivity check)
+ *   put(key, body, { contentType })  → Promise<string> public URL (body: Buffer, file path or stream)
+ *   getStream(key)                   → Promise<{ body, contentLength, contentType?, lastModified }>
+ *   head(key)                        → Promise<{ key, size, lastModified }|null>
+ *   list(prefix)                     → async iterable of { key, size, lastModified }
+ *   delete(key)                      → Promise<true> (missing files are not an error)
+ *   signedUrl(key, { expiresIn })    → Promise<string> time-limited URL clients can fetch
+ *   urlFor(key) / keyFromUrl(url)    → public URL of a key / key of one of its URLs (null if foreign)
+ */
+const DRIVERS = {
+  local: (storage) => createLocalDriver({ rootDir: storage.localDir, baseUrl: storage.baseUrl }),
+  s3: (storage, aws) =>
+    createS3Driver({
+      bucket: aws.s3Bucket,
+      region: aws.region,
+      accessKeyId: aws.accessKeyId,
+      secretAccessKey: aws.secretAccessKey,
+      endpoint: storage.endpoint,
+      publicEndpoint: storage.publicEndpoint,
+      forcePathStyle: storage.forcePathStyle,
+      cdnDomain: storage.endpoint ? undefined : aws.cloudFrontDomain,
+    }),
+  // S3-compatible server: same driver, path-style addressing unless told otherwise
+  minio: (storage, aws) => {
+    if (!storage.endpoint) {
+      throw new Error('STORAGE_TYPE=minio needs S3_ENDPOINT (e.g. http://localhost:9000)');
+    }
+    return DRIVERS.s3({ ...storage, forcePathStyle: storage.forcePathStyle ?? true }, aws);
+  },
+};
+
+export const STORAGE_TYPES = Object.keys(DRIVERS);
+
+/**
+ * Create the driver for a storage configuration
+ * @param {Object} storage - config.storage ({ type, localDir, baseUrl, endpoint, ... })
+ * @param {Object} aws - config.aws (bucket, region, credentials, CloudFront)
+ */
+export const createStorageDriver = (storage, aws) => {
+  const create = DRIVERS[storage.type];
+  if (!create) {
+    throw new Error(`Unknown STORAGE_TYPE "${storage.type}" (expected one of: ${STORAGE_TYPES.join(', ')})`);
+  }
+  return create(storage, aws);
+};
+
+/**
+ * Whether a driver error means the file does not exist
+ */
+export const isMissingFileError = (error) =>
+  error.code === 'ENOENT' || error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+
+export default createStorageDriver;
@@ -0,0 +1,146 @@
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+
+/**
+ * Filesystem storage driver
+ * Keys are paths below rootDir; files are public at `${baseUrl}/${rootDir}/<key>`
+ * (served by the static route in app.js, which blocks private folders).
+ * There is no signing, so "signed" URLs are the public ones.
+ *
+ * @param {Object} options
+ * @param {string} options.rootDir - Absolute upload directory
+ * @param {string} options.baseUrl - Public base URL of the API
+ */
+export const createLocalDriver = ({ rootDir, baseUrl }) => {
+  const root = path.resolve(rootDir);
+  const urlBase = `${baseUrl}/${rootDir}/`;
+
+  // Keys never leave the upload directory
+  const resolveKey = (key) => {
+    const fullPath = path.resolve(root, key);
+    if (fullPath !== root && !fullPath.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return fullPath;
+  };
+
+  const toKey = (fullPath) => path.relative(root, fullPath).split(path.sep).join('/');
+
+  const urlFor = (key) => `${urlBase}${key.replace(/\\/g, '/')}`;
+
+  // Files below a directory, depth first
+  async function* walk(dir) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return;
+      throw error;
+    }
+
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        yield* walk(entryPath);
+      } else if (entry.isFile()) {
+        yield entryPath;
+      }
+    }
+  }
+
+  return {
+    name: 'local',
+
+    async validate() {
+      try {
+        await fs.promises.mkdir(root, { recursive: true });
+        console.log(`✅ Local upload directory ready: ${root}`);
+        return true;
+      } catch (error) {
+        console.error(`❌ Failed to setup local storage: ${error.message}`);
+        return false;
+      }
+    },
+
+    async put(key, body) {
+      const fullPath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+
+      if (Buffer.isBuffer(body)) {
+        await fs.promises.writeFile(fullPath, body);
+      } else if (typeof body === 'string') {
+        // A local file path
+        await fs.promises.copyFile(body, fullPath);
+      } else {
+        await pipeline(body instanceof Readable ? body : Readable.from(body), fs.createWriteStream(fullPath));
+      }
+
+      return urlFor(key);
+    },
+
+    async getStream(key) {
+      const fullPath = resolveKey(key);
+      const stats = await fs.promises.stat(fullPath);
+      return {
+        body: fs.createReadStream(fullPath),
+        contentLength: stats.size,
+        lastModified: stats.mtime,
+      };
+    },
+
+    async head(key) {
+      try {
+        const stats = await fs.promises.stat(resolveKey(key));
+        return stats.isFile() ? { key, size: stats.size, lastModified: stats.mtime } : null;
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async *list(prefix = '') {
+      // Walk the deepest directory the prefix names, then match the rest of it
+      const dir = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+      for await (const fullPath of walk(resolveKey(dir))) {
+        const key = toKey(fullPath);
+        if (!key.startsWith(prefix)) continue;
+        const stats = await fs.promises.stat(fullPath);
+        yield { key, size: stats.size, lastModified: stats.mtime };
+      }
+    },
+
+    async delete(key) {
+      const fullPath = resolveKey(key);
+      try {
+        await fs.promises.unlink(fullPath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      // Drop folders left empty, like prefixes disappearing on S3
+      for (let dir = path.dirname(fullPath); dir.startsWith(`${root}${path.sep}`); dir = path.dirname(dir)) {
+        try {
+          await fs.promises.rmdir(dir);
+        } catch {
+          break;
+        }
+      }
+      return true;
+    },
+
+    async signedUrl(key) {
+      return urlFor(key);
+    },
+
+    urlFor,
+
+    keyFromUrl(urlOrKey) {
+      if (urlOrKey.startsWith(urlBase)) return decodeURIComponent(urlOrKey.slice(urlBase.length));
+      return /^https?:\/\//.test(urlOrKey) ? null : urlOrKey;
+    },
+  };
+};
+
+export default createLocalDriver;
@@ -0,0 +1,185 @@
+import fs from 'fs';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { Upload } from '@aws-sdk/lib-storage';
+
+/**
+ * S3 storage driver, for AWS S3 and S3-compatible servers (MinIO, Ceph, R2, ...)
+ * Objects are private; clients get presigned URLs or go through the API proxies.
+ *
+ * @param {Object} options
+ * @param {string} options.bucket
+ * @param {string} options.region
+ * @param {string} [options.accessKeyId]
+ * @param {string} [options.secretAccessKey]
+ * @param {string} [options.endpoint] - Custom endpoint URL (unset = AWS)
+ * @param {string} [options.publicEndpoint] - Endpoint as clients reach it, for URLs handed out (defaults to endpoint)
+ * @param {boolean} [options.forcePathStyle] - `${endpoint}/${bucket}/<key>` instead of bucket subdomains
+ * @param {string} [options.cdnDomain] - CloudFront domain object URLs are built on
+ */
+export const createS3Driver = ({
+  bucket,
+  region,
+  accessKeyId,
+  secretAccessKey,
+  endpoint,
+  publicEndpoint = endpoint,
+  forcePathStyle = false,
+  cdnDomain,
+}) => {
+  const clientOptions = (clientEndpoint) => ({
+    region,
+    ...(clientEndpoint && { endpoint: clientEndpoint }),
+    forcePathStyle,
+    ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } }),
+  });
+
+  const client = new S3Client(clientOptions(endpoint));
+  // Presigned URLs are bound to the host they were signed for
+  const presignClient = publicEndpoint === endpoint ? client : new S3Client(clientOptions(publicEndpoint));
+
+  const cdnHost = cdnDomain && new URL(/^https?:\/\//.test(cdnDomain) ? cdnDomain : `https://${cdnDomain}`).host;
+  const endpointHosts = [endpoint, publicEndpoint].filter(Boolean).map((value) => new URL(value).host);
+
+  const objectBase = (() => {
+    if (cdnHost) return `https://${cdnHost}/`;
+    if (!publicEndpoint) return `https://${bucket}.s3.${region}.amazonaws.com/`;
+    const url = new URL(publicEndpoint);
+    return forcePathStyle ? `${url.href.replace(/\/$/, '')}/${bucket}/` : `${url.protocol}//${bucket}.${url.host}/`;
+  })();
+
+  const urlFor = (key) => `${objectBase}${key}`;
+
+  // AWS S3 hosts: s3.amazonaws.com, s3.<region>.amazonaws.com, s3-<region>.amazonaws.com, ...
+  const AWS_S3_HOST = /^s3([.-][a-z0-9-]+)*\.amazonaws\.com$/;
+
+  // Keys of URLs pointing into this bucket: on the CDN, on the endpoints or on AWS, in either
+  // addressing style. URLs of other buckets on the same hosts are foreign (null).
+  const keyFromUrl = (urlOrKey) => {
+    if (!/^https?:\/\//.test(urlOrKey)) return urlOrKey;
+
+    const url = new URL(urlOrKey);
+    const pathname = decodeURIComponent(url.pathname.slice(1));
+    if (url.host === cdnHost) return pathname;
+
+    // Virtual-hosted style: the bucket is the subdomain
+    if (url.host.startsWith(`${bucket}.`)) {
+      const serviceHost = url.host.slice(bucket.length + 1);
+      return endpointHosts.includes(serviceHost) || AWS_S3_HOST.test(serviceHost) ? pathname : null;
+    }
+
+    // Path-style: the bucket is the first path segment
+    if (endpointHosts.includes(url.host) || AWS_S3_HOST.test(url.host)) {
+      return pathname.startsWith(`${bucket}/`) ? pathname.slice(bucket.length + 1) : null;
+    }
+    return null;
+  };
+
+  return {
+    name: 's3',
+
+    async validate() {
+      try {
+        await client.send(new ListObjectsV2Command({ Bucket: bucket, MaxKeys: 1 }));
+        console.log(`✅ S3 connection validated successfully (${endpoint || 'AWS'}, bucket ${bucket})`);
+        return true;
+      } catch (error) {
+        console.error('❌ S3 validation failed:', error.message);
+
+        // Provide helpful error messages
+        if (error.name === 'InvalidAccessKeyId') {
+          console.error('   → Check your AWS_ACCESS_KEY_ID');
+        } else if (error.name === 'SignatureDoesNotMatch') {
+          console.error('   → Check your AWS_SECRET_ACCESS_KEY');
+        } else if (error.message.includes('not a valid hostname')) {
+          console.error('   → Check your AWS_REGION format (should be like "us-east-1")');
+        } else if (error.name === 'NoSuchBucket') {
+          console.error('   → Bucket does not exist or wrong region:', bucket);
+        } else if (error.name === 'AccessDenied') {
+          console.error('   → IAM user lacks ListBucket permission');
+        } else if (endpoint && error.code === 'ECONNREFUSED') {
+          console.error('   → Nothing is listening on S3_ENDPOINT:', endpoint);
+        }
+
+        return false;
+      }
+    },
+
+    async put(key, body, { contentType = 'application/octet-stream' } = {}) {
+      const params = { Bucket: bucket, Key: key, ContentType: contentType };
+
+      if (Buffer.isBuffer(body)) {
+        await client.send(new PutObjectCommand({ ...params, Body: body }));
+      } else {
+        // File paths and streams of unknown length go up in parts
+        const upload = new Upload({
+          client,
+          params: { ...params, Body: typeof body === 'string' ? fs.createReadStream(body) : body },
+        });
+        await upload.done();
+      }
+
+      return urlFor(key);
+    },
+
+    async getStream(key) {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return {
+        body: response.Body,
+        contentLength: response.ContentLength,
+        contentType: response.ContentType,
+        lastModified: response.LastModified,
+      };
+    },
+
+    async head(key) {
+      try {
+        const response = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return {
+          key,
+          size: response.ContentLength,
+          contentType: response.ContentType,
+          lastModified: response.LastModified,
+        };
+      } catch (error) {
+        if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+      }
+    },
+
+    async *list(prefix = '') {
+      let ContinuationToken;
+      do {
+        const response = await client.send(
+          new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken })
+        );
+        for (const object of response.Contents || []) {
+          yield { key: object.Key, size: object.Size, lastModified: object.LastModified };
+        }
+        ContinuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+      return true;
+    },
+
+    async signedUrl(key, { expiresIn = 3600 } = {}) {
+      return getSignedUrl(presignClient, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+    },
+
+    urlFor,
+
+    keyFromUrl,
+  };
+};
+
+export default createS3Driver;